@@ -1,5 +1,9 @@
 // src/createPost.tsx
 import { Devvit, Context } from '@devvit/public-api';
+import { parseCourseText } from 'parkour-hobo-core/courseCode';
+import { analyzeReachability } from 'parkour-hobo-core/courseReachability';
+import { migrateCourseData } from 'parkour-hobo-core/courseSchema';
+import { formatValidationErrors, validateCourseData } from 'parkour-hobo-core/courseValidator';
 
 // Define the form structure and submission handler
 const createCourseForm = Devvit.createForm(
@@ -8,10 +12,12 @@ const createCourseForm = Devvit.createForm(
     fields: [
       {
         name: 'courseJson',
-        label: 'Paste Course JSON Code',
+        label: 'Paste Course Code (or Course JSON)',
         type: 'paragraph', // Suitable for large JSON text
         required: true,
-        placeholder: '{"id": "...", "name": "...", "blocks": [...], ...}',
+        placeholder: 'PHC1.... or {"id": "...", "name": "...", "blocks": [...], ...}',
+        // Codes are kept short by leaving the thumbnail out
+        helpText: 'Course codes have no preview image. Paste the JSON export to show one on the post.',
       },
       {
         name: 'postTitle',
@@ -29,10 +35,27 @@ const createCourseForm = Devvit.createForm(
     const courseJsonString = event.values.courseJson as string;
     const postTitle = event.values.postTitle as string;
 
-    // 1. Validate JSON
+    // 1. Decode the course code (or JSON) and upgrade it to the current course schema
     try {
-      JSON.parse(courseJsonString); // Check if it's valid JSON
-      console.log("Course JSON is valid.");
+      const course = migrateCourseData(parseCourseText(courseJsonString));
+
+      // Reject broken courses before a post is ever created
+      const validationErrors = validateCourseData(course);
+      if (validationErrors.length > 0) {
+        const details = formatValidationErrors(validationErrors, 3, '; ');
+        console.error("Course failed validation:", details);
+        ui.showToast({ text: `Invalid course: ${details}`, appearance: 'neutral' });
+        return;
+      }
+      console.log(`Course JSON is valid (schema v${course.schemaVersion}).`);
+
+      // Reject courses nobody can finish with the game's jump physics
+      const route = analyzeReachability(course);
+      if (!route.solvable) {
+        console.error("Course is not solvable:", route.message);
+        ui.showToast({ text: route.message, appearance: 'neutral' });
+        return;
+      }
 
       // 2. Submit the Post (get postId first)
       const subreddit = await reddit.getCurrentSubreddit();
@@ -41,7 +64,10 @@ const createCourseForm = Devvit.createForm(
         subredditName: subreddit.name,
         // Preview is shown while post + data are being set up
         preview: (
-          <vstack height="100%" width="100%" alignment="middle center">
+          <vstack height="100%" width="100%" alignment="middle center" gap="medium">
+            {course.thumbnail ? (
+              <image url={course.thumbnail} imageWidth={256} imageHeight={160} description={`${course.name} preview`} />
+            ) : null}
             <text size="large">Creating Parkour Course...</text>
           </vstack>
         ),
@@ -49,18 +75,25 @@ const createCourseForm = Devvit.createForm(
       const postId = post.id;
       console.log(`Post created with ID: ${postId}`);
 
-      // 3. Store JSON in Redis using the postId as part of the key
+      // 3. Store JSON in Redis using the postId as part of the key.
+      // The thumbnail is stored once, under its own key, so the start screen can
+      // show it without parsing the course and the game never downloads it.
+      const { thumbnail, ...courseData } = course;
       const redisKey = `courseJson_${postId}`;
-      await redis.set(redisKey, courseJsonString);
+      await redis.set(redisKey, JSON.stringify(courseData));
       console.log(`Stored course JSON in Redis under key: ${redisKey}`);
 
+      if (thumbnail) {
+        await redis.set(`courseThumbnail_${postId}`, thumbnail);
+      }
+
       // 4. Notify user and navigate
       ui.showToast({ text: 'Created Parkour Hobo post!' });
       ui.navigateTo(post); // Navigate to the newly created post
 
     } catch (e: any) {
-      console.error("Invalid JSON submitted:", e.message);
-      ui.showToast({ text: `Invalid Course JSON: ${e.message}`, appearance: 'neutral' });
+      console.error("Invalid course submitted:", e.message);
+      ui.showToast({ text: `Invalid Course Code: ${e.message}`, appearance: 'neutral' });
       // Optional: You could re-show the form here if needed, but a toast might be sufficient
     }
   }
@@ -75,6 +75,12 @@ Devvit.addCustomPostType({
         catch (e) { throw new Error("Invalid course data stored."); }
     });
 
+    // Optional - course codes leave the thumbnail out, so only JSON posts have one
+    const { data: thumbnail } = useAsync(async () => {
+        if (!postId) { return null; }
+        return (await redis.get(`courseThumbnail_${postId}`)) ?? null;
+    });
+
     const webView = useWebView<WebViewMessage, DevvitMessage>({
       url: 'index.html',
       async onMessage(message, webView) {
@@ -108,6 +114,15 @@ Devvit.addCustomPostType({
             }
             break; // End of levelComplete case
 
+          case 'checkpointReached':
+            ui.showToast({ text: `Checkpoint ${message.index} of ${message.total} reached!` });
+            break;
+
+          case 'loadError':
+            console.error('Web view rejected the course:', message.error);
+            ui.showToast({ text: `Course failed to load: ${message.error.split('\n').join(' ')}`, appearance: 'neutral' });
+            break;
+
           default: console.warn('Received unknown message type:', message); break;
         }
       },
@@ -144,6 +159,9 @@ Devvit.addCustomPostType({
     return (
       <vstack padding="medium" alignment="center middle" gap="medium" grow>
         <text style="heading" size="xlarge">Parkour Hobo Player</text>
+        {thumbnail ? (
+          <image url={thumbnail} imageWidth={256} imageHeight={160} description="Course preview" />
+        ) : null}
         <text alignment="center">Course loaded! Ready?</text>
         <button
           onPress={() => {
@@ -9,7 +9,9 @@ export type DevvitMessage =
 /** Message from the Web View (Three.js Game) to Devvit (Reddit App). */
 export type WebViewMessage =
   | { type: 'webViewReady' } // Sent when the web view JS has loaded
-  | { type: 'levelComplete'; /* Add score/time later if needed */ }; // Sent when finish block is reached
+  | { type: 'levelComplete'; /* Add score/time later if needed */ } // Sent when finish block is reached
+  | { type: 'checkpointReached'; index: number; total: number } // index counts from 1 in route order
+  | { type: 'loadError'; error: string }; // Sent when the course data is rejected
 
 /**
  * Web view MessageEvent listener data type. The Devvit API wraps all messages
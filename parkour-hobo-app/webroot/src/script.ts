@@ -1,8 +1,12 @@
 // webroot/src/script.ts
 import * as THREE from 'three';
-import { BlockFactory } from './blockFactory.js';
-import { Player } from './player.js';
-import { Block, CourseData, Vector3, AtmosphereSettings } from './types.js'; // Use simplified CourseData
+import { Atmosphere, animateKillZones } from 'parkour-hobo-core/atmosphere';
+import { BlockFactory, updateBlocks } from 'parkour-hobo-core/blockFactory';
+import { Player } from 'parkour-hobo-core/player';
+import { Block, Vector3 } from 'parkour-hobo-core/types';
+import { parseCourseText } from 'parkour-hobo-core/courseCode';
+import { migrateCourseData } from 'parkour-hobo-core/courseSchema';
+import { formatValidationErrors, validateCourseData } from 'parkour-hobo-core/courseValidator';
 import type { WebViewMessage, DevvitMessage, DevvitSystemMessage } from './message.js'; // Adjust path
 
 /**
@@ -23,18 +27,17 @@ class ParkourPlayerGame {
   private camera: THREE.PerspectiveCamera;
   private renderer: THREE.WebGLRenderer;
   private clock: THREE.Clock;
+  // Clock time the current course started, so moving platforms begin their
+  // routes from their own positions
+  private courseStartTime: number = 0;
 
   // Game components
   private blockFactory: BlockFactory;
   private player: Player | null = null;
   private currentCourseBlocks: Block[] = [];
 
-  // Atmosphere
-  private skyBox: THREE.Mesh | null = null;
-  private clouds: THREE.Group | null = null;
-  private sunMoon: THREE.Mesh | null = null;
-  private ambientLight: THREE.AmbientLight;
-  private directionalLight: THREE.DirectionalLight;
+  // Sky, clouds and lighting (shared with the course builder)
+  private atmosphere: Atmosphere;
 
   private gameLoopId: number | null = null; // To control the animation loop
   private loadingIndicator: HTMLElement | null;
@@ -65,14 +68,7 @@ class ParkourPlayerGame {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
 
     // --- Lighting ---
-    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.5); // Slightly dimmer ambient
-    this.scene.add(this.ambientLight);
-    this.directionalLight = new THREE.DirectionalLight(0xffffff, 0.7); // Slightly dimmer directional
-    this.directionalLight.position.set(10, 20, 10);
-    // Add shadow capabilities if desired
-    // this.directionalLight.castShadow = true;
-    // this.renderer.shadowMap.enabled = true;
-    this.scene.add(this.directionalLight);
+    this.atmosphere = new Atmosphere(this.scene);
 
 
     // --- Event Listeners ---
@@ -133,34 +129,25 @@ class ParkourPlayerGame {
     }
 
     try {
-      // Use the simplified CourseData type for parsing
-      const courseData: CourseData = JSON.parse(courseJson);
-      console.log('Successfully parsed course JSON:', courseData.name);
+      // Parse (course code or plain JSON) and upgrade to the current schema
+      const courseData = migrateCourseData(parseCourseText(courseJson));
+      console.log(`Successfully parsed course JSON (schema v${courseData.schemaVersion}):`, courseData.name);
 
       // Clear existing scene elements
       this.clearScene();
 
-      // --- Deserialize and Add Blocks ---
-      if (!courseData.blocks || !Array.isArray(courseData.blocks)) {
-          throw new Error("Course data is missing or has invalid 'blocks' array.");
+      // Reject the whole course rather than playing a half-broken one
+      const validationErrors = validateCourseData(courseData, {
+        blockTypes: this.blockFactory.getAllBlockTypes(),
+      });
+      if (validationErrors.length > 0) {
+        throw new Error(`Invalid course data:\n${formatValidationErrors(validationErrors)}`);
       }
-      this.currentCourseBlocks = courseData.blocks.map((blockData) => {
-        if (!blockData || !blockData.type || !blockData.position || !blockData.rotation) {
-             console.warn("Skipping invalid block data:", blockData);
-             return null; // Skip invalid block data
-        }
-        try {
-            return this.blockFactory.createBlock(
-              blockData.type,
-              blockData.position,
-              blockData.rotation
-            );
-        } catch(blockError: any) {
-             console.error(`Failed to create block of type ${blockData.type}:`, blockError.message);
-             return null; // Skip blocks that fail creation
-        }
-      }).filter(block => block !== null) as Block[]; // Filter out nulls
 
+      // --- Deserialize and Add Blocks ---
+      this.currentCourseBlocks = courseData.blocks.map((blockData) =>
+        this.blockFactory.createBlockFromData(blockData)
+      );
 
       this.currentCourseBlocks.forEach(block => {
         if (block.mesh) {
@@ -173,8 +160,7 @@ class ParkourPlayerGame {
       console.log(`Added ${this.currentCourseBlocks.length} blocks to the scene.`);
 
       // --- Setup Atmosphere ---
-      const atmosphereSettings = courseData.atmosphere || { isDayMode: true };
-      this.setupAtmosphere(atmosphereSettings);
+      this.atmosphere.apply(courseData.atmosphere);
 
       // --- Determine Start Position ---
       // Use startPosition from JSON if available, otherwise find 'start' block
@@ -195,6 +181,7 @@ class ParkourPlayerGame {
       console.log('Creating player at:', startPosition);
       // --- Create Player ---
       this.player = new Player(startPosition, this.camera);
+      this.player.setKillPlaneY(courseData.templateSettings.killPlaneY);
       this.scene.add(this.player.mesh);
       // Enable shadows if needed
       // this.player.mesh.castShadow = true;
@@ -206,13 +193,19 @@ class ParkourPlayerGame {
         // Could send message: postDevvitMessage({ type: 'playerDied' });
       });
 
+      // Checkpoints let the host show progress through the course
+      this.player.setOnCheckpoint((index, total) => {
+        postDevvitMessage({ type: 'checkpointReached', index, total });
+      });
+
       // Level completion sends message back to Devvit
       this.player.setOnLevelComplete(() => {
-        console.log('Level Complete! (internal callback)');
-        // Message is sent from within Player.checkSpecialZones now
+        console.log('Level Complete!');
+        postDevvitMessage({ type: 'levelComplete' });
       });
 
       // --- Start Game Loop ---
+      this.courseStartTime = this.clock.elapsedTime;
       this.startGameLoop();
 
       if (this.loadingIndicator) this.loadingIndicator.style.display = 'none';
@@ -223,8 +216,8 @@ class ParkourPlayerGame {
           this.loadingIndicator.textContent = `Error loading course: ${error.message}`;
           this.loadingIndicator.style.color = 'red';
       }
-      // Optional: Send error message back to Devvit
-      // postDevvitMessage({ type: 'loadError', error: `Invalid course data: ${error.message}` });
+      // Let the Devvit app tell the player why the course didn't start
+      postDevvitMessage({ type: 'loadError', error: error.message });
     }
   }
 
@@ -269,14 +262,8 @@ class ParkourPlayerGame {
       this.player.destroy(); // Clean up player listeners
       this.player = null;
     }
-     // Remove atmosphere elements
-    if (this.skyBox) this.scene.remove(this.skyBox);
-    if (this.clouds) this.scene.remove(this.clouds);
-    if (this.sunMoon) this.scene.remove(this.sunMoon);
-    // Add disposal for atmosphere geometries/materials if needed
-    this.skyBox = null;
-    this.clouds = null;
-    this.sunMoon = null;
+    // Remove atmosphere elements
+    this.atmosphere.clear();
   }
 
   // --- Game Loop ---
@@ -296,7 +283,16 @@ class ParkourPlayerGame {
     const time = this.clock.getElapsedTime();
 
     // Animate kill zones
-    this.animateKillZones(time);
+    animateKillZones(this.currentCourseBlocks, time);
+
+    // Update blocks before the player, so anyone standing on a moving platform
+    // rides along and crumbling bags know who is on them
+    updateBlocks(
+      this.currentCourseBlocks,
+      time - this.courseStartTime,
+      delta,
+      this.player ? this.player.getGroundBlock() : null
+    );
 
     // Update Player
     if (this.player) {
@@ -318,110 +314,6 @@ class ParkourPlayerGame {
 
   }
 
-  // --- Atmosphere & Killzone Methods (Copied directly from previous example, ensure THREE is accessible) ---
-  private setupAtmosphere(settings: AtmosphereSettings) { /* ... code ... */
-    // Remove existing atmosphere elements
-    if (this.skyBox) this.scene.remove(this.skyBox);
-    if (this.clouds) this.scene.remove(this.clouds);
-    if (this.sunMoon) this.scene.remove(this.sunMoon);
-
-    if (settings.isDayMode) {
-      this.scene.background = new THREE.Color(0x87ceeb);
-      this.createDaytimeAtmosphere();
-    } else {
-      this.scene.background = new THREE.Color(0x6666ff);
-      this.createNighttimeAtmosphere();
-    }
-    this.updateLighting(settings);
-  }
-  private createDaytimeAtmosphere() { /* ... code ... */
-    const sunGeometry = new THREE.SphereGeometry(5, 32, 32);
-    const sunMaterial = new THREE.MeshBasicMaterial({ color: 0xffff00, transparent: true, opacity: 0.8 });
-    this.sunMoon = new THREE.Mesh(sunGeometry, sunMaterial);
-    this.sunMoon.position.set(50, 100, -100);
-    this.scene.add(this.sunMoon);
-
-    this.clouds = new THREE.Group();
-    for (let i = 0; i < 15; i++) {
-      const cloud = this.createCloud(0xffffff, 0.3);
-      cloud.position.set((Math.random() - 0.5) * 200, 25 + Math.random() * 20, (Math.random() - 0.5) * 200);
-      this.clouds.add(cloud);
-    }
-    this.scene.add(this.clouds);
-  }
-  private createNighttimeAtmosphere() { /* ... code ... */
-    const moonGeometry = new THREE.SphereGeometry(5, 32, 32);
-    const moonMaterial = new THREE.MeshBasicMaterial({ color: 0xdddddd, transparent: true, opacity: 0.8 });
-    this.sunMoon = new THREE.Mesh(moonGeometry, moonMaterial);
-    this.sunMoon.position.set(50, 100, -100);
-    this.scene.add(this.sunMoon);
-
-    this.clouds = new THREE.Group();
-    for (let i = 0; i < 10; i++) {
-      const cloud = this.createCloud(0x777777, 0.5);
-      cloud.position.set((Math.random() - 0.5) * 200, 25 + Math.random() * 20, (Math.random() - 0.5) * 200);
-      this.clouds.add(cloud);
-    }
-    this.scene.add(this.clouds);
-  }
-  private createCloud(color: number, opacity: number): THREE.Group { /* ... code ... */
-    const cloudGroup = new THREE.Group();
-    const sphereCount = 5 + Math.floor(Math.random() * 5);
-    const baseSize = 3 + Math.random() * 3;
-    for (let i = 0; i < sphereCount; i++) {
-        const sphereGeometry = new THREE.SphereGeometry(baseSize * (0.6 + Math.random() * 0.4), 8, 8);
-        const sphereMaterial = new THREE.MeshLambertMaterial({ color: color, transparent: true, opacity: opacity });
-        const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        const angle = (i / sphereCount) * Math.PI * 2;
-        const radius = baseSize * 0.8;
-        sphere.position.set(Math.cos(angle) * radius, (Math.random() - 0.5) * baseSize * 0.5, Math.sin(angle) * radius);
-        cloudGroup.add(sphere);
-    }
-    return cloudGroup;
-  }
-  private updateLighting(settings: AtmosphereSettings) { /* ... code ... */
-    if (settings.isDayMode) {
-      this.ambientLight.intensity = 0.5;
-      this.directionalLight.intensity = 0.7;
-      this.directionalLight.color.set(0xffffff);
-      this.directionalLight.position.set(10, 20, 10);
-    } else {
-      this.ambientLight.intensity = 0.3; // Dimmer night ambient
-      this.directionalLight.intensity = 0.4; // Dimmer night directional
-      this.directionalLight.color.set(0xccddff); // Moonlight color
-      this.directionalLight.position.set(-10, 20, -10);
-    }
-  }
-  private animateKillZones(time: number) { /* ... code ... */
-    if (!this.currentCourseBlocks) return;
-     for (const block of this.currentCourseBlocks) {
-       if ((block.type === 'killZone' || block.type === 'killZoneLarge') && block.mesh) {
-         const opacity = 0.4 + (Math.sin(time * 4) + 1) * 0.15; // Faster pulse
-         if (block.mesh instanceof THREE.Mesh) {
-           const material = block.mesh.material as THREE.MeshLambertMaterial;
-           if (material.transparent) material.opacity = opacity;
-         } else if (block.mesh instanceof THREE.Group) {
-           if (block.mesh.children.length > 0) {
-             const baseMesh = block.mesh.children[0];
-             if (baseMesh instanceof THREE.Mesh) {
-               const material = baseMesh.material as THREE.MeshLambertMaterial;
-               if (material.transparent) material.opacity = opacity;
-             }
-           }
-           for (let i = 1; i < block.mesh.children.length; i++) {
-             const triangle = block.mesh.children[i];
-             if (triangle instanceof THREE.Mesh) {
-               const originalY = (triangle as any).originalY ?? 0.3;
-               const randomPhase = (triangle as any).randomPhase ?? 0;
-               triangle.position.y = originalY + Math.sin(time * 2.5 + randomPhase) * 0.12; // Slightly different animation
-               triangle.rotation.y = time * 0.6 + randomPhase;
-             }
-           }
-         }
-       }
-     }
-   }
-
   // Method to clean up resources
   public destroy() {
     console.log("Destroying ParkourPlayerGame instance...");
@@ -0,0 +1,217 @@
+import * as THREE from "three";
+import { AtmosphereSettings, Block } from "./types.js";
+
+// Sky, clouds and lighting for a course scene. Owns the scene's lights so the
+// builder and the webview light a course identically.
+export class Atmosphere {
+  readonly ambientLight: THREE.AmbientLight;
+  readonly directionalLight: THREE.DirectionalLight;
+  private scene: THREE.Scene;
+  private clouds: THREE.Group | null = null;
+  private sunMoon: THREE.Mesh | null = null;
+
+  constructor(scene: THREE.Scene) {
+    this.scene = scene;
+
+    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    this.scene.add(this.ambientLight);
+
+    this.directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    this.directionalLight.position.set(10, 20, 10);
+    this.scene.add(this.directionalLight);
+  }
+
+  apply(settings: AtmosphereSettings) {
+    // Remove existing atmosphere elements
+    this.clear();
+
+    // Set background color based on day/night mode
+    if (settings.isDayMode) {
+      this.scene.background = new THREE.Color(0x87ceeb); // Light blue sky
+      this.createDaytimeAtmosphere();
+    } else {
+      this.scene.background = new THREE.Color(0x6666ff); // Brighter blue night sky
+      this.createNighttimeAtmosphere();
+    }
+
+    // Update lights based on day/night mode
+    this.updateLighting(settings);
+  }
+
+  // Remove the sky objects (lights stay in the scene)
+  clear() {
+    if (this.clouds) {
+      this.scene.remove(this.clouds);
+      disposeObject(this.clouds);
+      this.clouds = null;
+    }
+    if (this.sunMoon) {
+      this.scene.remove(this.sunMoon);
+      disposeObject(this.sunMoon);
+      this.sunMoon = null;
+    }
+  }
+
+  private createDaytimeAtmosphere() {
+    // Create sun
+    const sunGeometry = new THREE.SphereGeometry(5, 32, 32);
+    const sunMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffff00,
+      transparent: true,
+      opacity: 0.8,
+    });
+    this.sunMoon = new THREE.Mesh(sunGeometry, sunMaterial);
+    this.sunMoon.position.set(50, 100, -100);
+    this.scene.add(this.sunMoon);
+
+    this.clouds = this.createClouds(15, 0xffffff, 0.3); // White, semi-transparent
+    this.scene.add(this.clouds);
+  }
+
+  private createNighttimeAtmosphere() {
+    // Create moon
+    const moonGeometry = new THREE.SphereGeometry(5, 32, 32);
+    const moonMaterial = new THREE.MeshBasicMaterial({
+      color: 0xdddddd,
+      transparent: true,
+      opacity: 0.8,
+    });
+    this.sunMoon = new THREE.Mesh(moonGeometry, moonMaterial);
+    this.sunMoon.position.set(50, 100, -100);
+    this.scene.add(this.sunMoon);
+
+    this.clouds = this.createClouds(10, 0x777777, 0.5); // Darker, more opaque
+    this.scene.add(this.clouds);
+  }
+
+  private createClouds(count: number, color: number, opacity: number) {
+    const clouds = new THREE.Group();
+
+    // Position clouds randomly in the sky
+    for (let i = 0; i < count; i++) {
+      const cloud = this.createCloud(color, opacity);
+      cloud.position.set(
+        (Math.random() - 0.5) * 200,
+        25 + Math.random() * 20,
+        (Math.random() - 0.5) * 200
+      );
+      clouds.add(cloud);
+    }
+
+    return clouds;
+  }
+
+  private createCloud(color: number, opacity: number): THREE.Group {
+    const cloudGroup = new THREE.Group();
+
+    // Create several overlapping spheres to form a cloud
+    const sphereCount = 5 + Math.floor(Math.random() * 5);
+    const baseSize = 3 + Math.random() * 3;
+
+    for (let i = 0; i < sphereCount; i++) {
+      const sphereGeometry = new THREE.SphereGeometry(
+        baseSize * (0.6 + Math.random() * 0.4),
+        8,
+        8
+      );
+      const sphereMaterial = new THREE.MeshLambertMaterial({
+        color: color,
+        transparent: true,
+        opacity: opacity,
+      });
+      const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
+
+      // Arrange spheres in a roughly circular pattern
+      const angle = (i / sphereCount) * Math.PI * 2;
+      const radius = baseSize * 0.8;
+      sphere.position.set(
+        Math.cos(angle) * radius,
+        (Math.random() - 0.5) * baseSize * 0.5,
+        Math.sin(angle) * radius
+      );
+
+      cloudGroup.add(sphere);
+    }
+
+    return cloudGroup;
+  }
+
+  private updateLighting(settings: AtmosphereSettings) {
+    if (settings.isDayMode) {
+      // Bright daylight settings
+      this.ambientLight.intensity = 0.5;
+      this.directionalLight.intensity = 0.8;
+      this.directionalLight.color.set(0xffffff);
+      this.directionalLight.position.set(10, 20, 10);
+    } else {
+      // Night lighting with a bluish moonlight tint
+      this.ambientLight.intensity = 0.35;
+      this.directionalLight.intensity = 0.45;
+      this.directionalLight.color.set(0xccddff);
+      this.directionalLight.position.set(-10, 20, -10);
+    }
+  }
+}
+
+// Pulse kill zones and float their warning triangles to make them more visible
+export function animateKillZones(blocks: Block[], time: number) {
+  // Pulse the opacity between 0.3 and 0.7
+  const opacity = 0.3 + (Math.sin(time * 3) + 1) * 0.2;
+
+  for (const block of blocks) {
+    if (
+      (block.type !== "killZone" && block.type !== "killZoneLarge") ||
+      !block.mesh
+    ) {
+      continue;
+    }
+
+    // Kill zones given a lower opacity pulse at that fraction
+    const fade = block.appearance?.opacity ?? 1;
+    if (block.mesh instanceof THREE.Mesh) {
+      const material = block.mesh.material as THREE.MeshLambertMaterial;
+      if (material.transparent) {
+        material.opacity = opacity * fade;
+      }
+    } else if (block.mesh.children.length > 0) {
+      // Handle the base mesh opacity
+      const baseMesh = block.mesh.children[0];
+      if (baseMesh instanceof THREE.Mesh) {
+        const material = baseMesh.material as THREE.MeshLambertMaterial;
+        if (material.transparent) {
+          material.opacity = opacity * fade;
+        }
+      }
+
+      // Animate the warning triangles
+      for (let i = 1; i < block.mesh.children.length; i++) {
+        const triangle = block.mesh.children[i];
+        if (triangle instanceof THREE.Mesh) {
+          // Original Y position and random phase are stored during creation
+          const originalY = (triangle as any).originalY || 0.3;
+          const randomPhase = (triangle as any).randomPhase || 0;
+
+          // Float up and down with a slight random phase difference
+          triangle.position.y =
+            originalY + Math.sin(time * 2 + randomPhase) * 0.1;
+
+          // Rotate slowly
+          triangle.rotation.y = time * 0.5 + randomPhase;
+        }
+      }
+    }
+  }
+}
+
+function disposeObject(object: THREE.Object3D) {
+  object.traverse((child) => {
+    if (child instanceof THREE.Mesh) {
+      child.geometry.dispose();
+      if (Array.isArray(child.material)) {
+        child.material.forEach((material) => material.dispose());
+      } else {
+        child.material.dispose();
+      }
+    }
+  });
+}
@@ -0,0 +1,132 @@
+// Size of each block type in world units (before rotation), matching the
+// meshes built by BlockFactory. Collision uses each mesh's bounding box, so
+// these are what the player actually stands on.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+export interface BlockDimensions {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export const BLOCK_DIMENSIONS: Record<string, BlockDimensions> = {
+  floor: { x: 5, y: 0.2, z: 5 },
+  smallPlatform: { x: 2, y: 0.5, z: 2 },
+  largePlatform: { x: 4, y: 0.5, z: 4 },
+  garbageBag: { x: 2, y: 1.5, z: 2 },
+  rooftop: { x: 3, y: 0.3, z: 3 },
+  building: { x: 2, y: 5, z: 2 },
+  bridge: { x: 2, y: 0.3, z: 6 },
+  killZone: { x: 3, y: 0.2, z: 3 },
+  killZoneLarge: { x: 6, y: 0.2, z: 6 },
+  start: { x: 1, y: 0.5, z: 1 },
+  finish: { x: 1, y: 0.5, z: 1 },
+  checkpoint: { x: 1.5, y: 0.3, z: 1.5 },
+  movingPlatform: { x: 3, y: 0.4, z: 3 },
+  bouncePad: { x: 2, y: 0.3, z: 2 },
+  launchPad: { x: 2, y: 0.3, z: 2 },
+};
+
+// Every block type BlockFactory builds. Courses are checked against this list
+// (see courseValidator.ts), so a new type only needs adding above.
+export const BLOCK_TYPES = Object.keys(BLOCK_DIMENSIONS);
+
+// How far each block type can be stretched or shrunk along each of its own
+// axes. Start, Finish and checkpoints keep their size so players can always
+// recognise them.
+export interface BlockScaleLimits {
+  min: number;
+  max: number;
+}
+
+export const BLOCK_SCALE_LIMITS: Record<string, BlockScaleLimits> = {
+  floor: { min: 0.2, max: 8 },
+  smallPlatform: { min: 0.25, max: 10 },
+  largePlatform: { min: 0.25, max: 5 },
+  garbageBag: { min: 0.5, max: 2 },
+  rooftop: { min: 0.25, max: 8 },
+  building: { min: 0.5, max: 4 },
+  bridge: { min: 0.25, max: 5 },
+  killZone: { min: 0.25, max: 8 },
+  killZoneLarge: { min: 0.25, max: 4 },
+  start: { min: 1, max: 1 },
+  finish: { min: 1, max: 1 },
+  checkpoint: { min: 1, max: 1 },
+  movingPlatform: { min: 0.5, max: 3 },
+  bouncePad: { min: 0.5, max: 3 },
+  launchPad: { min: 0.5, max: 3 },
+};
+
+// Blocks saved without a scale are their type's normal size
+export const UNIT_SCALE = { x: 1, y: 1, z: 1 };
+
+export function getScaleLimits(type: string): BlockScaleLimits {
+  return BLOCK_SCALE_LIMITS[type] ?? { min: 1, max: 1 };
+}
+
+// Keep each axis of a scale inside its type's limits
+export function clampScale(
+  type: string,
+  scale: { x: number; y: number; z: number }
+) {
+  const { min, max } = getScaleLimits(type);
+  const clamp = (value: number) => Math.min(max, Math.max(min, value));
+  return { x: clamp(scale.x), y: clamp(scale.y), z: clamp(scale.z) };
+}
+
+export function isUnitScale(scale: { x: number; y: number; z: number }) {
+  return scale.x === 1 && scale.y === 1 && scale.z === 1;
+}
+
+export interface BlockBounds {
+  min: { x: number; y: number; z: number };
+  max: { x: number; y: number; z: number };
+}
+
+// Axis-aligned bounds of a placed block, like three's Box3.setFromObject on
+// its mesh. Rotation is in degrees, applied in the XYZ Euler order the meshes
+// use; the block's scale stretches its type's size before it is rotated.
+export function getBlockBounds(
+  block: {
+    position: { x: number; y: number; z: number };
+    rotation: { x: number; y: number; z: number };
+    scale?: { x: number; y: number; z: number };
+  },
+  typeSize: BlockDimensions
+): BlockBounds {
+  const scale = block.scale ?? UNIT_SCALE;
+  const size = {
+    x: typeSize.x * scale.x,
+    y: typeSize.y * scale.y,
+    z: typeSize.z * scale.z,
+  };
+  const toRad = Math.PI / 180;
+  const a = Math.cos(block.rotation.x * toRad);
+  const b = Math.sin(block.rotation.x * toRad);
+  const c = Math.cos(block.rotation.y * toRad);
+  const d = Math.sin(block.rotation.y * toRad);
+  const e = Math.cos(block.rotation.z * toRad);
+  const f = Math.sin(block.rotation.z * toRad);
+
+  const rows = [
+    [c * e, -c * f, d],
+    [a * f + b * e * d, a * e - b * f * d, -b * c],
+    [b * f - a * e * d, b * e + a * f * d, a * c],
+  ];
+  const [hx, hy, hz] = rows.map(
+    (row) =>
+      (Math.abs(row[0]) * size.x +
+        Math.abs(row[1]) * size.y +
+        Math.abs(row[2]) * size.z) /
+      2
+  );
+
+  const { x, y, z } = block.position;
+  return {
+    min: { x: x - hx, y: y - hy, z: z - hz },
+    max: { x: x + hx, y: y + hy, z: z + hz },
+  };
+}
+
+export const isKillZoneType = (type: string) =>
+  type === "killZone" || type === "killZoneLarge";
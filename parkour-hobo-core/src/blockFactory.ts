@@ -1,5 +1,17 @@
 import * as THREE from "three";
-import { Block, BlockDefinition, Vector3 } from "./types";
+import { BLOCK_DIMENSIONS, UNIT_SCALE } from "./blockDimensions.js";
+import {
+  BlockAppearance,
+  MAX_CHECKPOINTS,
+  SerializedBlock,
+  copySurface,
+  isDefaultAppearance,
+} from "./courseSchema.js";
+import { getPlatformOffset } from "./platformPath.js";
+import { Block, BlockDefinition, Vector3 } from "./types.js";
+
+// The material each block part was built with, before appearance overrides
+const baseMaterials = new WeakMap<THREE.Mesh, THREE.Material>();
 
 export class BlockFactory {
   private blockDefinitions: Record<string, BlockDefinition> = {};
@@ -12,7 +24,7 @@ export class BlockFactory {
     // Register Floor
     this.registerBlockType({
       type: "floor",
-      dimensions: { x: 5, y: 0.2, z: 5 },
+      dimensions: BLOCK_DIMENSIONS.floor,
       color: "#8B8B8B",
       previewColor: "#8B8B8B80",
       createMesh: (position, rotation) => {
@@ -52,7 +64,7 @@ export class BlockFactory {
     // Register Small Platform
     this.registerBlockType({
       type: "smallPlatform",
-      dimensions: { x: 2, y: 0.5, z: 2 },
+      dimensions: BLOCK_DIMENSIONS.smallPlatform,
       color: "#C4C4C4",
       previewColor: "#C4C4C480",
       createMesh: (position, rotation) => {
@@ -92,7 +104,7 @@ export class BlockFactory {
     // Register Large Platform
     this.registerBlockType({
       type: "largePlatform",
-      dimensions: { x: 4, y: 0.5, z: 4 },
+      dimensions: BLOCK_DIMENSIONS.largePlatform,
       color: "#C4C4C4",
       previewColor: "#C4C4C480",
       createMesh: (position, rotation) => {
@@ -132,7 +144,7 @@ export class BlockFactory {
     // Register Garbage Bag
     this.registerBlockType({
       type: "garbageBag",
-      dimensions: { x: 2, y: 1.5, z: 2 },
+      dimensions: BLOCK_DIMENSIONS.garbageBag,
       color: "#4D4D4D",
       previewColor: "#4D4D4D80",
       createMesh: (position, rotation) => {
@@ -245,7 +257,7 @@ export class BlockFactory {
     // Register Rooftop
     this.registerBlockType({
       type: "rooftop",
-      dimensions: { x: 3, y: 0.3, z: 3 },
+      dimensions: BLOCK_DIMENSIONS.rooftop,
       color: "#6D6D6D",
       previewColor: "#6D6D6D80",
       createMesh: (position, rotation) => {
@@ -285,7 +297,7 @@ export class BlockFactory {
     // Register Building
     this.registerBlockType({
       type: "building",
-      dimensions: { x: 2, y: 5, z: 2 },
+      dimensions: BLOCK_DIMENSIONS.building,
       color: "#9E9E9E",
       previewColor: "#9E9E9E80",
       createMesh: (position, rotation) => {
@@ -325,7 +337,7 @@ export class BlockFactory {
     // Register Bridge - More complex with railings
     this.registerBlockType({
       type: "bridge",
-      dimensions: { x: 2, y: 0.3, z: 6 },
+      dimensions: BLOCK_DIMENSIONS.bridge,
       color: "#A0522D",
       previewColor: "#A0522D80",
       createMesh: (position, rotation) => {
@@ -456,7 +468,7 @@ export class BlockFactory {
     // Register Kill Zone
     this.registerBlockType({
       type: "killZone",
-      dimensions: { x: 3, y: 0.2, z: 3 },
+      dimensions: BLOCK_DIMENSIONS.killZone,
       color: "#FF0000",
       previewColor: "#FF000080",
       createMesh: (position, rotation) => {
@@ -546,7 +558,7 @@ export class BlockFactory {
     // Register Large Kill Zone
     this.registerBlockType({
       type: "killZoneLarge",
-      dimensions: { x: 6, y: 0.2, z: 6 },
+      dimensions: BLOCK_DIMENSIONS.killZoneLarge,
       color: "#FF0000",
       previewColor: "#FF000080",
       createMesh: (position, rotation) => {
@@ -648,7 +660,7 @@ export class BlockFactory {
     // Register Start
     this.registerBlockType({
       type: "start",
-      dimensions: { x: 1, y: 0.5, z: 1 },
+      dimensions: BLOCK_DIMENSIONS.start,
       color: "#4CAF50",
       previewColor: "#4CAF5080",
       limit: 1,
@@ -689,7 +701,7 @@ export class BlockFactory {
     // Register Finish
     this.registerBlockType({
       type: "finish",
-      dimensions: { x: 1, y: 0.5, z: 1 },
+      dimensions: BLOCK_DIMENSIONS.finish,
       color: "#f44336",
       previewColor: "#f4433680",
       limit: 1,
@@ -726,13 +738,209 @@ export class BlockFactory {
         }
       },
     });
+
+    // Register Checkpoint - a pad that lights up once the player reaches it
+    this.registerBlockType({
+      type: "checkpoint",
+      dimensions: BLOCK_DIMENSIONS.checkpoint,
+      color: "#FFC107",
+      previewColor: "#FFC10780",
+      limit: MAX_CHECKPOINTS,
+      createMesh: (position, rotation) => {
+        const geometry = new THREE.BoxGeometry(1.5, 0.3, 1.5);
+        const material = new THREE.MeshLambertMaterial({ color: "#FFC107" });
+        const mesh = new THREE.Mesh(geometry, material);
+
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.rotation.set(
+          THREE.MathUtils.degToRad(rotation.x),
+          THREE.MathUtils.degToRad(rotation.y),
+          THREE.MathUtils.degToRad(rotation.z)
+        );
+
+        return mesh;
+      },
+      createPlaceholder: () => {
+        const geometry = new THREE.BoxGeometry(1.5, 0.3, 1.5);
+        const material = new THREE.MeshLambertMaterial({
+          color: "#FFC10780",
+          transparent: true,
+          opacity: 0.5,
+          depthWrite: false,
+        });
+
+        return new THREE.Mesh(geometry, material);
+      },
+      highlightPlaceholder: (mesh, isValid) => {
+        if (mesh instanceof THREE.Mesh) {
+          const material = mesh.material as THREE.MeshLambertMaterial;
+          material.opacity = isValid ? 0.5 : 0.7;
+          material.color.set(isValid ? "#FFC10780" : "#FF0000");
+        }
+      },
+    });
+
+    // Register Moving Platform - follows its path while the course is played
+    this.registerBlockType({
+      type: "movingPlatform",
+      dimensions: BLOCK_DIMENSIONS.movingPlatform,
+      color: "#26A69A",
+      previewColor: "#26A69A80",
+      createMesh: (position, rotation) => {
+        const geometry = new THREE.BoxGeometry(3, 0.4, 3);
+        const material = new THREE.MeshLambertMaterial({ color: "#26A69A" });
+        const mesh = new THREE.Mesh(geometry, material);
+
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.rotation.set(
+          THREE.MathUtils.degToRad(rotation.x),
+          THREE.MathUtils.degToRad(rotation.y),
+          THREE.MathUtils.degToRad(rotation.z)
+        );
+
+        return mesh;
+      },
+      createPlaceholder: () => {
+        const geometry = new THREE.BoxGeometry(3, 0.4, 3);
+        const material = new THREE.MeshLambertMaterial({
+          color: "#26A69A80",
+          transparent: true,
+          opacity: 0.5,
+          depthWrite: false,
+        });
+
+        return new THREE.Mesh(geometry, material);
+      },
+      highlightPlaceholder: (mesh, isValid) => {
+        if (mesh instanceof THREE.Mesh) {
+          const material = mesh.material as THREE.MeshLambertMaterial;
+          material.opacity = isValid ? 0.5 : 0.7;
+          material.color.set(isValid ? "#26A69A80" : "#FF0000");
+        }
+      },
+    });
+
+    // Register Bounce Pad - throws the player straight up
+    this.registerBlockType({
+      type: "bouncePad",
+      dimensions: BLOCK_DIMENSIONS.bouncePad,
+      color: "#E91E63",
+      previewColor: "#E91E6380",
+      createMesh: (position, rotation) => {
+        const geometry = new THREE.BoxGeometry(2, 0.3, 2);
+        const material = new THREE.MeshLambertMaterial({ color: "#E91E63" });
+        const mesh = new THREE.Mesh(geometry, material);
+
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.rotation.set(
+          THREE.MathUtils.degToRad(rotation.x),
+          THREE.MathUtils.degToRad(rotation.y),
+          THREE.MathUtils.degToRad(rotation.z)
+        );
+
+        return mesh;
+      },
+      createPlaceholder: () => {
+        const geometry = new THREE.BoxGeometry(2, 0.3, 2);
+        const material = new THREE.MeshLambertMaterial({
+          color: "#E91E6380",
+          transparent: true,
+          opacity: 0.5,
+          depthWrite: false,
+        });
+
+        return new THREE.Mesh(geometry, material);
+      },
+      highlightPlaceholder: (mesh, isValid) => {
+        if (mesh instanceof THREE.Mesh) {
+          const material = mesh.material as THREE.MeshLambertMaterial;
+          material.opacity = isValid ? 0.5 : 0.7;
+          material.color.set(isValid ? "#E91E6380" : "#FF0000");
+        }
+      },
+    });
+
+    // Register Launch Pad - throws the player up and the way its arrow points
+    this.registerBlockType({
+      type: "launchPad",
+      dimensions: BLOCK_DIMENSIONS.launchPad,
+      color: "#FF9800",
+      previewColor: "#FF980080",
+      createMesh: (position, rotation) => {
+        const padGroup = new THREE.Group();
+
+        const geometry = new THREE.BoxGeometry(2, 0.3, 2);
+        const material = new THREE.MeshLambertMaterial({ color: "#FF9800" });
+        padGroup.add(new THREE.Mesh(geometry, material));
+        padGroup.add(
+          createLaunchArrow(
+            new THREE.MeshLambertMaterial({
+              color: "#FFFFFF",
+              side: THREE.DoubleSide,
+            })
+          )
+        );
+
+        padGroup.position.set(position.x, position.y, position.z);
+        padGroup.rotation.set(
+          THREE.MathUtils.degToRad(rotation.x),
+          THREE.MathUtils.degToRad(rotation.y),
+          THREE.MathUtils.degToRad(rotation.z)
+        );
+
+        return padGroup;
+      },
+      createPlaceholder: () => {
+        const padGroup = new THREE.Group();
+
+        const geometry = new THREE.BoxGeometry(2, 0.3, 2);
+        const material = new THREE.MeshLambertMaterial({
+          color: "#FF980080",
+          transparent: true,
+          opacity: 0.5,
+          depthWrite: false,
+        });
+        padGroup.add(new THREE.Mesh(geometry, material));
+
+        // The arrow shows which way the pad will launch
+        padGroup.add(
+          createLaunchArrow(
+            new THREE.MeshLambertMaterial({
+              color: "#FFFFFF",
+              side: THREE.DoubleSide,
+              transparent: true,
+              opacity: 0.7,
+              depthWrite: false,
+            })
+          )
+        );
+
+        return padGroup;
+      },
+      highlightPlaceholder: (mesh, isValid) => {
+        if (mesh instanceof THREE.Group && mesh.children.length > 0) {
+          const baseMesh = mesh.children[0];
+          if (baseMesh instanceof THREE.Mesh) {
+            const material = baseMesh.material as THREE.MeshLambertMaterial;
+            material.opacity = isValid ? 0.5 : 0.7;
+            material.color.set(isValid ? "#FF980080" : "#FF0000");
+          }
+        }
+      },
+    });
   }
 
   private registerBlockType(definition: BlockDefinition) {
     this.blockDefinitions[definition.type] = definition;
   }
 
-  createBlock(type: string, position: Vector3, rotation: Vector3): Block {
+  createBlock(
+    type: string,
+    position: Vector3,
+    rotation: Vector3,
+    scale: Vector3 = { ...UNIT_SCALE },
+    appearance?: BlockAppearance
+  ): Block {
     const definition = this.blockDefinitions[type];
     if (!definition) {
       throw new Error(`Unknown block type: ${type}`);
@@ -740,12 +948,14 @@ export class BlockFactory {
 
     // Create the mesh using the definition's factory method
     const mesh = definition.createMesh(position, rotation);
+    mesh.scale.set(scale.x, scale.y, scale.z);
 
     // Create a block with proper highlighting methods
     const block: Block = {
       type,
       position,
       rotation,
+      scale,
       mesh,
       originalMaterials: [],
 
@@ -806,9 +1016,66 @@ export class BlockFactory {
       },
     };
 
+    if (appearance) {
+      this.applyAppearance(block, appearance);
+    }
+    return block;
+  }
+
+  // Re-create a block saved in course JSON, with any per-block settings
+  createBlockFromData(data: SerializedBlock): Block {
+    const block = this.createBlock(
+      data.type,
+      data.position,
+      data.rotation,
+      data.scale,
+      data.appearance
+    );
+    if (data.checkpointOrder !== undefined) {
+      block.checkpointOrder = data.checkpointOrder;
+    }
+    if (data.launch) {
+      block.launch = { ...data.launch };
+    }
+    if (data.crumble) {
+      block.crumble = { ...data.crumble };
+    }
+    if (data.surface) {
+      block.surface = copySurface(data.surface);
+    }
+    if (data.path) {
+      block.path = {
+        ...data.path,
+        waypoints: data.path.waypoints.map((waypoint) => ({ ...waypoint })),
+      };
+    }
     return block;
   }
 
+  // Tint, glow and fade a block. Each part's own material is remembered, so
+  // overrides can be changed or cleared later. The block must not be
+  // highlighted while this runs.
+  applyAppearance(block: Block, appearance: BlockAppearance | undefined) {
+    block.appearance =
+      appearance && !isDefaultAppearance(appearance)
+        ? { ...appearance }
+        : undefined;
+
+    block.mesh?.traverse((child) => {
+      if (!(child instanceof THREE.Mesh) || Array.isArray(child.material)) {
+        return;
+      }
+      const base = baseMaterials.get(child) ?? child.material;
+      baseMaterials.set(child, base);
+      if (child.material !== base) {
+        child.material.dispose();
+      }
+      child.material = block.appearance
+        ? createAppearanceMaterial(base, block.appearance)
+        : base;
+    });
+  }
+
   createPlaceholder(type: string): THREE.Mesh | THREE.Group {
     const definition = this.blockDefinitions[type];
     if (!definition) {
@@ -839,3 +1106,186 @@ export class BlockFactory {
     return Object.keys(this.blockDefinitions);
   }
 }
+
+// Flat arrow lying on top of a launch pad, pointing along its -Z axis (the
+// way the pad launches)
+function createLaunchArrow(material: THREE.Material): THREE.Mesh {
+  const shape = new THREE.Shape();
+  shape.moveTo(0, 0.8);
+  shape.lineTo(0.5, 0.1);
+  shape.lineTo(0.2, 0.1);
+  shape.lineTo(0.2, -0.7);
+  shape.lineTo(-0.2, -0.7);
+  shape.lineTo(-0.2, 0.1);
+  shape.lineTo(-0.5, 0.1);
+  shape.closePath();
+
+  const arrow = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+  arrow.rotation.x = -Math.PI / 2;
+  arrow.position.y = 0.151;
+  return arrow;
+}
+
+// How far a tint pulls a part's own color towards the tint color, leaving a
+// little of the original shading (windows, stripes) visible
+const TINT_STRENGTH = 0.75;
+
+function createAppearanceMaterial(
+  base: THREE.Material,
+  appearance: BlockAppearance
+): THREE.Material {
+  const material = base.clone();
+  if (appearance.tint && "color" in material) {
+    (material.color as THREE.Color).lerp(
+      new THREE.Color(appearance.tint),
+      TINT_STRENGTH
+    );
+  }
+  if (appearance.emissive && "emissive" in material) {
+    (material.emissive as THREE.Color).set(appearance.emissive);
+  }
+  if (appearance.opacity !== undefined && appearance.opacity < 1) {
+    material.transparent = true;
+    material.opacity = base.opacity * appearance.opacity;
+  }
+  return material;
+}
+
+// Each lit checkpoint's own material, put back when the run restarts
+const unlitCheckpointMaterials = new WeakMap<THREE.Mesh, THREE.Material>();
+
+// Light up a checkpoint the player has reached, or put it back to normal
+export function setCheckpointActive(block: Block, active: boolean) {
+  const mesh = block.mesh;
+  if (!(mesh instanceof THREE.Mesh) || Array.isArray(mesh.material)) return;
+
+  const unlit = unlitCheckpointMaterials.get(mesh);
+  if (active && !unlit) {
+    const lit = mesh.material.clone() as THREE.MeshLambertMaterial;
+    lit.color.set("#00E5FF");
+    lit.emissive.set("#00B8D4");
+    unlitCheckpointMaterials.set(mesh, mesh.material);
+    mesh.material = lit;
+  } else if (!active && unlit) {
+    mesh.material.dispose();
+    mesh.material = unlit;
+    unlitCheckpointMaterials.delete(mesh);
+  }
+}
+
+// Move every moving platform to where it is `time` seconds into its route.
+// Time 0 puts them all back at their own positions.
+export function animateMovingPlatforms(blocks: Block[], time: number) {
+  for (const block of blocks) {
+    if (!block.path || !block.mesh) continue;
+
+    const offset = getPlatformOffset(block.path, time);
+    block.mesh.position.set(
+      block.position.x + offset.x,
+      block.position.y + offset.y,
+      block.position.z + offset.z
+    );
+  }
+}
+
+// How long a crumbling bag shakes before it collapses, and how far it shakes
+const CRUMBLE_SHAKE_TIME = 0.6;
+const CRUMBLE_SHAKE_AMOUNT = 0.06;
+
+// Where each crumbling bag is in its cycle during play. Bags without an entry
+// are resting at their own position.
+interface CrumbleState {
+  phase: "standing" | "shaking" | "collapsed";
+  time: number; // Seconds spent in this phase
+}
+const crumbleStates = new WeakMap<Block, CrumbleState>();
+
+// Per-frame update for blocks that change during play, run before the player
+// moves. `time` counts from the start of the run and `groundBlock` is the
+// block the player is standing on.
+export function updateBlocks(
+  blocks: Block[],
+  time: number,
+  delta: number,
+  groundBlock: Block | null
+) {
+  animateMovingPlatforms(blocks, time);
+  for (const block of blocks) {
+    if (block.crumble) {
+      updateCrumblingBlock(block, delta, block === groundBlock);
+    }
+  }
+}
+
+// Put every block back where the course starts, e.g. when leaving play mode
+export function resetBlocks(blocks: Block[]) {
+  animateMovingPlatforms(blocks, 0);
+  resetCrumblingBlocks(blocks);
+}
+
+// Bring back every bag that is shaking or collapsed
+export function resetCrumblingBlocks(blocks: Block[]) {
+  for (const block of blocks) {
+    if (crumbleStates.has(block)) {
+      restoreCrumblingBlock(block);
+    }
+  }
+}
+
+// A collapsed bag is gone until it comes back, so nothing collides with it
+export function isCollapsed(block: Block): boolean {
+  return crumbleStates.get(block)?.phase === "collapsed";
+}
+
+function updateCrumblingBlock(block: Block, delta: number, stoodOn: boolean) {
+  const mesh = block.mesh;
+  if (!block.crumble || !mesh) return;
+
+  let state = crumbleStates.get(block);
+  if (!state) {
+    if (!stoodOn) return;
+    state = { phase: "standing", time: 0 };
+    crumbleStates.set(block, state);
+  }
+  state.time += delta;
+
+  if (state.phase === "standing") {
+    // Stepping off before the delay is up lets the bag settle again
+    if (!stoodOn) {
+      crumbleStates.delete(block);
+      return;
+    }
+    if (state.time >= block.crumble.delay) {
+      state.phase = "shaking";
+      state.time = 0;
+    }
+  } else if (state.phase === "shaking" && state.time >= CRUMBLE_SHAKE_TIME) {
+    state.phase = "collapsed";
+    state.time = 0;
+    mesh.visible = false;
+  } else if (
+    state.phase === "collapsed" &&
+    state.time >= block.crumble.respawn
+  ) {
+    restoreCrumblingBlock(block);
+    return;
+  }
+
+  mesh.position.set(block.position.x, block.position.y, block.position.z);
+  if (state.phase === "shaking") {
+    mesh.position.x += Math.sin(state.time * 70) * CRUMBLE_SHAKE_AMOUNT;
+    mesh.position.z += Math.cos(state.time * 55) * CRUMBLE_SHAKE_AMOUNT;
+  }
+}
+
+function restoreCrumblingBlock(block: Block) {
+  crumbleStates.delete(block);
+  if (block.mesh) {
+    block.mesh.visible = true;
+    block.mesh.position.set(
+      block.position.x,
+      block.position.y,
+      block.position.z
+    );
+  }
+}
@@ -0,0 +1,159 @@
+// Compact, pasteable course codes.
+// A code looks like "PHC1.<payload>.<checksum>": the payload is the course with
+// quantized positions and a block-type dictionary, deflated and base64url
+// encoded; the checksum is a CRC32 of the deflated bytes so truncated or
+// mangled pastes are caught before decoding.
+// The thumbnail is left out: it is larger than the rest of the course put
+// together, so it only travels in JSON exports.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+import { deflateSync, inflateSync, strFromU8, strToU8 } from "fflate";
+import { SerializedCourse } from "./courseSchema.js";
+
+const CODE_PREFIX = "PHC1";
+
+// Positions are stored in hundredths of a unit, rotations in tenths of a degree
+const POSITION_SCALE = 100;
+const ROTATION_SCALE = 10;
+
+// Packed block: [typeIndex, x, y, z, rotX, rotY, rotZ, extraFields?]
+type PackedBlock = [number, number, number, number, number, number, number, any?];
+
+interface PackedCourse {
+  v: number; // schemaVersion
+  c: Record<string, unknown>; // every course field except blocks
+  t: string[]; // block-type dictionary
+  b: PackedBlock[];
+}
+
+const quantize = (value: number, scale: number) => Math.round(value * scale);
+
+const crc32 = (bytes: Uint8Array): number => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toBase64Url = (bytes: Uint8Array): string => {
+  let binary = "";
+  // Chunk to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text: string): Uint8Array => {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Check whether pasted text looks like a course code rather than JSON
+export function isCourseCode(text: string): boolean {
+  return text.trim().startsWith(`${CODE_PREFIX}.`);
+}
+
+// Encode a serialized course as a compact course code
+export function encodeCourseCode(course: SerializedCourse): string {
+  const { blocks, schemaVersion, thumbnail: _thumbnail, ...courseFields } = course;
+  const types: string[] = [];
+
+  const packedBlocks = blocks.map((block): PackedBlock => {
+    const { type, position, rotation, ...extraFields } = block;
+    let typeIndex = types.indexOf(type);
+    if (typeIndex < 0) {
+      typeIndex = types.push(type) - 1;
+    }
+
+    const packed: PackedBlock = [
+      typeIndex,
+      quantize(position.x, POSITION_SCALE),
+      quantize(position.y, POSITION_SCALE),
+      quantize(position.z, POSITION_SCALE),
+      quantize(rotation.x, ROTATION_SCALE),
+      quantize(rotation.y, ROTATION_SCALE),
+      quantize(rotation.z, ROTATION_SCALE),
+    ];
+    // Carry any per-block fields added by later schema versions as-is
+    if (Object.keys(extraFields).length > 0) {
+      packed.push(extraFields);
+    }
+    return packed;
+  });
+
+  const payload: PackedCourse = {
+    v: schemaVersion,
+    c: courseFields,
+    t: types,
+    b: packedBlocks,
+  };
+
+  const compressed = deflateSync(strToU8(JSON.stringify(payload)), { level: 9 });
+  const checksum = crc32(compressed).toString(16).padStart(8, "0");
+  return `${CODE_PREFIX}.${toBase64Url(compressed)}.${checksum}`;
+}
+
+// Decode a course code back into (unmigrated) course JSON
+export function decodeCourseCode(code: string): unknown {
+  const parts = code.trim().split(".");
+  if (parts.length !== 3 || parts[0] !== CODE_PREFIX) {
+    throw new Error("Not a valid course code");
+  }
+
+  let compressed: Uint8Array;
+  try {
+    compressed = fromBase64Url(parts[1]);
+  } catch {
+    throw new Error("Course code contains invalid characters");
+  }
+
+  const checksum = crc32(compressed).toString(16).padStart(8, "0");
+  if (checksum !== parts[2].toLowerCase()) {
+    throw new Error("Course code is incomplete or corrupted (checksum mismatch)");
+  }
+
+  let payload: PackedCourse;
+  try {
+    payload = JSON.parse(strFromU8(inflateSync(compressed)));
+  } catch {
+    throw new Error("Course code could not be decompressed");
+  }
+
+  if (!payload || !Array.isArray(payload.b) || !Array.isArray(payload.t)) {
+    throw new Error("Course code payload is malformed");
+  }
+
+  return {
+    ...payload.c,
+    schemaVersion: payload.v,
+    blocks: payload.b.map((packed) => ({
+      ...(packed[7] ?? {}),
+      type: payload.t[packed[0]],
+      position: {
+        x: packed[1] / POSITION_SCALE,
+        y: packed[2] / POSITION_SCALE,
+        z: packed[3] / POSITION_SCALE,
+      },
+      rotation: {
+        x: packed[4] / ROTATION_SCALE,
+        y: packed[5] / ROTATION_SCALE,
+        z: packed[6] / ROTATION_SCALE,
+      },
+    })),
+  };
+}
+
+// Parse pasted course text that is either a course code or plain course JSON
+export function parseCourseText(text: string): unknown {
+  return isCourseCode(text) ? decodeCourseCode(text) : JSON.parse(text);
+}
@@ -0,0 +1,205 @@
+// Lint pass for common building mistakes. Unlike the validator these are
+// warnings: the course still saves and exports, but probably does not play the
+// way its builder expects.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+import {
+  BLOCK_DIMENSIONS,
+  BlockBounds,
+  BlockDimensions,
+  getBlockBounds,
+  isKillZoneType,
+} from "./blockDimensions.js";
+import { analyzeReachability } from "./courseReachability.js";
+import { SerializedCourse } from "./courseSchema.js";
+import { PLAYER_PHYSICS } from "./playerPhysics.js";
+
+export type CourseLintRule =
+  | "overlap"
+  | "killZoneNoEscape"
+  | "buriedStart"
+  | "finishHeadroom"
+  | "belowKillPlane"
+  | "hiddenDecoration";
+
+export interface CourseLintIssue {
+  rule: CourseLintRule;
+  blockIndex: number;
+  message: string;
+}
+
+export interface CourseLintOptions {
+  // Block sizes by type (defaults to BLOCK_DIMENSIONS)
+  blockDimensions?: Record<string, BlockDimensions>;
+}
+
+// Share of the smaller block's volume two blocks may overlap before it counts
+// as a mistake (free placement allows a lot more)
+const MAX_OVERLAP = 0.25;
+// How close a safe block must be to a kill zone, sideways and up or down
+const KILL_ZONE_ESCAPE_DISTANCE = 3;
+const KILL_ZONE_ESCAPE_HEIGHT = 2;
+// Blocks the route never comes this close to are out of sight
+const VIEW_DISTANCE = 50;
+// Tolerance for blocks that only touch
+const EPSILON = 0.01;
+
+function getOverlap(a: BlockBounds, b: BlockBounds, axis: "x" | "y" | "z") {
+  return Math.max(
+    0,
+    Math.min(a.max[axis], b.max[axis]) - Math.max(a.min[axis], b.min[axis])
+  );
+}
+
+function getVolume(box: BlockBounds) {
+  return (
+    (box.max.x - box.min.x) * (box.max.y - box.min.y) * (box.max.z - box.min.z)
+  );
+}
+
+// Whether two footprints overlap by more than a touch
+function overlapsFootprint(a: BlockBounds, b: BlockBounds) {
+  return getOverlap(a, b, "x") > EPSILON && getOverlap(a, b, "z") > EPSILON;
+}
+
+// Horizontal distance between two footprints (0 when they overlap)
+function getHorizontalGap(a: BlockBounds, b: BlockBounds) {
+  const gapX = Math.max(0, a.min.x - b.max.x, b.min.x - a.max.x);
+  const gapZ = Math.max(0, a.min.z - b.max.z, b.min.z - a.max.z);
+  return Math.sqrt(gapX * gapX + gapZ * gapZ);
+}
+
+// Whether anything pokes into the player-sized space above a block's top,
+// including blocks the whole block is sunk into
+function hasBlockAbove(box: BlockBounds, others: BlockBounds[]): boolean {
+  return others.some(
+    (other) =>
+      other !== box &&
+      overlapsFootprint(box, other) &&
+      other.max.y > box.max.y + EPSILON &&
+      other.min.y < box.max.y + PLAYER_PHYSICS.height
+  );
+}
+
+export function lintCourse(
+  course: SerializedCourse,
+  options: CourseLintOptions = {}
+): CourseLintIssue[] {
+  const dimensions = options.blockDimensions ?? BLOCK_DIMENSIONS;
+  const issues: CourseLintIssue[] = [];
+  const add = (rule: CourseLintRule, blockIndex: number, message: string) =>
+    issues.push({ rule, blockIndex, message });
+  const describe = (index: number) =>
+    `the ${course.blocks[index].type} at blocks[${index}]`;
+
+  const boxes = course.blocks.map((block) => {
+    const size = dimensions[block.type];
+    return size ? getBlockBounds(block, size) : null;
+  });
+  const solidBoxes = boxes.filter(
+    (box, index): box is BlockBounds =>
+      !!box && !isKillZoneType(course.blocks[index].type)
+  );
+  const killPlaneY = course.templateSettings.killPlaneY;
+  // The player can stand on the ground at y = 0 unless it is below the kill
+  // plane
+  const isGroundSafe = PLAYER_PHYSICS.collisionOffsetY >= killPlaneY;
+
+  // Overlapping blocks
+  for (let i = 0; i < boxes.length; i++) {
+    const a = boxes[i];
+    if (!a) continue;
+    for (let j = i + 1; j < boxes.length; j++) {
+      const b = boxes[j];
+      if (!b) continue;
+      const overlap =
+        getOverlap(a, b, "x") * getOverlap(a, b, "y") * getOverlap(a, b, "z");
+      if (overlap > Math.min(getVolume(a), getVolume(b)) * MAX_OVERLAP) {
+        add("overlap", j, `Overlaps ${describe(i)}`);
+      }
+    }
+  }
+
+  course.blocks.forEach((block, index) => {
+    const box = boxes[index];
+    if (!box) return;
+
+    // Kill zones the player cannot jump clear of
+    if (isKillZoneType(block.type)) {
+      const hasEscape =
+        (isGroundSafe && Math.abs(box.max.y) <= KILL_ZONE_ESCAPE_HEIGHT) ||
+        solidBoxes.some(
+          (other) =>
+            getHorizontalGap(box, other) <= KILL_ZONE_ESCAPE_DISTANCE &&
+            Math.abs(other.max.y - box.max.y) <= KILL_ZONE_ESCAPE_HEIGHT
+        );
+      if (!hasEscape) {
+        add(
+          "killZoneNoEscape",
+          index,
+          "Kill zone has no safe block nearby to jump to"
+        );
+      }
+    }
+
+    if (block.type === "start" && hasBlockAbove(box, solidBoxes)) {
+      add("buriedStart", index, "Start block is buried inside other blocks");
+    }
+
+    if (block.type === "finish" && hasBlockAbove(box, solidBoxes)) {
+      add(
+        "finishHeadroom",
+        index,
+        "Finish block has no headroom for the player"
+      );
+    }
+
+    // The player respawns once they fall below the kill plane
+    if (box.max.y + PLAYER_PHYSICS.collisionOffsetY < killPlaneY) {
+      add(
+        "belowKillPlane",
+        index,
+        `Block is below the kill plane (y ${killPlaneY}) and can never be reached`
+      );
+    }
+  });
+
+  // Floating blocks far away from anywhere the player can go
+  const reachable = analyzeReachability(course, options).reachableBlocks;
+  if (reachable.length > 0) {
+    const reachableBoxes = reachable.map((i) => boxes[i]!);
+    course.blocks.forEach((block, index) => {
+      const box = boxes[index];
+      if (
+        !box ||
+        block.type === "start" ||
+        block.type === "finish" ||
+        reachable.includes(index)
+      ) {
+        return;
+      }
+      const onGround = box.min.y <= EPSILON;
+      const supported = solidBoxes.some(
+        (other) =>
+          other !== box &&
+          overlapsFootprint(box, other) &&
+          Math.abs(other.max.y - box.min.y) <= EPSILON
+      );
+      const inView = reachableBoxes.some(
+        (other) =>
+          getHorizontalGap(box, other) +
+            Math.max(0, other.min.y - box.max.y, box.min.y - other.max.y) <=
+          VIEW_DISTANCE
+      );
+      if (!onGround && !supported && !inView) {
+        add(
+          "hiddenDecoration",
+          index,
+          "Floating block is too far from the route for players to see"
+        );
+      }
+    });
+  }
+
+  return issues;
+}
@@ -0,0 +1,310 @@
+// Checks whether the Finish of a course can actually be reached from the Start.
+// Every surface the player can stand on (block tops and the ground plane) is a
+// node; a jump from one surface to another is an edge when a jump arc with the
+// player's real speed, jump force, gravity and terminal velocity covers the
+// height difference and the horizontal gap between the two. Bounce and launch
+// pads jump for the player with their own strength and push, and fast
+// surfaces and conveyor belts send the player off with extra speed. Moving
+// platforms are a surface at every point along their route, all reachable
+// from each other by riding along. Obstacles in the middle of a jump and the
+// timing of moving platforms are not simulated, so the check is optimistic
+// for cramped or tightly timed routes.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+import {
+  BLOCK_DIMENSIONS,
+  BlockBounds,
+  BlockDimensions,
+  getBlockBounds,
+  isKillZoneType,
+} from "./blockDimensions.js";
+import {
+  BlockSurface,
+  SerializedCourse,
+  isLaunchPadType,
+} from "./courseSchema.js";
+import { getPathPoints } from "./platformPath.js";
+import {
+  PLAYER_COLLISION_HALF_WIDTH,
+  PLAYER_PHYSICS,
+} from "./playerPhysics.js";
+
+export interface ReachabilityReport {
+  solvable: boolean;
+  message: string;
+  // Indices of the blocks the player can stand on after leaving the Start
+  reachableBlocks: number[];
+  // Indices of the blocks on either side of the gap that breaks the route
+  breakBlocks: number[];
+}
+
+export interface ReachabilityOptions {
+  // Block sizes by type (defaults to BLOCK_DIMENSIONS)
+  blockDimensions?: Record<string, BlockDimensions>;
+}
+
+// Only count jumps that work with some room to spare, since a real player
+// loses a little distance to steering and frame timing
+const REACH_MARGIN = 0.9;
+
+const { speed, jumpForce, gravity, terminalVelocity, airControl } =
+  PLAYER_PHYSICS;
+
+// Index used for the ground plane at y = 0, which has no block
+const GROUND = -1;
+
+// Distance between the points a moving platform's route is checked at
+const PATH_SAMPLE_SPACING = 1;
+
+interface Surface {
+  index: number; // Block index, or GROUND
+  box: BlockBounds | null; // null for the endless ground plane
+  top: number;
+  jumpSpeed: number; // Upward speed of a jump from here
+  push: number; // Extra horizontal speed a launch pad or surface gives
+}
+
+const getMaxJumpHeight = (jumpSpeed: number) =>
+  (jumpSpeed * jumpSpeed) / (2 * gravity);
+
+// Time after take-off at which a jump is dh above the take-off height on its
+// way down, or null if the jump never gets that high
+function getFlightTime(dh: number, jumpSpeed: number): number | null {
+  if (dh > getMaxJumpHeight(jumpSpeed) * REACH_MARGIN) return null;
+
+  // Falls speed up until terminal velocity, then stay at that speed
+  const terminalTime = (jumpSpeed + terminalVelocity) / gravity;
+  const terminalHeight =
+    jumpSpeed * terminalTime - (gravity * terminalTime * terminalTime) / 2;
+  if (dh >= terminalHeight) {
+    return (
+      (jumpSpeed + Math.sqrt(jumpSpeed * jumpSpeed - 2 * gravity * dh)) /
+      gravity
+    );
+  }
+  return terminalTime + (terminalHeight - dh) / terminalVelocity;
+}
+
+// Speed above walking speed a player can leave a surface with. The direction
+// is ignored, which keeps the check optimistic.
+function getSurfacePush(surface: BlockSurface | undefined): number {
+  if (!surface) return 0;
+  const running = speed * Math.max(0, (surface.speed ?? 1) - 1);
+  const belt = surface.conveyor
+    ? Math.hypot(surface.conveyor.x, surface.conveyor.z)
+    : 0;
+  return running + belt;
+}
+
+// Horizontal distance covered in the air, with a launch pad's push wearing
+// off at the player's air control rate
+function getAirDistance(push: number, time: number): number {
+  const slowTime = Math.min(time, push / airControl);
+  const pushDistance = push * slowTime - (airControl * slowTime ** 2) / 2;
+  return speed * time + pushDistance;
+}
+
+// Horizontal distance between two footprints (0 when they overlap)
+function getHorizontalGap(
+  from: BlockBounds | null,
+  to: BlockBounds | null
+): number {
+  if (!from || !to) return 0;
+  const gapX = Math.max(0, from.min.x - to.max.x, to.min.x - from.max.x);
+  const gapZ = Math.max(0, from.min.z - to.max.z, to.min.z - from.max.z);
+  return Math.sqrt(gapX * gapX + gapZ * gapZ);
+}
+
+// How far a jump from one surface misses a target (0 when it makes it)
+function getShortfall(
+  from: Surface,
+  to: BlockBounds | null,
+  targetY: number
+): number {
+  const dh = targetY - from.top;
+  const maxHeight = getMaxJumpHeight(from.jumpSpeed) * REACH_MARGIN;
+  const heightShortfall = Math.max(0, dh - maxHeight);
+  const flightTime = getFlightTime(Math.min(dh, maxHeight), from.jumpSpeed);
+  // The collision box can overhang both edges by its half width
+  const reach =
+    getAirDistance(from.push, flightTime ?? 0) * REACH_MARGIN +
+    PLAYER_COLLISION_HALF_WIDTH * 2;
+  const distanceShortfall = Math.max(0, getHorizontalGap(from.box, to) - reach);
+  return heightShortfall + distanceShortfall;
+}
+
+// Whether a block's top is buried under one of the other blocks, leaving no
+// room to stand
+function isCovered(box: BlockBounds, blocks: BlockBounds[]): boolean {
+  return blocks.some(
+    (other) =>
+      other.min.y < box.max.y + PLAYER_PHYSICS.height &&
+      other.max.y > box.max.y &&
+      other.min.x <= box.min.x &&
+      other.max.x >= box.max.x &&
+      other.min.z <= box.min.z &&
+      other.max.z >= box.max.z
+  );
+}
+
+export function analyzeReachability(
+  course: SerializedCourse,
+  options: ReachabilityOptions = {}
+): ReachabilityReport {
+  const dimensions = options.blockDimensions ?? BLOCK_DIMENSIONS;
+  const killPlaneY = course.templateSettings.killPlaneY;
+
+  const boxes = course.blocks.map((block) => {
+    const size = dimensions[block.type];
+    return size ? getBlockBounds(block, size) : null;
+  });
+  const solidBoxes = boxes.filter(
+    (box, index): box is BlockBounds =>
+      !!box && !isKillZoneType(course.blocks[index].type)
+  );
+
+  const startIndex = course.blocks.findIndex((b) => b.type === "start");
+  const finishIndex = course.blocks.findIndex((b) => b.type === "finish");
+  if (startIndex < 0 || finishIndex < 0 || !boxes[startIndex]) {
+    return {
+      solvable: false,
+      message: "The course needs a Start and a Finish block",
+      reachableBlocks: [],
+      breakBlocks: [],
+    };
+  }
+  const finishBox = boxes[finishIndex]!;
+
+  // Standable surfaces; falling below the kill plane respawns the player
+  const isSafe = (top: number) =>
+    top + PLAYER_PHYSICS.collisionOffsetY >= killPlaneY;
+  const surfaces: Surface[] = [];
+  if (isSafe(0)) {
+    surfaces.push({
+      index: GROUND,
+      box: null,
+      top: 0,
+      jumpSpeed: jumpForce,
+      push: 0,
+    });
+  }
+  boxes.forEach((box, index) => {
+    const block = course.blocks[index];
+    if (!box || isKillZoneType(block.type) || block.type === "finish") return;
+
+    const launch = isLaunchPadType(block.type) ? block.launch : undefined;
+    const jumpSpeed = launch?.strength ?? jumpForce;
+    const push = (launch?.push ?? 0) + getSurfacePush(block.surface);
+    const offsets = block.path
+      ? getPathPoints(block.path, PATH_SAMPLE_SPACING)
+      : [{ x: 0, y: 0, z: 0 }];
+    const others = solidBoxes.filter((other) => other !== box);
+
+    offsets.forEach(({ x, y, z }) => {
+      const moved = {
+        min: { x: box.min.x + x, y: box.min.y + y, z: box.min.z + z },
+        max: { x: box.max.x + x, y: box.max.y + y, z: box.max.z + z },
+      };
+      if (
+        isSafe(moved.max.y) &&
+        (index === startIndex || !isCovered(moved, others))
+      ) {
+        surfaces.push({ index, box: moved, top: moved.max.y, jumpSpeed, push });
+      }
+    });
+  });
+
+  // The finish only has to be touched, so walking into its side or dropping
+  // onto it is enough. Touching it from below is not counted since it usually
+  // sits on another block.
+  const finishTargetY = (from: Surface) =>
+    Math.min(Math.max(from.top, finishBox.min.y), finishBox.max.y);
+  const canReachFinish = (from: Surface) =>
+    getShortfall(from, finishBox, finishTargetY(from)) === 0;
+  // Points along one platform's route are reached by riding it
+  const canReach = (from: Surface, to: Surface) =>
+    from.index === to.index || getShortfall(from, to.box, to.top) === 0;
+
+  // The player would respawn forever if the Start is under the kill plane
+  const start = surfaces.find((s) => s.index === startIndex);
+  if (!start) {
+    return {
+      solvable: false,
+      message: "The Start is below the kill plane",
+      reachableBlocks: [],
+      breakBlocks: [startIndex],
+    };
+  }
+  const reachable = searchSurfaces(surfaces, [start], canReach);
+  const reachableBlocks = [
+    ...new Set(
+      [...reachable].filter((s) => s.index !== GROUND).map((s) => s.index)
+    ),
+  ];
+
+  if ([...reachable].some(canReachFinish)) {
+    return {
+      solvable: true,
+      message: "The Finish can be reached from the Start",
+      reachableBlocks,
+      breakBlocks: [],
+    };
+  }
+
+  // Find the closest miss between where the player can get to and the
+  // surfaces the Finish can be reached from
+  const leadsToFinish = searchSurfaces(
+    surfaces,
+    surfaces.filter(canReachFinish),
+    (from, to) => canReach(to, from)
+  );
+
+  let best: { from: Surface; to: Surface | null; shortfall: number } | null =
+    null;
+  for (const from of reachable) {
+    const finishShortfall = getShortfall(from, finishBox, finishTargetY(from));
+    if (!best || finishShortfall < best.shortfall) {
+      best = { from, to: null, shortfall: finishShortfall };
+    }
+    for (const to of leadsToFinish) {
+      const shortfall = getShortfall(from, to.box, to.top);
+      if (shortfall < best.shortfall) {
+        best = { from, to, shortfall };
+      }
+    }
+  }
+
+  const describe = (index: number) =>
+    index === GROUND
+      ? "the ground"
+      : `the ${course.blocks[index].type} at blocks[${index}]`;
+  const toIndex = best!.to ? best!.to.index : finishIndex;
+  return {
+    solvable: false,
+    message: `The Finish cannot be reached: the jump from ${describe(
+      best!.from.index
+    )} to ${describe(toIndex)} is ${best!.shortfall.toFixed(1)} units short`,
+    reachableBlocks,
+    breakBlocks: [best!.from.index, toIndex].filter((i) => i !== GROUND),
+  };
+}
+
+// Breadth-first search over surfaces along the given edges
+function searchSurfaces(
+  surfaces: Surface[],
+  startSurfaces: Surface[],
+  isEdge: (from: Surface, to: Surface) => boolean
+): Set<Surface> {
+  const visited = new Set<Surface>(startSurfaces);
+  const queue = [...startSurfaces];
+  while (queue.length > 0) {
+    const from = queue.shift()!;
+    for (const to of surfaces) {
+      if (!visited.has(to) && isEdge(from, to)) {
+        visited.add(to);
+        queue.push(to);
+      }
+    }
+  }
+  return visited;
+}
@@ -0,0 +1,302 @@
+// Versioned course format shared by the builder, the Devvit app and the web view.
+// Every exported course carries a schemaVersion; older JSON is upgraded one
+// version at a time by the MIGRATIONS table below, so courses already posted to
+// Reddit keep working whenever the format changes.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+import { PlatformPath } from "./platformPath.js";
+import { TemplateSettings, getBuiltInTemplateSettings } from "./templates.js";
+
+interface CourseVector {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export interface SerializedBlock {
+  type: string;
+  position: CourseVector;
+  rotation: CourseVector;
+  // Stretch along the block's own axes. Left out for blocks at their type's
+  // normal size, so older courses stay valid without a migration.
+  scale?: CourseVector;
+  // Color overrides, left out for blocks that keep their type's look
+  appearance?: BlockAppearance;
+  // Checkpoint blocks only: they are reached in increasing order. Numbers
+  // don't have to be consecutive, so deleting a checkpoint keeps the rest
+  // valid.
+  checkpointOrder?: number;
+  // Moving platforms only: the route they travel (see platformPath.ts)
+  path?: PlatformPath;
+  // Bounce and launch pads only: how hard they throw a player landing on them
+  launch?: LaunchSettings;
+  // Garbage bags only: left out for bags that never give way
+  crumble?: CrumbleSettings;
+  // How the block's top changes the way players move on it, left out for
+  // normal footing
+  surface?: BlockSurface;
+}
+
+// Per-block look, e.g. to color-code a route. Colors are "#rrggbb".
+export interface BlockAppearance {
+  tint?: string; // Blended over the block's own colors
+  emissive?: string; // Glow color
+  opacity?: number; // MIN_BLOCK_OPACITY to 1
+}
+
+export const MAX_CHECKPOINTS = 20;
+
+// A course's checkpoints in the order players reach them
+export function sortCheckpoints<
+  T extends { type: string; checkpointOrder?: number },
+>(blocks: T[]): T[] {
+  return blocks
+    .filter((block) => block.type === "checkpoint")
+    .sort((a, b) => (a.checkpointOrder ?? 0) - (b.checkpointOrder ?? 0));
+}
+
+// Order for a checkpoint added after all the others
+export function getNextCheckpointOrder(
+  blocks: { type: string; checkpointOrder?: number }[]
+): number {
+  const last = sortCheckpoints(blocks).pop();
+  return (last?.checkpointOrder ?? 0) + 1;
+}
+
+// Speeds in units per second; a normal jump starts at
+// PLAYER_PHYSICS.jumpForce
+export interface LaunchSettings {
+  strength: number; // Upward speed
+  push?: number; // Launch pads only: speed along the pad's arrow
+}
+
+export const MIN_LAUNCH_STRENGTH = 4;
+export const MAX_LAUNCH_STRENGTH = 30;
+export const MAX_LAUNCH_PUSH = 25;
+
+export const isLaunchPadType = (type: string) =>
+  type === "bouncePad" || type === "launchPad";
+
+// Settings given to a newly placed pad
+export function createDefaultLaunch(type: string): LaunchSettings | undefined {
+  if (type === "bouncePad") return { strength: 14 };
+  if (type === "launchPad") return { strength: 10, push: 10 };
+  return undefined;
+}
+
+// A crumbling garbage bag shakes once the player has stood on it for `delay`
+// seconds, then collapses and comes back `respawn` seconds later
+export interface CrumbleSettings {
+  delay: number;
+  respawn: number;
+}
+
+export const MIN_CRUMBLE_DELAY = 0.1;
+export const MAX_CRUMBLE_DELAY = 10;
+export const MIN_CRUMBLE_RESPAWN = 0.5;
+export const MAX_CRUMBLE_RESPAWN = 30;
+
+// Settings given to a garbage bag when it is made to crumble
+export function createDefaultCrumble(): CrumbleSettings {
+  return { delay: 1, respawn: 3 };
+}
+
+// Every field is optional and left out at its normal value
+export interface BlockSurface {
+  // How quickly players speed up, slow down and turn, as a share of normal
+  // grip; low on ice
+  friction?: number;
+  speed?: number; // Walking speed multiplier; below 1 on sticky tar
+  // Conveyor belt velocity along the block's own x and z axes, in units per
+  // second, so it turns with the block
+  conveyor?: { x: number; z: number };
+}
+
+export const MIN_SURFACE_FRICTION = 0.05;
+export const MIN_SURFACE_SPEED = 0.2;
+export const MAX_SURFACE_SPEED = 2;
+export const MAX_CONVEYOR_SPEED = 10;
+
+export type SurfacePreset = "ice" | "tar" | "conveyor";
+
+// Starting points for the builder's surface picker
+export const SURFACE_PRESETS: Record<SurfacePreset, BlockSurface> = {
+  ice: { friction: 0.1 },
+  tar: { speed: 0.4 },
+  conveyor: { conveyor: { x: 0, z: -3 } },
+};
+
+export function copySurface(surface: BlockSurface): BlockSurface {
+  return {
+    ...surface,
+    ...(surface.conveyor ? { conveyor: { ...surface.conveyor } } : {}),
+  };
+}
+
+// Faded blocks stay visible enough to jump on
+export const MIN_BLOCK_OPACITY = 0.2;
+
+export function isDefaultAppearance(appearance: BlockAppearance): boolean {
+  return (
+    !appearance.tint &&
+    !appearance.emissive &&
+    (appearance.opacity === undefined || appearance.opacity >= 1)
+  );
+}
+
+export const COURSE_DIFFICULTIES = ["easy", "medium", "hard", "expert"];
+
+export type CourseDifficulty = "easy" | "medium" | "hard" | "expert";
+
+export interface CourseMetadata {
+  author: string;
+  description: string;
+  tags: string[];
+  difficulty: CourseDifficulty;
+  createdAt: number; // ms since epoch, 0 when unknown
+  modifiedAt: number; // ms since epoch, 0 when unknown
+}
+
+export interface SerializedCourse {
+  schemaVersion: number;
+  id: string;
+  name: string;
+  template: string;
+  blocks: SerializedBlock[];
+  startPosition: CourseVector;
+  finishPosition: CourseVector;
+  atmosphere: { isDayMode: boolean };
+  metadata: CourseMetadata;
+  // Number of blocks of each type, derived from blocks when serializing
+  blockCounts: Record<string, number>;
+  // Copied from the template the course was created from
+  templateSettings: TemplateSettings;
+  // Isometric render of the course as an image data URL. Optional, so older
+  // courses stay valid without a migration.
+  thumbnail?: string;
+}
+
+// Bump this and append a migration whenever the serialized course changes shape
+export const COURSE_SCHEMA_VERSION = 3;
+
+export function createDefaultMetadata(now: number = 0): CourseMetadata {
+  return {
+    author: "",
+    description: "",
+    tags: [],
+    difficulty: "medium",
+    createdAt: now,
+    modifiedAt: now,
+  };
+}
+
+export function countBlocksByType(
+  blocks: { type: string }[]
+): Record<string, number> {
+  const counts: Record<string, number> = {};
+  blocks.forEach((block) => {
+    counts[block.type] = (counts[block.type] || 0) + 1;
+  });
+  return counts;
+}
+
+// Half the height of the start/finish blocks, used to rebuild spawn points
+const MARKER_HALF_HEIGHT = 0.25;
+
+type Migration = (data: any) => any;
+
+// MIGRATIONS[n] upgrades a course from schema version n to version n + 1
+const MIGRATIONS: Migration[] = [
+  // 0 -> 1: courses exported before schemaVersion existed. Fill in the fields
+  // that deserializeCourse used to patch silently.
+  (data) => {
+    const blocks = Array.isArray(data.blocks)
+      ? data.blocks.map((block: any) => ({
+          ...block,
+          rotation: block?.rotation ?? { x: 0, y: 0, z: 0 },
+        }))
+      : data.blocks;
+
+    const markerSurface = (type: string): CourseVector => {
+      const marker = Array.isArray(blocks)
+        ? blocks.find((block: any) => block?.type === type)
+        : undefined;
+      if (!marker?.position) return { x: 0, y: 0, z: 0 };
+      return {
+        x: marker.position.x,
+        y: marker.position.y + MARKER_HALF_HEIGHT,
+        z: marker.position.z,
+      };
+    };
+
+    return {
+      ...data,
+      blocks,
+      startPosition: data.startPosition ?? markerSurface("start"),
+      finishPosition: data.finishPosition ?? markerSurface("finish"),
+      atmosphere: data.atmosphere ?? { isDayMode: true },
+    };
+  },
+
+  // 1 -> 2: add author/description/tags/difficulty/timestamps and per-type
+  // block counts
+  (data) => ({
+    ...data,
+    metadata: { ...createDefaultMetadata(), ...data.metadata },
+    blockCounts: Array.isArray(data.blocks)
+      ? countBlocksByType(
+          data.blocks.filter((block: any) => typeof block?.type === "string")
+        )
+      : {},
+  }),
+
+  // 2 -> 3: embed the template's settings so custom templates travel with the
+  // course
+  (data) => ({
+    ...data,
+    templateSettings:
+      data.templateSettings ??
+      getBuiltInTemplateSettings(String(data.template)),
+  }),
+];
+
+// Read the schema version of raw course data (unversioned data is version 0)
+export function getSchemaVersion(data: any): number {
+  const version = data?.schemaVersion;
+  return typeof version === "number" && Number.isInteger(version) ? version : 0;
+}
+
+// Upgrade parsed course JSON of any known version to the current schema
+export function migrateCourseData(data: unknown): SerializedCourse {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Course data must be a JSON object");
+  }
+
+  // Unversioned data is version 0, but a version that is there has to be one
+  // the MIGRATIONS table can start from
+  const rawVersion = (data as { schemaVersion?: unknown }).schemaVersion;
+  if (
+    rawVersion !== undefined &&
+    !(Number.isInteger(rawVersion) && (rawVersion as number) >= 0)
+  ) {
+    throw new Error(
+      `Course schema version must be a whole number from 0, got ${JSON.stringify(rawVersion)}`
+    );
+  }
+
+  let version = getSchemaVersion(data);
+  if (version > COURSE_SCHEMA_VERSION) {
+    throw new Error(
+      `Course uses schema version ${version}, but only versions up to ${COURSE_SCHEMA_VERSION} are supported`
+    );
+  }
+
+  let migrated: any = data;
+  while (version < COURSE_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+    migrated.schemaVersion = version;
+  }
+
+  return migrated as SerializedCourse;
+}
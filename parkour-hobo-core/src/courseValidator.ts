@@ -0,0 +1,640 @@
+// Structural validation for serialized courses (see courseSchema.ts).
+// Run on migrated course data before it is exported, posted or played, so a
+// bad course is rejected with readable errors instead of half-loading.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+import { BLOCK_TYPES, getScaleLimits } from "./blockDimensions.js";
+import {
+  COURSE_DIFFICULTIES,
+  MAX_CHECKPOINTS,
+  MAX_CONVEYOR_SPEED,
+  MAX_CRUMBLE_DELAY,
+  MAX_CRUMBLE_RESPAWN,
+  MAX_LAUNCH_PUSH,
+  MAX_LAUNCH_STRENGTH,
+  MAX_SURFACE_SPEED,
+  MIN_BLOCK_OPACITY,
+  MIN_CRUMBLE_DELAY,
+  MIN_CRUMBLE_RESPAWN,
+  MIN_LAUNCH_STRENGTH,
+  MIN_SURFACE_FRICTION,
+  MIN_SURFACE_SPEED,
+  isLaunchPadType,
+} from "./courseSchema.js";
+import {
+  MAX_PLATFORM_PAUSE,
+  MAX_PLATFORM_SPEED,
+  MAX_WAYPOINTS,
+  MAX_WAYPOINT_OFFSET,
+  MIN_PLATFORM_SPEED,
+  PLATFORM_PATH_MODES,
+} from "./platformPath.js";
+import {
+  MAX_GRID_SIZE,
+  MAX_TEMPLATE_BLOCKS,
+  TemplateVector,
+  isInsideBuildVolume,
+} from "./templates.js";
+
+export interface CourseValidationError {
+  path: string; // JSON path of the offending value, e.g. "blocks[42].position.y"
+  message: string;
+}
+
+export interface CourseValidationOptions {
+  // Block types that can be created (defaults to BLOCK_TYPES)
+  blockTypes?: string[];
+  // Block limit for the course (defaults to templateSettings.maxBlocks)
+  maxBlocks?: number;
+  // Skip the Start/Finish rules, for courses still being built in the
+  // library rather than played or posted
+  allowUnfinished?: boolean;
+}
+
+// Build volumes are limited to this too; anything further out is corrupt data
+const MAX_COORDINATE = 1000;
+const MAX_ROTATION = 360;
+
+// Metadata limits keep post bodies and course codes reasonably small
+export const MAX_AUTHOR_LENGTH = 40;
+export const MAX_DESCRIPTION_LENGTH = 500;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 20;
+
+// Roughly a 100KB image once base64 encoded
+export const MAX_THUMBNAIL_LENGTH = 140000;
+
+const describe = (value: unknown): string => {
+  if (typeof value === "number") return String(value);
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "string") return JSON.stringify(value);
+  return typeof value;
+};
+
+const isHexColor = (value: unknown) =>
+  typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+// Shared checks that collect problems into one error list
+const createChecks = (errors: CourseValidationError[]) => {
+  const fail = (path: string, message: string) => {
+    errors.push({ path, message });
+  };
+
+  const checkNumber = (value: unknown, path: string, limit: number) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      fail(path, describe(value));
+    } else if (Math.abs(value) > limit) {
+      fail(path, `${value} is outside the range -${limit} to ${limit}`);
+    }
+  };
+
+  const checkVector = (value: unknown, path: string, limit: number) => {
+    if (!isObject(value)) {
+      fail(path, `expected an {x, y, z} object, got ${describe(value)}`);
+      return;
+    }
+    checkNumber(value.x, `${path}.x`, limit);
+    checkNumber(value.y, `${path}.y`, limit);
+    checkNumber(value.z, `${path}.z`, limit);
+  };
+
+  return { fail, checkNumber, checkVector };
+};
+
+// Validate template settings, either embedded in a course or for a template
+// the user is about to save
+export function validateTemplateSettings(
+  settings: unknown,
+  path: string = "templateSettings"
+): CourseValidationError[] {
+  const errors: CourseValidationError[] = [];
+  const { fail, checkNumber, checkVector } = createChecks(errors);
+
+  if (!isObject(settings)) {
+    fail(path, `expected an object, got ${describe(settings)}`);
+    return errors;
+  }
+
+  if (
+    !Number.isInteger(settings.maxBlocks) ||
+    settings.maxBlocks < 1 ||
+    settings.maxBlocks > MAX_TEMPLATE_BLOCKS
+  ) {
+    fail(
+      `${path}.maxBlocks`,
+      `expected a whole number from 1 to ${MAX_TEMPLATE_BLOCKS}, got ${describe(settings.maxBlocks)}`
+    );
+  }
+
+  if (!isObject(settings.buildVolume)) {
+    fail(
+      `${path}.buildVolume`,
+      `expected a {min, max} object, got ${describe(settings.buildVolume)}`
+    );
+  } else {
+    const { min, max } = settings.buildVolume;
+    checkVector(min, `${path}.buildVolume.min`, MAX_COORDINATE);
+    checkVector(max, `${path}.buildVolume.max`, MAX_COORDINATE);
+    if (
+      isObject(min) &&
+      isObject(max) &&
+      (min.x >= max.x || min.y >= max.y || min.z >= max.z)
+    ) {
+      fail(`${path}.buildVolume`, "min must be smaller than max on every axis");
+    }
+  }
+
+  if (
+    typeof settings.gridSize !== "number" ||
+    !(settings.gridSize > 0 && settings.gridSize <= MAX_GRID_SIZE)
+  ) {
+    fail(
+      `${path}.gridSize`,
+      `expected a number above 0 and up to ${MAX_GRID_SIZE}, got ${describe(settings.gridSize)}`
+    );
+  }
+  checkNumber(settings.killPlaneY, `${path}.killPlaneY`, MAX_COORDINATE);
+
+  return errors;
+}
+
+// Validate migrated course data and return every problem found
+export function validateCourseData(
+  data: unknown,
+  options: CourseValidationOptions = {}
+): CourseValidationError[] {
+  const errors: CourseValidationError[] = [];
+  const { fail, checkVector } = createChecks(errors);
+
+  if (!isObject(data)) {
+    fail("$", `expected a course object, got ${describe(data)}`);
+    return errors;
+  }
+
+  if (typeof data.schemaVersion !== "number") {
+    fail("schemaVersion", describe(data.schemaVersion));
+  }
+  if (typeof data.id !== "string") {
+    fail("id", `expected a string, got ${describe(data.id)}`);
+  }
+  if (typeof data.name !== "string" || data.name.trim() === "") {
+    fail("name", "course name must be a non-empty string");
+  }
+
+  if (typeof data.template !== "string") {
+    fail("template", `expected a string, got ${describe(data.template)}`);
+  }
+
+  const settingsErrors = validateTemplateSettings(data.templateSettings);
+  errors.push(...settingsErrors);
+  let maxBlocks = options.maxBlocks;
+  if (
+    maxBlocks === undefined &&
+    Number.isInteger(data.templateSettings?.maxBlocks)
+  ) {
+    maxBlocks = data.templateSettings.maxBlocks;
+  }
+
+  if (!isObject(data.atmosphere)) {
+    fail("atmosphere", `expected an object, got ${describe(data.atmosphere)}`);
+  } else if (typeof data.atmosphere.isDayMode !== "boolean") {
+    fail("atmosphere.isDayMode", describe(data.atmosphere.isDayMode));
+  }
+
+  const checkString = (value: unknown, path: string, maxLength: number) => {
+    if (typeof value !== "string") {
+      fail(path, `expected a string, got ${describe(value)}`);
+    } else if (value.length > maxLength) {
+      fail(path, `must be at most ${maxLength} characters`);
+    }
+  };
+
+  if (!isObject(data.metadata)) {
+    fail("metadata", `expected an object, got ${describe(data.metadata)}`);
+  } else {
+    const metadata = data.metadata;
+    checkString(metadata.author, "metadata.author", MAX_AUTHOR_LENGTH);
+    checkString(
+      metadata.description,
+      "metadata.description",
+      MAX_DESCRIPTION_LENGTH
+    );
+
+    if (!Array.isArray(metadata.tags)) {
+      fail(
+        "metadata.tags",
+        `expected an array, got ${describe(metadata.tags)}`
+      );
+    } else {
+      if (metadata.tags.length > MAX_TAGS) {
+        fail("metadata.tags", `at most ${MAX_TAGS} tags are allowed`);
+      }
+      metadata.tags.forEach((tag: unknown, index: number) =>
+        checkString(tag, `metadata.tags[${index}]`, MAX_TAG_LENGTH)
+      );
+    }
+
+    if (!COURSE_DIFFICULTIES.includes(metadata.difficulty)) {
+      fail(
+        "metadata.difficulty",
+        `unknown difficulty ${describe(metadata.difficulty)}`
+      );
+    }
+
+    ["createdAt", "modifiedAt"].forEach((key) => {
+      const value = metadata[key];
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        fail(`metadata.${key}`, `expected a timestamp, got ${describe(value)}`);
+      }
+    });
+  }
+
+  if (data.thumbnail !== undefined) {
+    if (
+      typeof data.thumbnail !== "string" ||
+      !data.thumbnail.startsWith("data:image/")
+    ) {
+      fail("thumbnail", "expected an image data URL");
+    } else if (data.thumbnail.length > MAX_THUMBNAIL_LENGTH) {
+      fail("thumbnail", `image is larger than ${MAX_THUMBNAIL_LENGTH} bytes`);
+    }
+  }
+
+  if (!isObject(data.blockCounts)) {
+    fail(
+      "blockCounts",
+      `expected an object, got ${describe(data.blockCounts)}`
+    );
+  } else {
+    Object.entries(data.blockCounts).forEach(([type, count]) => {
+      if (!Number.isInteger(count) || (count as number) < 0) {
+        fail(`blockCounts.${type}`, `expected a count, got ${describe(count)}`);
+      }
+    });
+  }
+
+  checkVector(data.startPosition, "startPosition", MAX_COORDINATE);
+  checkVector(data.finishPosition, "finishPosition", MAX_COORDINATE);
+
+  errors.push(...validateBlocks(data.blocks, { ...options, maxBlocks }));
+  if (!Array.isArray(data.blocks)) {
+    return errors;
+  }
+
+  // The builder only places blocks inside the template's build volume
+  if (settingsErrors.length === 0) {
+    data.blocks.forEach((block: unknown, index: number) => {
+      const position = isObject(block) ? block.position : undefined;
+      if (
+        isObject(position) &&
+        [position.x, position.y, position.z].every(Number.isFinite) &&
+        !isInsideBuildVolume(data.templateSettings, position as TemplateVector)
+      ) {
+        fail(`blocks[${index}].position`, "outside the build volume");
+      }
+    });
+  }
+  if (options.allowUnfinished) {
+    return errors;
+  }
+
+  const countType = (type: string) =>
+    data.blocks.filter(
+      (block: unknown) => isObject(block) && block.type === type
+    ).length;
+  const startCount = countType("start");
+  const finishCount = countType("finish");
+  if (startCount !== 1) {
+    fail(
+      "blocks",
+      `course must have exactly one Start block (found ${startCount})`
+    );
+  }
+  if (finishCount !== 1) {
+    fail(
+      "blocks",
+      `course must have exactly one Finish block (found ${finishCount})`
+    );
+  }
+
+  // Players spawn on the Start, so it has to be above the kill plane
+  const start = data.blocks.find(
+    (block: unknown) => isObject(block) && block.type === "start"
+  );
+  const startY = start?.position?.y;
+  if (
+    settingsErrors.length === 0 &&
+    Number.isFinite(startY) &&
+    data.templateSettings.killPlaneY >= startY
+  ) {
+    fail(
+      "templateSettings.killPlaneY",
+      `must be below the Start block (y ${startY})`
+    );
+  }
+
+  return errors;
+}
+
+// Validate a list of blocks on its own (types, positions, rotations, scales,
+// appearance overrides, platform paths, pad settings, crumble timings and
+// surfaces), as used by courses and by prefabs
+export function validateBlocks(
+  blocks: unknown,
+  options: CourseValidationOptions = {},
+  path = "blocks"
+): CourseValidationError[] {
+  const errors: CourseValidationError[] = [];
+  const { fail, checkNumber, checkVector } = createChecks(errors);
+
+  if (!Array.isArray(blocks)) {
+    fail(path, `expected an array, got ${describe(blocks)}`);
+    return errors;
+  }
+
+  const maxBlocks = options.maxBlocks;
+  if (maxBlocks !== undefined && blocks.length > maxBlocks) {
+    fail(
+      path,
+      `${blocks.length} blocks exceeds the template limit of ${maxBlocks}`
+    );
+  }
+
+  const checkAppearance = (appearance: unknown, at: string) => {
+    if (!isObject(appearance)) {
+      fail(at, `expected an object, got ${describe(appearance)}`);
+      return;
+    }
+    for (const key of ["tint", "emissive"]) {
+      const color = appearance[key];
+      if (color !== undefined && !isHexColor(color)) {
+        fail(
+          `${at}.${key}`,
+          `expected a #rrggbb color, got ${describe(color)}`
+        );
+      }
+    }
+    const opacity = appearance.opacity;
+    if (
+      opacity !== undefined &&
+      (typeof opacity !== "number" ||
+        !(opacity >= MIN_BLOCK_OPACITY && opacity <= 1))
+    ) {
+      fail(
+        `${at}.opacity`,
+        `expected a number from ${MIN_BLOCK_OPACITY} to 1, got ${describe(opacity)}`
+      );
+    }
+  };
+
+  const checkPath = (path: unknown, at: string) => {
+    if (!isObject(path)) {
+      fail(at, `expected an object, got ${describe(path)}`);
+      return;
+    }
+    const waypoints = path.waypoints;
+    if (
+      !Array.isArray(waypoints) ||
+      waypoints.length < 1 ||
+      waypoints.length > MAX_WAYPOINTS
+    ) {
+      fail(
+        `${at}.waypoints`,
+        `expected 1 to ${MAX_WAYPOINTS} waypoints, got ${describe(waypoints)}`
+      );
+    } else {
+      waypoints.forEach((waypoint: unknown, index: number) =>
+        checkVector(waypoint, `${at}.waypoints[${index}]`, MAX_WAYPOINT_OFFSET)
+      );
+    }
+    const ranges: [string, number, number][] = [
+      ["speed", MIN_PLATFORM_SPEED, MAX_PLATFORM_SPEED],
+      ["pause", 0, MAX_PLATFORM_PAUSE],
+    ];
+    for (const [key, min, max] of ranges) {
+      const value = path[key];
+      if (typeof value !== "number" || !(value >= min && value <= max)) {
+        fail(
+          `${at}.${key}`,
+          `expected a number from ${min} to ${max}, got ${describe(value)}`
+        );
+      }
+    }
+    if (!PLATFORM_PATH_MODES.includes(path.mode)) {
+      fail(`${at}.mode`, `unknown path mode ${describe(path.mode)}`);
+    }
+  };
+
+  const checkLaunch = (launch: unknown, type: string, at: string) => {
+    if (!isObject(launch)) {
+      fail(at, `expected an object, got ${describe(launch)}`);
+      return;
+    }
+    const { strength, push } = launch;
+    if (
+      typeof strength !== "number" ||
+      !(strength >= MIN_LAUNCH_STRENGTH && strength <= MAX_LAUNCH_STRENGTH)
+    ) {
+      fail(
+        `${at}.strength`,
+        `expected a number from ${MIN_LAUNCH_STRENGTH} to ${MAX_LAUNCH_STRENGTH}, got ${describe(strength)}`
+      );
+    }
+    if (push === undefined) return;
+    if (type !== "launchPad") {
+      fail(`${at}.push`, "only launch pads push the player sideways");
+    } else if (
+      typeof push !== "number" ||
+      !(push >= 0 && push <= MAX_LAUNCH_PUSH)
+    ) {
+      fail(
+        `${at}.push`,
+        `expected a number from 0 to ${MAX_LAUNCH_PUSH}, got ${describe(push)}`
+      );
+    }
+  };
+
+  const checkCrumble = (crumble: unknown, at: string) => {
+    if (!isObject(crumble)) {
+      fail(at, `expected an object, got ${describe(crumble)}`);
+      return;
+    }
+    const { delay, respawn } = crumble;
+    if (
+      typeof delay !== "number" ||
+      !(delay >= MIN_CRUMBLE_DELAY && delay <= MAX_CRUMBLE_DELAY)
+    ) {
+      fail(
+        `${at}.delay`,
+        `expected a number from ${MIN_CRUMBLE_DELAY} to ${MAX_CRUMBLE_DELAY}, got ${describe(delay)}`
+      );
+    }
+    if (
+      typeof respawn !== "number" ||
+      !(respawn >= MIN_CRUMBLE_RESPAWN && respawn <= MAX_CRUMBLE_RESPAWN)
+    ) {
+      fail(
+        `${at}.respawn`,
+        `expected a number from ${MIN_CRUMBLE_RESPAWN} to ${MAX_CRUMBLE_RESPAWN}, got ${describe(respawn)}`
+      );
+    }
+  };
+
+  const checkSurface = (surface: unknown, at: string) => {
+    if (!isObject(surface)) {
+      fail(at, `expected an object, got ${describe(surface)}`);
+      return;
+    }
+    const { friction, speed, conveyor } = surface;
+    if (
+      friction !== undefined &&
+      (typeof friction !== "number" ||
+        !(friction >= MIN_SURFACE_FRICTION && friction <= 1))
+    ) {
+      fail(
+        `${at}.friction`,
+        `expected a number from ${MIN_SURFACE_FRICTION} to 1, got ${describe(friction)}`
+      );
+    }
+    if (
+      speed !== undefined &&
+      (typeof speed !== "number" ||
+        !(speed >= MIN_SURFACE_SPEED && speed <= MAX_SURFACE_SPEED))
+    ) {
+      fail(
+        `${at}.speed`,
+        `expected a number from ${MIN_SURFACE_SPEED} to ${MAX_SURFACE_SPEED}, got ${describe(speed)}`
+      );
+    }
+    if (conveyor === undefined) return;
+    if (!isObject(conveyor)) {
+      fail(
+        `${at}.conveyor`,
+        `expected an {x, z} object, got ${describe(conveyor)}`
+      );
+      return;
+    }
+    checkNumber(conveyor.x, `${at}.conveyor.x`, MAX_CONVEYOR_SPEED);
+    checkNumber(conveyor.z, `${at}.conveyor.z`, MAX_CONVEYOR_SPEED);
+  };
+
+  const blockTypes = new Set(options.blockTypes ?? BLOCK_TYPES);
+  const checkpointOrders = new Map<number, number>(); // order -> block index
+  blocks.forEach((block: unknown, index: number) => {
+    const blockPath = `${path}[${index}]`;
+    if (!isObject(block)) {
+      fail(blockPath, `expected a block object, got ${describe(block)}`);
+      return;
+    }
+
+    if (typeof block.type !== "string" || !blockTypes.has(block.type)) {
+      fail(`${blockPath}.type`, `unknown block type ${describe(block.type)}`);
+    }
+
+    checkVector(block.position, `${blockPath}.position`, MAX_COORDINATE);
+    checkVector(block.rotation, `${blockPath}.rotation`, MAX_ROTATION);
+
+    if (block.appearance !== undefined) {
+      checkAppearance(block.appearance, `${blockPath}.appearance`);
+    }
+
+    // Checkpoints need a distinct order so players reach them one by one
+    const order = block.checkpointOrder;
+    const orderPath = `${blockPath}.checkpointOrder`;
+    if (block.type !== "checkpoint") {
+      if (order !== undefined) {
+        fail(orderPath, "only checkpoint blocks have a checkpoint order");
+      }
+    } else if (!Number.isInteger(order) || order < 1) {
+      fail(orderPath, `expected a whole number from 1, got ${describe(order)}`);
+    } else if (checkpointOrders.has(order)) {
+      fail(
+        orderPath,
+        `checkpoint ${order} is also used by ${path}[${checkpointOrders.get(order)}]`
+      );
+    } else {
+      checkpointOrders.set(order, index);
+    }
+
+    // Moving platforms need a route; nothing else moves
+    if (block.type === "movingPlatform") {
+      checkPath(block.path, `${blockPath}.path`);
+    } else if (block.path !== undefined) {
+      fail(`${blockPath}.path`, "only moving platforms have a path");
+    }
+
+    // Pads need to know how hard to throw the player
+    if (isLaunchPadType(block.type)) {
+      checkLaunch(block.launch, block.type, `${blockPath}.launch`);
+    } else if (block.launch !== undefined) {
+      fail(`${blockPath}.launch`, "only bounce and launch pads have a launch");
+    }
+
+    if (block.crumble !== undefined) {
+      if (block.type === "garbageBag") {
+        checkCrumble(block.crumble, `${blockPath}.crumble`);
+      } else {
+        fail(`${blockPath}.crumble`, "only garbage bags crumble");
+      }
+    }
+
+    if (block.surface !== undefined) {
+      checkSurface(block.surface, `${blockPath}.surface`);
+    }
+
+    // Scale is optional; each type has its own allowed range per axis
+    if (block.scale !== undefined) {
+      const scalePath = `${blockPath}.scale`;
+      if (!isObject(block.scale)) {
+        fail(
+          scalePath,
+          `expected an {x, y, z} object, got ${describe(block.scale)}`
+        );
+        return;
+      }
+      const { min, max } = getScaleLimits(block.type);
+      for (const axis of ["x", "y", "z"]) {
+        const value = block.scale[axis];
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          fail(`${scalePath}.${axis}`, describe(value));
+        } else if (value < min || value > max) {
+          fail(
+            `${scalePath}.${axis}`,
+            `${value} is outside the range ${min} to ${max} for ${block.type}`
+          );
+        }
+      }
+    }
+  });
+
+  const checkpointCount = blocks.filter(
+    (block: unknown) => isObject(block) && block.type === "checkpoint"
+  ).length;
+  if (checkpointCount > MAX_CHECKPOINTS) {
+    fail(
+      path,
+      `${checkpointCount} checkpoints exceeds the limit of ${MAX_CHECKPOINTS}`
+    );
+  }
+
+  return errors;
+}
+
+// Turn validation errors into a readable message, one "path: problem" per line
+export function formatValidationErrors(
+  errors: CourseValidationError[],
+  limit: number = 5,
+  separator: string = "\n"
+): string {
+  const lines = errors
+    .slice(0, limit)
+    .map((error) => `${error.path}: ${error.message}`);
+  if (errors.length > limit) {
+    lines.push(`...and ${errors.length - limit} more`);
+  }
+  return lines.join(separator);
+}
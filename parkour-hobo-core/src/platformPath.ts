@@ -0,0 +1,124 @@
+// Routes for moving platforms, and where a platform is along its route at a
+// given time. The builder previews motion with the same function the game
+// uses, so what the author sees is what players get.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+interface PathVector {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export type PlatformPathMode = "pingPong" | "loop";
+
+// Waypoints are offsets from the block's position, so moving the block moves
+// its whole route. The platform starts at the block's position and visits
+// each waypoint in turn; "pingPong" then comes back the same way, "loop"
+// goes straight from the last waypoint back to the start.
+export interface PlatformPath {
+  waypoints: PathVector[];
+  speed: number; // World units per second
+  pause: number; // Seconds spent at the start and at each waypoint
+  mode: PlatformPathMode;
+}
+
+export const PLATFORM_PATH_MODES: PlatformPathMode[] = ["pingPong", "loop"];
+export const MAX_WAYPOINTS = 8;
+// Furthest a waypoint can be from its platform's position on any axis
+export const MAX_WAYPOINT_OFFSET = 50;
+export const MIN_PLATFORM_SPEED = 0.5;
+export const MAX_PLATFORM_SPEED = 10;
+export const MAX_PLATFORM_PAUSE = 10;
+
+// Route given to a newly placed moving platform
+export function createDefaultPlatformPath(): PlatformPath {
+  return {
+    waypoints: [{ x: 6, y: 0, z: 0 }],
+    speed: 2,
+    pause: 1,
+    mode: "pingPong",
+  };
+}
+
+// The points a platform stops at over one full cycle, starting and ending
+// at its own position
+function getStops(path: PlatformPath): PathVector[] {
+  const points = [{ x: 0, y: 0, z: 0 }, ...path.waypoints];
+  if (path.mode === "loop") return points;
+  return [...points, ...points.slice(1, -1).reverse()];
+}
+
+const distance = (a: PathVector, b: PathVector) =>
+  Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+
+// Seconds for a platform to go round its route once
+export function getPathDuration(path: PlatformPath): number {
+  const stops = getStops(path);
+  return stops.reduce(
+    (total, stop, i) =>
+      total +
+      path.pause +
+      distance(stop, stops[(i + 1) % stops.length]) / path.speed,
+    0
+  );
+}
+
+// Offsets along a platform's whole route, no more than `spacing` apart and
+// including every stop. Each point is listed once, whichever way the
+// platform is going.
+export function getPathPoints(
+  path: PlatformPath,
+  spacing: number
+): PathVector[] {
+  const stops = [{ x: 0, y: 0, z: 0 }, ...path.waypoints];
+  if (path.mode === "loop") stops.push(stops[0]);
+
+  const points = [stops[0]];
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    const steps = Math.max(1, Math.ceil(distance(from, to) / spacing));
+    for (let step = 1; step <= steps; step++) {
+      const f = step / steps;
+      points.push({
+        x: from.x + (to.x - from.x) * f,
+        y: from.y + (to.y - from.y) * f,
+        z: from.z + (to.z - from.z) * f,
+      });
+    }
+  }
+  // A loop ends back where it started
+  if (path.mode === "loop") points.pop();
+  return points;
+}
+
+// Offset from the block's position after `time` seconds of motion. At time
+// 0 every platform is at its own position.
+export function getPlatformOffset(
+  path: PlatformPath,
+  time: number
+): PathVector {
+  const stops = getStops(path);
+  const duration = getPathDuration(path);
+  if (!(duration > 0)) return { x: 0, y: 0, z: 0 };
+
+  let t = ((time % duration) + duration) % duration;
+  for (let i = 0; i < stops.length; i++) {
+    const from = stops[i];
+    if (t < path.pause) return { ...from };
+    t -= path.pause;
+
+    const to = stops[(i + 1) % stops.length];
+    const travel = distance(from, to) / path.speed;
+    if (t < travel) {
+      const f = t / travel;
+      return {
+        x: from.x + (to.x - from.x) * f,
+        y: from.y + (to.y - from.y) * f,
+        z: from.z + (to.z - from.z) * f,
+      };
+    }
+    t -= travel;
+  }
+  return { x: 0, y: 0, z: 0 };
+}
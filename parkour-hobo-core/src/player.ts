@@ -0,0 +1,966 @@
+import * as THREE from "three";
+import {
+  isCollapsed,
+  resetCrumblingBlocks,
+  setCheckpointActive,
+} from "./blockFactory.js";
+import { sortCheckpoints } from "./courseSchema.js";
+import {
+  PLAYER_COLLISION_HALF_WIDTH,
+  PLAYER_PHYSICS,
+} from "./playerPhysics.js";
+import { Block, DEFAULT_CONTROLS, PlayerControls, Vector3 } from "./types.js";
+
+// Shared by the course builder's test mode and the Reddit webview, so a
+// course plays the same way in both
+export class Player {
+  mesh: THREE.Group;
+  body: THREE.Mesh;
+  head: THREE.Mesh;
+  leftLeg: THREE.Mesh;
+  rightLeg: THREE.Mesh;
+  leftArm: THREE.Mesh;
+  rightArm: THREE.Mesh;
+  gravity: number = PLAYER_PHYSICS.gravity;
+
+  // Movement control properties
+  private controls: PlayerControls = { ...DEFAULT_CONTROLS };
+  private keys: { [key: string]: boolean } = {};
+  private isMoving: boolean = false;
+  private camera: THREE.PerspectiveCamera;
+  private speed: number = PLAYER_PHYSICS.speed;
+  private airControl: number = PLAYER_PHYSICS.airControl;
+  private groundAcceleration: number = PLAYER_PHYSICS.groundAcceleration;
+  // Horizontal speed the player keeps between frames (y is unused), so ice
+  // slides and a launch pad's push carries on through the air
+  private horizontalVelocity: THREE.Vector3 = new THREE.Vector3();
+
+  // Rotation and camera properties
+  private cameraRotationSpeed: number = 2; // Radians per second
+  private cameraOffset: THREE.Vector3 = new THREE.Vector3(0, 2, 5);
+  private cameraTargetOffset: THREE.Vector3 = new THREE.Vector3(0, 0.5, 0);
+  // World direction of the mesh's +Z axis; forward movement goes the opposite way
+  private playerDirection: THREE.Vector3 = new THREE.Vector3(0, 0, 1);
+  private rotationAngle: number = 0;
+
+  // Physics properties
+  private isGrounded: boolean = false;
+  private playerHeight: number = PLAYER_PHYSICS.height;
+  private collisionBlocks: Block[] = [];
+  private verticalVelocity: number = 0;
+  private jumpForce: number = PLAYER_PHYSICS.jumpForce;
+  private terminalVelocity: number = PLAYER_PHYSICS.terminalVelocity;
+  // Block the player is standing on and where it was at the end of the last
+  // frame, so a moving platform can carry the player along
+  private groundBlock: Block | null = null;
+  private groundBlockPosition: THREE.Vector3 = new THREE.Vector3();
+
+  // Kill zone properties
+  private respawnPosition: Vector3;
+  private killPlaneY: number = -10; // Falling below this height respawns
+  private isDead: boolean = false;
+  private deathTimeout: number | null = null;
+  private onDeath: (() => void) | null = null;
+
+  // Box for collision
+  private collisionBox: THREE.Box3;
+  private collisionOffsetY: number = PLAYER_PHYSICS.collisionOffsetY;
+  private onLevelComplete: (() => void) | null = null;
+  private isLevelCompleted: boolean = false;
+
+  // Checkpoints reached this run; dying respawns on the last one
+  private reachedCheckpoints: Block[] = [];
+  private onCheckpoint: ((index: number, total: number) => void) | null =
+    null;
+
+  constructor(position: Vector3, camera: THREE.PerspectiveCamera) {
+    this.mesh = new THREE.Group();
+    this.camera = camera;
+
+    // Store initial position as respawn point
+    this.respawnPosition = { ...position };
+
+    // Body - ragged clothes (darker, tattered look)
+    const bodyGeometry = new THREE.BoxGeometry(0.5, 0.7, 0.3);
+    const bodyMaterial = new THREE.MeshBasicMaterial({ color: 0x4d3b21 }); // Darker brown for worn clothes
+    this.body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    this.body.position.y = 0.35;
+    this.mesh.add(this.body);
+
+    // Create tattered clothing patches on the body
+    const addPatch = (
+      x: number,
+      y: number,
+      z: number,
+      width: number,
+      height: number,
+      depth: number
+    ) => {
+      const patchGeometry = new THREE.BoxGeometry(width, height, depth);
+      const patchMaterial = new THREE.MeshBasicMaterial({ color: 0x5d4037 }); // Slightly different brown
+      const patch = new THREE.Mesh(patchGeometry, patchMaterial);
+      patch.position.set(x, y, z);
+      this.body.add(patch);
+    };
+
+    // Add patches to simulate tattered clothes
+    addPatch(0.1, 0.1, 0.16, 0.2, 0.2, 0.01);
+    addPatch(-0.15, -0.2, 0.16, 0.15, 0.15, 0.01);
+    addPatch(0.18, -0.1, 0.16, 0.1, 0.25, 0.01);
+
+    // Head - with dirt/grunginess
+    const headGeometry = new THREE.BoxGeometry(0.4, 0.4, 0.4);
+    const headMaterial = new THREE.MeshBasicMaterial({ color: 0xc8a080 }); // Slightly dirty skin tone
+    this.head = new THREE.Mesh(headGeometry, headMaterial);
+    this.head.position.y = 0.95;
+    this.mesh.add(this.head);
+
+    // Add a simpler beanie hat on top of the head
+    const beanieGeometry = new THREE.BoxGeometry(0.44, 0.15, 0.44);
+    const beanieMaterial = new THREE.MeshBasicMaterial({ color: 0x8b4513 }); // Deep brown beanie
+    const beanie = new THREE.Mesh(beanieGeometry, beanieMaterial);
+    beanie.position.y = 0.25; // Position on top of the head
+    this.head.add(beanie);
+
+    // Add beanie fold/rim
+    const beanieRimGeometry = new THREE.BoxGeometry(0.45, 0.08, 0.45);
+    const beanieRimMaterial = new THREE.MeshBasicMaterial({ color: 0x654321 }); // Darker rim
+    const beanieRim = new THREE.Mesh(beanieRimGeometry, beanieRimMaterial);
+    beanieRim.position.y = 0.11;
+    beanie.add(beanieRim);
+
+    // Add beard stubble - small box below the face
+    const stubbleGeometry = new THREE.BoxGeometry(0.35, 0.1, 0.35);
+    const stubbleMaterial = new THREE.MeshBasicMaterial({ color: 0x3d3d3d });
+    const stubble = new THREE.Mesh(stubbleGeometry, stubbleMaterial);
+    stubble.position.y = -0.25;
+    stubble.position.z = 0.03;
+    this.head.add(stubble);
+
+    // Legs - tattered pants
+    const legGeometry = new THREE.BoxGeometry(0.15, 0.5, 0.15);
+    const legMaterial = new THREE.MeshBasicMaterial({ color: 0x1b2631 }); // Dark denim color
+
+    this.leftLeg = new THREE.Mesh(legGeometry, legMaterial);
+    this.leftLeg.position.set(0.15, -0.25, 0);
+    this.mesh.add(this.leftLeg);
+
+    this.rightLeg = new THREE.Mesh(legGeometry, legMaterial);
+    this.rightLeg.position.set(-0.15, -0.25, 0);
+    this.mesh.add(this.rightLeg);
+
+    // Add tatters to the bottom of the pants
+    const leftLegTatterGeometry = new THREE.BoxGeometry(0.18, 0.07, 0.18);
+    const leftLegTatterMaterial = new THREE.MeshBasicMaterial({
+      color: 0x17202a,
+    });
+    const leftLegTatter = new THREE.Mesh(
+      leftLegTatterGeometry,
+      leftLegTatterMaterial
+    );
+    leftLegTatter.position.y = -0.25;
+    this.leftLeg.add(leftLegTatter);
+
+    const rightLegTatterGeometry = new THREE.BoxGeometry(0.18, 0.07, 0.18);
+    const rightLegTatterMaterial = new THREE.MeshBasicMaterial({
+      color: 0x17202a,
+    });
+    const rightLegTatter = new THREE.Mesh(
+      rightLegTatterGeometry,
+      rightLegTatterMaterial
+    );
+    rightLegTatter.position.y = -0.25;
+    this.rightLeg.add(rightLegTatter);
+
+    // Arms - tattered sleeves
+    const armGeometry = new THREE.BoxGeometry(0.15, 0.5, 0.15);
+    const armMaterial = new THREE.MeshBasicMaterial({ color: 0x4d3b21 }); // Match body color
+
+    this.leftArm = new THREE.Mesh(armGeometry, armMaterial);
+    this.leftArm.position.set(0.325, 0.35, 0);
+    this.mesh.add(this.leftArm);
+
+    this.rightArm = new THREE.Mesh(armGeometry, armMaterial);
+    this.rightArm.position.set(-0.325, 0.35, 0);
+    this.mesh.add(this.rightArm);
+
+    // Add tatters to the sleeves
+    const leftArmTatterGeometry = new THREE.BoxGeometry(0.08, 0.1, 0.18);
+    const leftArmTatterMaterial = new THREE.MeshBasicMaterial({
+      color: 0x5d4037,
+    });
+    const leftArmTatter = new THREE.Mesh(
+      leftArmTatterGeometry,
+      leftArmTatterMaterial
+    );
+    leftArmTatter.position.set(0.04, -0.22, 0);
+    this.leftArm.add(leftArmTatter);
+
+    const rightArmTatterGeometry = new THREE.BoxGeometry(0.08, 0.1, 0.18);
+    const rightArmTatterMaterial = new THREE.MeshBasicMaterial({
+      color: 0x5d4037,
+    });
+    const rightArmTatter = new THREE.Mesh(
+      rightArmTatterGeometry,
+      rightArmTatterMaterial
+    );
+    rightArmTatter.position.set(-0.04, -0.22, 0);
+    this.rightArm.add(rightArmTatter);
+
+    // Add fingerless gloves
+    const leftGloveGeometry = new THREE.BoxGeometry(0.17, 0.15, 0.17);
+    const leftGloveMaterial = new THREE.MeshBasicMaterial({ color: 0x4a4a4a });
+    const leftGlove = new THREE.Mesh(leftGloveGeometry, leftGloveMaterial);
+    leftGlove.position.y = -0.2;
+    this.leftArm.add(leftGlove);
+
+    const rightGloveGeometry = new THREE.BoxGeometry(0.17, 0.15, 0.17);
+    const rightGloveMaterial = new THREE.MeshBasicMaterial({ color: 0x4a4a4a });
+    const rightGlove = new THREE.Mesh(rightGloveGeometry, rightGloveMaterial);
+    rightGlove.position.y = -0.2;
+    this.rightArm.add(rightGlove);
+
+    // Set initial position
+    this.mesh.position.set(position.x, position.y, position.z);
+
+    // Initialize collision box
+    this.collisionBox = new THREE.Box3();
+    this.updateCollisionBox();
+
+    // Initialize player direction and update camera position
+    this.updateDirection();
+    this.updateCamera();
+
+    // Set up control event listeners
+    this.setupEventListeners();
+
+    // Load controls from local storage if available
+    this.loadControls();
+  }
+
+  private setupEventListeners() {
+    // Keyboard events
+    window.addEventListener("keydown", this.keydownHandler);
+    window.addEventListener("keyup", this.keyupHandler);
+  }
+
+  update(delta: number, time: number, blocks: Block[]) {
+    // Don't update if player is dead or the level is already completed
+    if (this.isDead || this.isLevelCompleted) return;
+
+    // Store blocks for collision detection
+    this.collisionBlocks = blocks;
+
+    // Ride along with a platform that moved since the last frame
+    this.followGroundBlock();
+
+    // Check if player is moving based on key states
+    this.isMoving =
+      this.keys[this.controls.forward] ||
+      this.keys[this.controls.backward] ||
+      this.keys[this.controls.left] ||
+      this.keys[this.controls.right];
+
+    // Handle rotation and movement
+    this.handleRotation(delta);
+
+    // Apply physics (gravity, vertical velocity)
+    this.applyPhysics(delta);
+
+    // Handle movement with collision detection
+    this.handleMovement(delta);
+
+    // Update camera position to follow player
+    this.updateCamera();
+
+    // Check if player fell out of the world
+    if (this.mesh.position.y < this.killPlaneY) {
+      this.respawn();
+      return;
+    }
+
+    // Apply animations based on state
+    this.applyAnimations(time);
+
+    // Update the collision box after all movement/physics
+    this.updateCollisionBox();
+  }
+
+  private applyPhysics(delta: number) {
+    // Apply gravity
+    this.verticalVelocity -= this.gravity * delta;
+
+    // Limit fall speed to terminal velocity
+    this.verticalVelocity = Math.max(
+      this.verticalVelocity,
+      -this.terminalVelocity
+    );
+
+    // Tentative vertical movement
+    const dy = this.verticalVelocity * delta;
+    const tentativeY = this.mesh.position.y + dy;
+
+    // Check vertical collision before applying movement
+    const verticalCollision = this.checkVerticalCollision(tentativeY);
+
+    if (verticalCollision.collided) {
+      // Adjust position to collision surface
+      this.mesh.position.y = verticalCollision.positionY;
+      // Stop vertical velocity based on collision type
+      if (
+        (dy > 0 && verticalCollision.type === "bottom") ||
+        (dy < 0 && verticalCollision.type === "top")
+      ) {
+        this.verticalVelocity = 0;
+      }
+      // Grounded only if landing
+      this.isGrounded = dy < 0 && verticalCollision.type === "top";
+    } else {
+      this.mesh.position.y = tentativeY;
+      this.isGrounded = false;
+    }
+
+    // Pads throw the player back up as soon as they land
+    const pad = this.isGrounded ? verticalCollision.block : undefined;
+    if (pad?.launch) {
+      this.launch(pad);
+    }
+    this.setGroundBlock(
+      this.isGrounded ? (verticalCollision.block ?? null) : null
+    );
+
+    // Check for kill zones, checkpoints and the finish after position update
+    this.checkSpecialZones();
+  }
+
+  private checkVerticalCollision(tentativeY: number): {
+    collided: boolean;
+    positionY: number;
+    type: "top" | "bottom" | "none";
+    block?: Block; // The block landed on, if any
+  } {
+    // Collision box at the tentative position
+    const tentativeCollisionBox = this.collisionBox.clone();
+    tentativeCollisionBox.min.y = tentativeY - this.collisionOffsetY;
+    tentativeCollisionBox.max.y =
+      tentativeY + this.playerHeight - this.collisionOffsetY;
+
+    for (const block of this.collisionBlocks) {
+      if (!block.mesh || isKillZone(block) || isCollapsed(block)) continue;
+
+      const blockBox = new THREE.Box3().setFromObject(block.mesh);
+
+      if (tentativeCollisionBox.intersectsBox(blockBox)) {
+        // Landing on top (previous position was above the block)
+        if (
+          this.verticalVelocity <= 0 &&
+          tentativeCollisionBox.min.y < blockBox.max.y &&
+          this.mesh.position.y >= blockBox.max.y - 0.01
+        ) {
+          return {
+            collided: true,
+            positionY: blockBox.max.y + this.collisionOffsetY,
+            type: "top",
+            block,
+          };
+        }
+        // Hitting the bottom (previous position was below the block)
+        if (
+          this.verticalVelocity > 0 &&
+          tentativeCollisionBox.max.y > blockBox.min.y &&
+          this.mesh.position.y + this.playerHeight <= blockBox.min.y + 0.01
+        ) {
+          return {
+            collided: true,
+            positionY:
+              blockBox.min.y - this.playerHeight + this.collisionOffsetY,
+            type: "bottom",
+          };
+        }
+      }
+    }
+
+    // Ground plane at y = 0
+    if (tentativeY - this.collisionOffsetY < 0) {
+      return { collided: true, positionY: this.collisionOffsetY, type: "top" };
+    }
+
+    return { collided: false, positionY: tentativeY, type: "none" };
+  }
+
+  private setGroundBlock(block: Block | null) {
+    this.groundBlock = block;
+    if (block?.mesh) {
+      this.groundBlockPosition.copy(block.mesh.position);
+    }
+  }
+
+  // Move the player by however far the block under them has moved since the
+  // last frame. Sideways motion stops at walls like walking does.
+  private followGroundBlock() {
+    const mesh = this.groundBlock?.mesh;
+    if (!mesh || !this.isGrounded) return;
+
+    const shift = mesh.position.clone().sub(this.groundBlockPosition);
+    if (shift.lengthSq() === 0) return;
+
+    this.mesh.position.y += shift.y;
+    this.updateCollisionBox();
+    const horizontalCollision = this.checkHorizontalCollision(
+      this.mesh.position.x + shift.x,
+      this.mesh.position.z + shift.z
+    );
+    this.mesh.position.x = horizontalCollision.positionX;
+    this.mesh.position.z = horizontalCollision.positionZ;
+    this.updateCollisionBox();
+    this.groundBlockPosition.copy(mesh.position);
+  }
+
+  // Check for kill zones, checkpoints and the finish once the position is final
+  // for the frame
+  private checkSpecialZones() {
+    this.updateCollisionBox();
+
+    for (const block of this.collisionBlocks) {
+      if (!block.mesh) continue;
+
+      const blockBox = new THREE.Box3().setFromObject(block.mesh);
+      // Standing on a block leaves the boxes only just touching, which
+      // rounding can turn into a miss, so the block underfoot always counts
+      const isTouching =
+        block === this.groundBlock || this.collisionBox.intersectsBox(blockBox);
+
+      // Finish block - complete the level when player touches it
+      if (block.type === "finish" && isTouching) {
+        if (!this.isLevelCompleted) {
+          this.isLevelCompleted = true;
+          if (this.onLevelComplete) {
+            this.onLevelComplete();
+          }
+        }
+      }
+
+      if (block.type === "checkpoint" && isTouching) {
+        this.reachCheckpoint(block, blockBox);
+      }
+
+      // Kill zone - only check collision with the base platform, not the warning triangles
+      if (isKillZone(block)) {
+        let killZoneBox = blockBox;
+        if (
+          block.mesh instanceof THREE.Group &&
+          block.mesh.children.length > 0 &&
+          block.mesh.children[0] instanceof THREE.Mesh
+        ) {
+          killZoneBox = new THREE.Box3().setFromObject(block.mesh.children[0]);
+        }
+
+        if (this.collisionBox.intersectsBox(killZoneBox)) {
+          this.die();
+          return;
+        }
+      }
+    }
+  }
+
+  private checkHorizontalCollision(
+    tentativeX: number,
+    tentativeZ: number
+  ): { collided: boolean; positionX: number; positionZ: number } {
+    // Collision box at the tentative position
+    const tentativeCollisionBox = this.collisionBox.clone();
+    const halfWidth = (this.collisionBox.max.x - this.collisionBox.min.x) / 2;
+    tentativeCollisionBox.min.x = tentativeX - halfWidth;
+    tentativeCollisionBox.max.x = tentativeX + halfWidth;
+    tentativeCollisionBox.min.z = tentativeZ - halfWidth;
+    tentativeCollisionBox.max.z = tentativeZ + halfWidth;
+
+    for (const block of this.collisionBlocks) {
+      if (
+        !block.mesh ||
+        isKillZone(block) ||
+        isCollapsed(block) ||
+        block.type === "finish"
+      ) {
+        continue;
+      }
+
+      const blockBox = new THREE.Box3().setFromObject(block.mesh);
+
+      if (tentativeCollisionBox.intersectsBox(blockBox)) {
+        // Allow walking on surfaces the feet are already standing on
+        const playerFeetY = this.mesh.position.y - this.collisionOffsetY;
+        const feetClearance = 0.05;
+        if (playerFeetY >= blockBox.max.y - feetClearance) {
+          continue;
+        }
+
+        const xOverlap = Math.max(
+          0,
+          Math.min(tentativeCollisionBox.max.x, blockBox.max.x) -
+            Math.max(tentativeCollisionBox.min.x, blockBox.min.x)
+        );
+        const zOverlap = Math.max(
+          0,
+          Math.min(tentativeCollisionBox.max.z, blockBox.max.z) -
+            Math.max(tentativeCollisionBox.min.z, blockBox.min.z)
+        );
+
+        if (xOverlap > 0.01 || zOverlap > 0.01) {
+          const playerCenter = tentativeCollisionBox.getCenter(
+            new THREE.Vector3()
+          );
+          const blockCenter = blockBox.getCenter(new THREE.Vector3());
+          const pushX =
+            playerCenter.x < blockCenter.x
+              ? -(tentativeCollisionBox.max.x - blockBox.min.x)
+              : blockBox.max.x - tentativeCollisionBox.min.x;
+          const pushZ =
+            playerCenter.z < blockCenter.z
+              ? -(tentativeCollisionBox.max.z - blockBox.min.z)
+              : blockBox.max.z - tentativeCollisionBox.min.z;
+
+          // Block movement along the axis with the smallest pushback, slide along the other
+          if (Math.abs(pushX) < Math.abs(pushZ)) {
+            return {
+              collided: true,
+              positionX: this.mesh.position.x,
+              positionZ: tentativeZ,
+            };
+          } else {
+            return {
+              collided: true,
+              positionX: tentativeX,
+              positionZ: this.mesh.position.z,
+            };
+          }
+        }
+      }
+    }
+
+    return { collided: false, positionX: tentativeX, positionZ: tentativeZ };
+  }
+
+  private updateCollisionBox() {
+    const halfWidth = PLAYER_COLLISION_HALF_WIDTH;
+    const bottomY = this.mesh.position.y - this.collisionOffsetY;
+    const topY = bottomY + this.playerHeight;
+
+    this.collisionBox.min.set(
+      this.mesh.position.x - halfWidth,
+      bottomY,
+      this.mesh.position.z - halfWidth
+    );
+    this.collisionBox.max.set(
+      this.mesh.position.x + halfWidth,
+      topY,
+      this.mesh.position.z + halfWidth
+    );
+  }
+
+  private handleRotation(delta: number) {
+    const rotationAmount = this.cameraRotationSpeed * delta;
+    let didRotate = false;
+
+    if (this.keys[this.controls.left]) {
+      this.rotationAngle += rotationAmount;
+      didRotate = true;
+    }
+    if (this.keys[this.controls.right]) {
+      this.rotationAngle -= rotationAmount;
+      didRotate = true;
+    }
+
+    if (didRotate) {
+      this.mesh.rotation.y = this.rotationAngle;
+      this.updateDirection();
+    }
+  }
+
+  private updateDirection() {
+    this.mesh.getWorldDirection(this.playerDirection);
+    this.playerDirection.y = 0;
+    this.playerDirection.normalize();
+  }
+
+  private handleMovement(delta: number) {
+    const surface = this.isGrounded ? this.groundBlock?.surface : undefined;
+
+    // The velocity the movement keys ask for, plus the pull of a conveyor
+    // belt underfoot
+    const target = new THREE.Vector3();
+    if (this.keys[this.controls.forward]) {
+      target.sub(this.playerDirection);
+    }
+    if (this.keys[this.controls.backward]) {
+      target.add(this.playerDirection);
+    }
+    target.multiplyScalar(this.speed * (surface?.speed ?? 1));
+    if (surface?.conveyor && this.groundBlock?.mesh) {
+      const belt = new THREE.Vector3(
+        surface.conveyor.x,
+        0,
+        surface.conveyor.z
+      ).applyQuaternion(this.groundBlock.mesh.quaternion);
+      belt.y = 0;
+      target.add(belt);
+    }
+
+    // On the ground the player speeds up and slows down towards that
+    // velocity, slower on slippery surfaces. In the air the keys only steer,
+    // so the speed a jump starts with (from ice, a belt or a launch pad)
+    // carries on through the air.
+    const acceleration = this.isGrounded
+      ? this.groundAcceleration * (surface?.friction ?? 1)
+      : this.airControl;
+    this.accelerateTowards(target, acceleration * delta);
+
+    const dx = this.horizontalVelocity.x * delta;
+    const dz = this.horizontalVelocity.z * delta;
+    if (dx !== 0 || dz !== 0) {
+      const tentativeX = this.mesh.position.x + dx;
+      const tentativeZ = this.mesh.position.z + dz;
+      const horizontalCollision = this.checkHorizontalCollision(
+        tentativeX,
+        tentativeZ
+      );
+      this.mesh.position.x = horizontalCollision.positionX;
+      this.mesh.position.z = horizontalCollision.positionZ;
+
+      // Hitting a wall stops the player along that axis
+      if (horizontalCollision.positionX !== tentativeX) {
+        this.horizontalVelocity.x = 0;
+      }
+      if (horizontalCollision.positionZ !== tentativeZ) {
+        this.horizontalVelocity.z = 0;
+      }
+    }
+  }
+
+  // Change the horizontal velocity towards `target` by at most `maxChange`
+  private accelerateTowards(target: THREE.Vector3, maxChange: number) {
+    const change = target.clone().sub(this.horizontalVelocity);
+    if (change.length() > maxChange) {
+      change.setLength(maxChange);
+    }
+    this.horizontalVelocity.add(change);
+  }
+
+  // Throw the player off a bounce or launch pad. Launch pads also push the
+  // way their arrow (the pad's -Z axis) points.
+  private launch(pad: Block) {
+    const launch = pad.launch;
+    if (!launch) return;
+
+    this.verticalVelocity = launch.strength;
+    this.isGrounded = false;
+
+    if (launch.push && pad.mesh) {
+      const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(
+        pad.mesh.quaternion
+      );
+      forward.y = 0;
+      if (forward.lengthSq() > 0) {
+        this.horizontalVelocity.addScaledVector(
+          forward.normalize(),
+          launch.push
+        );
+      }
+    }
+  }
+
+  private updateCamera() {
+    // Camera follows behind the player using the mesh's rotation
+    const offset = this.cameraOffset.clone();
+    offset.applyEuler(this.mesh.rotation);
+
+    this.camera.position.copy(this.mesh.position).add(offset);
+
+    // Look at a point slightly above the player's base
+    const lookAtTarget = new THREE.Vector3(
+      this.mesh.position.x,
+      this.mesh.position.y + this.cameraTargetOffset.y,
+      this.mesh.position.z
+    );
+
+    this.camera.lookAt(lookAtTarget);
+  }
+
+  private applyAnimations(time: number) {
+    // Idle animation only when grounded and not moving
+    if (!this.isMoving && this.isGrounded) {
+      this.body.position.y = 0.35 + Math.sin(time * 2) * 0.01;
+      this.leftLeg.rotation.x = 0;
+      this.rightLeg.rotation.x = 0;
+      this.leftArm.rotation.x = 0;
+      this.rightArm.rotation.x = 0;
+    }
+
+    // Running animation only when grounded and moving
+    if (this.isMoving && this.isGrounded) {
+      const runCycle = time * 10;
+      this.leftLeg.rotation.x = Math.sin(runCycle) * 0.7;
+      this.rightLeg.rotation.x = Math.sin(runCycle + Math.PI) * 0.7;
+      this.leftArm.rotation.x = Math.sin(runCycle + Math.PI) * 0.5;
+      this.rightArm.rotation.x = Math.sin(runCycle) * 0.5;
+      this.body.position.y = 0.35;
+    }
+
+    // Jumping pose when in air
+    if (!this.isGrounded) {
+      this.leftLeg.rotation.x = -0.5;
+      this.rightLeg.rotation.x = -0.5;
+      this.leftArm.rotation.x = -0.8;
+      this.rightArm.rotation.x = -0.8;
+      this.body.position.y = 0.35;
+    }
+  }
+
+  jump() {
+    // Only allow jumping if player is on ground
+    if (this.isGrounded) {
+      this.isGrounded = false;
+      this.verticalVelocity = this.jumpForce;
+    }
+  }
+
+  // The block under the player's feet, or null in the air or on the ground
+  getGroundBlock(): Block | null {
+    return this.groundBlock;
+  }
+
+  getPosition(): Vector3 {
+    return {
+      x: this.mesh.position.x,
+      y: this.mesh.position.y,
+      z: this.mesh.position.z,
+    };
+  }
+
+  setPosition(position: Vector3) {
+    this.mesh.position.set(position.x, position.y, position.z);
+    // Reset physics
+    this.verticalVelocity = 0;
+    this.horizontalVelocity.set(0, 0, 0);
+    this.isGrounded = false;
+    this.groundBlock = null;
+
+    // Reset rotation when position is explicitly set
+    this.rotationAngle = 0;
+    this.mesh.rotation.y = 0;
+    this.updateDirection();
+    this.updateCamera();
+
+    // Update collision box
+    this.updateCollisionBox();
+
+    // Update respawn position
+    this.respawnPosition = { ...position };
+
+    // An explicit reset starts the level over
+    this.isLevelCompleted = false;
+    this.resetCheckpoints();
+    resetCrumblingBlocks(this.collisionBlocks);
+  }
+
+  // Control management methods
+  updateControls(newControls: Partial<PlayerControls>) {
+    this.controls = {
+      ...this.controls,
+      ...newControls,
+    };
+
+    // Save to localStorage for persistence
+    this.saveControls();
+  }
+
+  private saveControls() {
+    try {
+      localStorage.setItem("parkourHoboControls", JSON.stringify(this.controls));
+    } catch (e) {
+      console.error("Failed to save controls to local storage", e);
+    }
+  }
+
+  // Storage can be unavailable (e.g. inside the sandboxed Reddit webview)
+  private loadControls() {
+    try {
+      const savedControls = localStorage.getItem("parkourHoboControls");
+      if (savedControls) {
+        const controls = JSON.parse(savedControls);
+        this.controls = {
+          ...DEFAULT_CONTROLS, // Fallback defaults
+          ...controls, // Saved values
+        };
+      }
+    } catch (e) {
+      console.error("Failed to load controls from local storage", e);
+    }
+  }
+
+  getControls(): PlayerControls {
+    return { ...this.controls };
+  }
+
+  resetControls() {
+    this.controls = { ...DEFAULT_CONTROLS };
+    this.saveControls();
+  }
+
+  // Kill zone methods
+  private die() {
+    if (this.isDead) return;
+
+    this.isDead = true;
+
+    // Call the death callback if it exists
+    if (this.onDeath) {
+      this.onDeath();
+    }
+
+    // Store all original colors
+    const meshColorMap = new Map<THREE.Mesh, THREE.Color>();
+    this.mesh.traverse((child) => {
+      if (
+        child instanceof THREE.Mesh &&
+        child.material instanceof THREE.MeshBasicMaterial &&
+        !meshColorMap.has(child)
+      ) {
+        meshColorMap.set(child, child.material.color.clone());
+      }
+    });
+
+    // Make all parts red
+    meshColorMap.forEach((_, mesh) => {
+      if (mesh.material instanceof THREE.MeshBasicMaterial) {
+        mesh.material.color.set(0xff0000);
+      }
+    });
+
+    // Wait a moment, then respawn
+    this.deathTimeout = window.setTimeout(() => {
+      // Restore original colors
+      meshColorMap.forEach((originalColor, mesh) => {
+        if (mesh.material instanceof THREE.MeshBasicMaterial) {
+          mesh.material.color.copy(originalColor);
+        }
+      });
+
+      this.deathTimeout = null;
+      this.respawn();
+    }, 500);
+  }
+
+  private respawn() {
+    this.isDead = false;
+
+    // setPosition resets physics, rotation, camera and collision box, but it
+    // also starts the level over, so keep the checkpoints reached so far
+    const reached = this.reachedCheckpoints;
+    this.reachedCheckpoints = [];
+    this.setPosition(this.respawnPosition);
+    reached.forEach((block) => setCheckpointActive(block, true));
+    this.reachedCheckpoints = reached;
+  }
+
+  // Update the respawn position (called when player passes checkpoints, etc.)
+  updateRespawnPosition(position: Vector3) {
+    this.respawnPosition = { ...position };
+  }
+
+  // Checkpoints count in order: touching one the player is already past
+  // (or an earlier one) doesn't move the respawn point back
+  private reachCheckpoint(block: Block, box: THREE.Box3) {
+    if (this.reachedCheckpoints.includes(block)) return;
+
+    const checkpoints = sortCheckpoints(this.collisionBlocks);
+    const last = this.reachedCheckpoints[this.reachedCheckpoints.length - 1];
+    if (last && checkpoints.indexOf(block) < checkpoints.indexOf(last)) return;
+
+    this.reachedCheckpoints.push(block);
+    setCheckpointActive(block, true);
+
+    const center = box.getCenter(new THREE.Vector3());
+    this.updateRespawnPosition({
+      x: center.x,
+      y: box.max.y + this.collisionOffsetY,
+      z: center.z,
+    });
+
+    if (this.onCheckpoint) {
+      this.onCheckpoint(checkpoints.indexOf(block) + 1, checkpoints.length);
+    }
+  }
+
+  private resetCheckpoints() {
+    this.reachedCheckpoints.forEach((block) =>
+      setCheckpointActive(block, false)
+    );
+    this.reachedCheckpoints = [];
+  }
+
+  // Height below which the player respawns, from the course's template
+  setKillPlaneY(y: number) {
+    this.killPlaneY = y;
+  }
+
+  // Set death callback
+  setOnDeath(callback: () => void) {
+    this.onDeath = callback;
+  }
+
+  // Set level complete callback
+  setOnLevelComplete(callback: () => void) {
+    this.onLevelComplete = callback;
+  }
+
+  // Called with the checkpoint's place in the course (from 1) and how many
+  // checkpoints there are
+  setOnCheckpoint(callback: (index: number, total: number) => void) {
+    this.onCheckpoint = callback;
+  }
+
+  // Reset level completion state
+  resetLevelCompletion() {
+    this.isLevelCompleted = false;
+  }
+
+  // Clean up event listeners on destroy
+  destroy() {
+    window.removeEventListener("keydown", this.keydownHandler);
+    window.removeEventListener("keyup", this.keyupHandler);
+
+    // Clear any pending timeouts
+    if (this.deathTimeout !== null) {
+      window.clearTimeout(this.deathTimeout);
+      this.deathTimeout = null;
+    }
+
+    // Checkpoint blocks outlive the player (e.g. back in the builder)
+    this.resetCheckpoints();
+
+    // Reset any callbacks
+    this.onDeath = null;
+    this.onLevelComplete = null;
+    this.onCheckpoint = null;
+  }
+
+  private keydownHandler = (event: KeyboardEvent) => {
+    // Keep the space bar from scrolling the page
+    if (event.key === " ") {
+      event.preventDefault();
+    }
+    this.keys[event.key.toLowerCase()] = true;
+    if (event.key.toLowerCase() === this.controls.jump) {
+      this.jump();
+    }
+  };
+
+  private keyupHandler = (event: KeyboardEvent) => {
+    this.keys[event.key.toLowerCase()] = false;
+  };
+}
+
+function isKillZone(block: Block): boolean {
+  return block.type === "killZone" || block.type === "killZoneLarge";
+}
@@ -0,0 +1,23 @@
+// Player movement and collision constants. Player uses these directly and the
+// reachability checker predicts jumps from them, so change them here only.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+export const PLAYER_PHYSICS = {
+  speed: 5, // Units per second
+  // How quickly the movement keys can change the player's speed in the air
+  // (units per second, per second), so a jump keeps the speed it started with
+  airControl: 6,
+  // How quickly the movement keys change speed on the ground (units per
+  // second, per second). Block surfaces scale this down, e.g. for ice.
+  groundAcceleration: 60,
+  jumpForce: 8, // Initial upward velocity of a jump
+  gravity: 15,
+  terminalVelocity: 20,
+  height: 1.5, // Total height of the player
+  width: 0.5, // Width of the player model
+  collisionOffsetY: 0.75, // Offset from center to the bottom of the collision box
+};
+
+// Half the width of the collision box, slightly smaller than the model for
+// better feel
+export const PLAYER_COLLISION_HALF_WIDTH = PLAYER_PHYSICS.width * 0.45;
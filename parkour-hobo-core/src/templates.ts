@@ -0,0 +1,105 @@
+// Course templates. A template fixes the block limit, the build volume, the
+// snapping grid and the kill plane of a course; the settings are copied into
+// every course created from it (see SerializedCourse.templateSettings), so
+// courses built on a user's own template still play and validate anywhere.
+// Keep this file free of three.js imports - the Devvit server code uses it too.
+
+export interface TemplateVector {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export interface TemplateSettings {
+  maxBlocks: number;
+  // Block centers must stay inside this box
+  buildVolume: { min: TemplateVector; max: TemplateVector };
+  gridSize: number; // Snapping step in world units
+  killPlaneY: number; // The player respawns after falling below this height
+}
+
+export interface Template extends TemplateSettings {
+  name: string;
+  label: string;
+  defaultAtmosphere: { isDayMode: boolean };
+  isCustom?: boolean; // Saved by the user rather than built in
+}
+
+// The old fixed 200x200 grid and fall height, shared by the built-in templates
+const BUILT_IN_VOLUME = {
+  min: { x: -100, y: -10, z: -100 },
+  max: { x: 100, y: 100, z: 100 },
+};
+
+export const BUILT_IN_TEMPLATES: Template[] = [
+  {
+    name: "small",
+    label: "Small",
+    maxBlocks: 200,
+    buildVolume: BUILT_IN_VOLUME,
+    gridSize: 1,
+    killPlaneY: -10,
+    defaultAtmosphere: { isDayMode: true },
+  },
+  {
+    name: "medium",
+    label: "Medium",
+    maxBlocks: 400,
+    buildVolume: BUILT_IN_VOLUME,
+    gridSize: 1,
+    killPlaneY: -10,
+    defaultAtmosphere: { isDayMode: true },
+  },
+  {
+    name: "large",
+    label: "Large",
+    maxBlocks: 600,
+    buildVolume: BUILT_IN_VOLUME,
+    gridSize: 1,
+    killPlaneY: -10,
+    defaultAtmosphere: { isDayMode: true },
+  },
+];
+
+// Hard limits for any template, built in or custom
+export const MAX_TEMPLATE_BLOCKS = 1000;
+export const MAX_GRID_SIZE = 10;
+
+// Just the settings a course keeps from its template
+export function getTemplateSettings(
+  template: TemplateSettings
+): TemplateSettings {
+  return {
+    maxBlocks: template.maxBlocks,
+    buildVolume: {
+      min: { ...template.buildVolume.min },
+      max: { ...template.buildVolume.max },
+    },
+    gridSize: template.gridSize,
+    killPlaneY: template.killPlaneY,
+  };
+}
+
+// Settings for a built-in template name, falling back to the largest one for
+// names this build does not know
+export function getBuiltInTemplateSettings(name: string): TemplateSettings {
+  const template =
+    BUILT_IN_TEMPLATES.find((t) => t.name === name) ??
+    BUILT_IN_TEMPLATES[BUILT_IN_TEMPLATES.length - 1];
+  return getTemplateSettings(template);
+}
+
+export function isInsideBuildVolume(
+  settings: TemplateSettings,
+  position: TemplateVector
+): boolean {
+  const { min, max } = settings.buildVolume;
+  return (
+    position.x >= min.x &&
+    position.x <= max.x &&
+    position.y >= min.y &&
+    position.y <= max.y &&
+    position.z >= min.z &&
+    position.z <= max.z
+  );
+}
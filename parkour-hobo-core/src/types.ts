@@ -1,4 +1,15 @@
 import * as THREE from "three";
+import {
+  BlockAppearance,
+  BlockSurface,
+  CourseMetadata,
+  CrumbleSettings,
+  LaunchSettings,
+} from "./courseSchema.js";
+import { PlatformPath } from "./platformPath.js";
+import { Template, TemplateSettings } from "./templates.js";
+
+export type { Template, TemplateSettings };
 
 export interface Vector3 {
   x: number;
@@ -27,6 +38,13 @@ export const DEFAULT_CONTROLS: PlayerControls = {
 export interface Block {
   position: Vector3;
   rotation: Vector3;
+  scale: Vector3; // 1 on every axis for a block at its type's normal size
+  appearance?: BlockAppearance; // Unset for blocks in their type's colors
+  checkpointOrder?: number; // Checkpoint blocks only
+  path?: PlatformPath; // Moving platforms only
+  launch?: LaunchSettings; // Bounce and launch pads only
+  crumble?: CrumbleSettings; // Crumbling garbage bags only
+  surface?: BlockSurface; // Ice, tar and conveyor belts
   type: string;
   mesh?: THREE.Mesh | THREE.Group;
   highlight(material: THREE.Material): void;
@@ -47,11 +65,9 @@ export interface Course {
   startPosition: Vector3;
   finishPosition: Vector3;
   atmosphere: AtmosphereSettings; // Add atmosphere settings
-}
-
-export interface Template {
-  name: string;
-  maxBlocks: number;
+  metadata: CourseMetadata;
+  templateSettings: TemplateSettings;
+  thumbnail?: string; // Image data URL, rendered when the course is saved
 }
 
 export interface BlockDefinition {
@@ -0,0 +1,9 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../src/blockDimensions.js";
+import { BlockFactory } from "../src/blockFactory.js";
+
+describe("BLOCK_TYPES", () => {
+  it("lists every block type BlockFactory builds", () => {
+    expect(new BlockFactory().getAllBlockTypes()).toEqual(BLOCK_TYPES);
+  });
+});
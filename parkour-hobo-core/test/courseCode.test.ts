@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  decodeCourseCode,
+  encodeCourseCode,
+  isCourseCode,
+  parseCourseText,
+} from "../src/courseCode.js";
+import { migrateCourseData } from "../src/courseSchema.js";
+import { createDefaultPlatformPath } from "../src/platformPath.js";
+import { block, makeCourse, simpleBlocks } from "./fixtures.js";
+
+// Swap one payload character for another, keeping the code well-formed
+const corrupt = (code: string) => {
+  const [prefix, payload, checksum] = code.split(".");
+  const i = Math.floor(payload.length / 2);
+  const swapped = payload[i] === "A" ? "B" : "A";
+  return `${prefix}.${payload.slice(0, i)}${swapped}${payload.slice(i + 1)}.${checksum}`;
+};
+
+describe("course codes", () => {
+  it("round-trip a course", () => {
+    const course = makeCourse([
+      ...simpleBlocks(),
+      block("movingPlatform", 2, 3, -4, {
+        rotation: { x: 0, y: 45, z: 0 },
+        scale: { x: 2, y: 1, z: 1 },
+        path: createDefaultPlatformPath(),
+        appearance: { tint: "#ff0000" },
+      }),
+      block("checkpoint", 1, 1, 1, { checkpointOrder: 1 }),
+    ]);
+
+    const code = encodeCourseCode(course);
+    expect(isCourseCode(code)).toBe(true);
+    expect(migrateCourseData(decodeCourseCode(code))).toEqual(course);
+  });
+
+  it("round positions to hundredths and rotations to tenths", () => {
+    const course = makeCourse([
+      block("floor", 1.23456, 0, -7.891, {
+        rotation: { x: 0, y: 12.345, z: 0 },
+      }),
+    ]);
+    const decoded = decodeCourseCode(encodeCourseCode(course)) as any;
+
+    expect(decoded.blocks[0].position).toEqual({ x: 1.23, y: 0, z: -7.89 });
+    expect(decoded.blocks[0].rotation).toEqual({ x: 0, y: 12.3, z: 0 });
+  });
+
+  it("leave the thumbnail out", () => {
+    const course = makeCourse(simpleBlocks(), {
+      thumbnail: "data:image/png;base64,AAAA",
+    });
+    const decoded = decodeCourseCode(encodeCourseCode(course)) as any;
+    expect(decoded.thumbnail).toBeUndefined();
+  });
+
+  it("reject codes whose checksum does not match", () => {
+    const code = encodeCourseCode(makeCourse(simpleBlocks()));
+    expect(() => decodeCourseCode(corrupt(code))).toThrow(
+      "Course code is incomplete or corrupted (checksum mismatch)"
+    );
+    expect(() => decodeCourseCode(code.slice(0, -12) + code.slice(-9))).toThrow(
+      /checksum mismatch/
+    );
+  });
+
+  it("reject text that is not a course code", () => {
+    expect(() => decodeCourseCode("PHC2.abc.00000000")).toThrow(
+      "Not a valid course code"
+    );
+    expect(() => decodeCourseCode("PHC1.abc")).toThrow(
+      "Not a valid course code"
+    );
+  });
+
+  it("are told apart from JSON when pasted", () => {
+    const course = makeCourse(simpleBlocks());
+    const code = encodeCourseCode(course);
+
+    expect(isCourseCode(`  ${code}\n`)).toBe(true);
+    expect(isCourseCode(JSON.stringify(course))).toBe(false);
+    expect(parseCourseText(JSON.stringify(course))).toEqual(course);
+    expect(migrateCourseData(parseCourseText(code))).toEqual(course);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { lintCourse } from "../src/courseLint.js";
+import { SerializedBlock } from "../src/courseSchema.js";
+import { getBuiltInTemplateSettings } from "../src/templates.js";
+import { block, makeCourse, simpleBlocks } from "./fixtures.js";
+
+// "rule@blockIndex" for each issue found in simpleBlocks plus the extras
+const lint = (...extra: SerializedBlock[]) =>
+  lintCourse(makeCourse([...simpleBlocks(), ...extra])).map(
+    (issue) => `${issue.rule}@${issue.blockIndex}`
+  );
+
+describe("lintCourse", () => {
+  it("finds nothing wrong with a plain course", () => {
+    expect(lint()).toEqual([]);
+  });
+
+  it("flags blocks stacked inside each other", () => {
+    const issues = lintCourse(
+      makeCourse([...simpleBlocks(), block("floor", 0, 0.5, -3)])
+    );
+    expect(issues).toEqual([
+      {
+        rule: "overlap",
+        blockIndex: 3,
+        message: "Overlaps the floor at blocks[1]",
+      },
+    ]);
+  });
+
+  it("flags kill zones with nowhere safe to jump to", () => {
+    expect(lint(block("killZone", 10, 5, 0))).toEqual(["killZoneNoEscape@3"]);
+    expect(lint(block("killZone", 10, 5, 0), block("floor", 10, 5, 4))).toEqual(
+      []
+    );
+  });
+
+  it("counts the ground as an escape when it is above the kill plane", () => {
+    expect(lint(block("killZone", 40, 0.1, 40))).toEqual([]);
+
+    const overKillPlane = makeCourse(
+      [...simpleBlocks(), block("killZone", 40, 0.1, 40)],
+      {
+        templateSettings: {
+          ...getBuiltInTemplateSettings("small"),
+          killPlaneY: 1,
+        },
+      }
+    );
+    expect(
+      lintCourse(overKillPlane)
+        .filter((issue) => issue.rule === "killZoneNoEscape")
+        .map((issue) => issue.blockIndex)
+    ).toEqual([3]);
+  });
+
+  it("flags a buried Start and a Finish without headroom", () => {
+    expect(lint(block("building", 0, 2.5, 0))).toContain("buriedStart@0");
+    expect(lint(block("smallPlatform", 0, 1.5, -6))).toContain(
+      "finishHeadroom@2"
+    );
+  });
+
+  it("flags blocks below the kill plane", () => {
+    expect(lint(block("floor", 10, -20, 10))).toContain("belowKillPlane@3");
+  });
+
+  it("flags floating blocks too far from the route to see", () => {
+    expect(lint(block("floor", 90, 30, 90))).toEqual(["hiddenDecoration@3"]);
+    expect(lint(block("floor", 90, 0, 90))).toEqual([]);
+  });
+});
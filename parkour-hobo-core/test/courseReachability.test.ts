@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest";
+import { analyzeReachability } from "../src/courseReachability.js";
+import { SerializedBlock } from "../src/courseSchema.js";
+import { getBuiltInTemplateSettings } from "../src/templates.js";
+import { block, makeCourse, simpleBlocks } from "./fixtures.js";
+
+// A course whose ground is below the kill plane, so the route has to stay on
+// blocks
+const raisedCourse = (blocks: SerializedBlock[]) =>
+  makeCourse(blocks, {
+    templateSettings: { ...getBuiltInTemplateSettings("small"), killPlaneY: 5 },
+  });
+
+describe("analyzeReachability", () => {
+  it("solves a course that can be walked", () => {
+    const report = analyzeReachability(makeCourse(simpleBlocks()));
+    expect(report.solvable).toBe(true);
+    expect(report.reachableBlocks).toContain(1);
+    expect(report.breakBlocks).toEqual([]);
+  });
+
+  it("follows jumps between blocks", () => {
+    const report = analyzeReachability(
+      raisedCourse([
+        block("start", 0, 10.25, 0),
+        block("floor", 0, 10, -4),
+        block("finish", 0, 10.25, -8),
+      ])
+    );
+    expect(report.solvable).toBe(true);
+    expect(report.reachableBlocks).toEqual([0, 1]);
+  });
+
+  it("points at the gap that is too wide", () => {
+    const report = analyzeReachability(
+      raisedCourse([
+        block("start", 0, 10.25, 0),
+        block("finish", 0, 10.25, -20),
+      ])
+    );
+    expect(report.solvable).toBe(false);
+    expect(report.message).toMatch(
+      /the jump from the start at blocks\[0\] to the finish at blocks\[1\] is [\d.]+ units short/
+    );
+    expect(report.breakBlocks).toEqual([0, 1]);
+  });
+
+  it("lets bounce pads reach blocks too high to jump to", () => {
+    const course = (pad: SerializedBlock) =>
+      raisedCourse([
+        block("start", 0, 10.25, 0),
+        pad,
+        block("smallPlatform", 0, 14, -4),
+        block("finish", 0, 14.5, -4),
+      ]);
+    const launch = { strength: 14, push: 0 };
+
+    expect(
+      analyzeReachability(course(block("bouncePad", 0, 10.15, -2, { launch })))
+        .solvable
+    ).toBe(true);
+    expect(
+      analyzeReachability(course(block("smallPlatform", 0, 10.05, -2))).solvable
+    ).toBe(false);
+  });
+
+  it("rides moving platforms across gaps", () => {
+    const platform = (waypointX: number) =>
+      block("movingPlatform", 3, 10, 0, {
+        path: {
+          waypoints: [{ x: waypointX, y: 0, z: 0 }],
+          speed: 2,
+          pause: 1,
+          mode: "pingPong",
+        },
+      });
+    const course = (waypointX: number) =>
+      raisedCourse([
+        block("start", 0, 10.25, 0),
+        platform(waypointX),
+        block("finish", 26, 10.25, 0),
+      ]);
+
+    const report = analyzeReachability(course(20));
+    expect(report.solvable).toBe(true);
+    expect(report.reachableBlocks).toEqual([0, 1]);
+
+    const short = analyzeReachability(course(5));
+    expect(short.solvable).toBe(false);
+    expect(short.breakBlocks).toEqual([1, 2]);
+  });
+
+  it("needs a Start and a Finish", () => {
+    const report = analyzeReachability(
+      makeCourse([block("start", 0, 0.25, 0)])
+    );
+    expect(report).toEqual({
+      solvable: false,
+      message: "The course needs a Start and a Finish block",
+      reachableBlocks: [],
+      breakBlocks: [],
+    });
+  });
+
+  it("reports a Start below the kill plane instead of throwing", () => {
+    expect(analyzeReachability(raisedCourse(simpleBlocks()))).toEqual({
+      solvable: false,
+      message: "The Start is below the kill plane",
+      reachableBlocks: [],
+      breakBlocks: [0],
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import {
+  COURSE_SCHEMA_VERSION,
+  countBlocksByType,
+  getSchemaVersion,
+  migrateCourseData,
+} from "../src/courseSchema.js";
+import { getBuiltInTemplateSettings } from "../src/templates.js";
+
+// A course as the builder exported it before schemaVersion existed
+const legacyCourse = () => ({
+  id: "legacy",
+  name: "Old Course",
+  template: "small",
+  blocks: [
+    { type: "start", position: { x: 0, y: 0.25, z: 0 } },
+    {
+      type: "floor",
+      position: { x: 3, y: 0, z: 0 },
+      rotation: { x: 0, y: 90, z: 0 },
+    },
+    { type: "finish", position: { x: 6, y: 0.25, z: 0 } },
+  ],
+});
+
+describe("getSchemaVersion", () => {
+  it("treats unversioned data as version 0", () => {
+    expect(getSchemaVersion({})).toBe(0);
+    expect(getSchemaVersion(null)).toBe(0);
+    expect(getSchemaVersion({ schemaVersion: 2 })).toBe(2);
+  });
+});
+
+describe("migrateCourseData", () => {
+  it("upgrades an unversioned course to the current version", () => {
+    const course = migrateCourseData(legacyCourse());
+
+    expect(course.schemaVersion).toBe(COURSE_SCHEMA_VERSION);
+    expect(course.blocks[0].rotation).toEqual({ x: 0, y: 0, z: 0 });
+    expect(course.blocks[1].rotation).toEqual({ x: 0, y: 90, z: 0 });
+    expect(course.startPosition).toEqual({ x: 0, y: 0.5, z: 0 });
+    expect(course.finishPosition).toEqual({ x: 6, y: 0.5, z: 0 });
+    expect(course.atmosphere).toEqual({ isDayMode: true });
+    expect(course.metadata.difficulty).toBe("medium");
+    expect(course.blockCounts).toEqual({ start: 1, floor: 1, finish: 1 });
+    expect(course.templateSettings).toEqual(
+      getBuiltInTemplateSettings("small")
+    );
+  });
+
+  it("keeps fields a course already has", () => {
+    const course = migrateCourseData({
+      ...legacyCourse(),
+      schemaVersion: 1,
+      startPosition: { x: 1, y: 2, z: 3 },
+      atmosphere: { isDayMode: false },
+      metadata: { author: "hobo", tags: ["fast"] },
+    });
+
+    expect(course.startPosition).toEqual({ x: 1, y: 2, z: 3 });
+    expect(course.atmosphere).toEqual({ isDayMode: false });
+    expect(course.metadata.author).toBe("hobo");
+    expect(course.metadata.tags).toEqual(["fast"]);
+    expect(course.metadata.description).toBe("");
+  });
+
+  it("leaves a current course unchanged", () => {
+    const current = migrateCourseData(legacyCourse());
+    expect(migrateCourseData(structuredClone(current))).toEqual(current);
+  });
+
+  it("rejects data that is not an object", () => {
+    expect(() => migrateCourseData("course")).toThrow(
+      "Course data must be a JSON object"
+    );
+    expect(() => migrateCourseData([])).toThrow(
+      "Course data must be a JSON object"
+    );
+  });
+
+  it("rejects versions newer than this build supports", () => {
+    expect(() =>
+      migrateCourseData({ schemaVersion: COURSE_SCHEMA_VERSION + 1 })
+    ).toThrow(/only versions up to/);
+  });
+
+  it.each([-1, 1.5, "2", null])(
+    "rejects schema version %j with a readable error",
+    (schemaVersion) => {
+      expect(() =>
+        migrateCourseData({ ...legacyCourse(), schemaVersion })
+      ).toThrow("Course schema version must be a whole number from 0");
+    }
+  );
+});
+
+describe("countBlocksByType", () => {
+  it("counts blocks per type", () => {
+    expect(
+      countBlocksByType([
+        { type: "floor" },
+        { type: "start" },
+        { type: "floor" },
+      ])
+    ).toEqual({ floor: 2, start: 1 });
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatValidationErrors,
+  validateBlocks,
+  validateCourseData,
+  validateTemplateSettings,
+} from "../src/courseValidator.js";
+import { createDefaultPlatformPath } from "../src/platformPath.js";
+import { getBuiltInTemplateSettings } from "../src/templates.js";
+import { block, makeCourse, simpleBlocks } from "./fixtures.js";
+
+const paths = (errors: { path: string }[]) => errors.map((e) => e.path);
+
+describe("validateCourseData", () => {
+  it("accepts a valid course", () => {
+    expect(validateCourseData(makeCourse(simpleBlocks()))).toEqual([]);
+  });
+
+  it("rejects data that is not a course object", () => {
+    expect(paths(validateCourseData(null))).toEqual(["$"]);
+    expect(paths(validateCourseData([]))).toEqual(["$"]);
+  });
+
+  it("points at the exact value that is wrong", () => {
+    const blocks = simpleBlocks();
+    blocks[1].position.y = Number.NaN;
+    const errors = validateCourseData(
+      makeCourse(blocks, { name: " ", atmosphere: {} as any })
+    );
+
+    expect(paths(errors)).toEqual([
+      "name",
+      "atmosphere.isDayMode",
+      "blocks[1].position.y",
+    ]);
+  });
+
+  it("rejects unknown block types", () => {
+    const errors = validateCourseData(
+      makeCourse([...simpleBlocks(), block("lavaLamp", 0, 0, 0)])
+    );
+    expect(errors).toEqual([
+      { path: "blocks[3].type", message: 'unknown block type "lavaLamp"' },
+    ]);
+  });
+
+  it("only allows the block types it is given", () => {
+    const errors = validateCourseData(makeCourse(simpleBlocks()), {
+      blockTypes: ["start", "finish"],
+    });
+    expect(paths(errors)).toEqual(["blocks[1].type"]);
+  });
+
+  it("needs exactly one Start and one Finish", () => {
+    const errors = validateCourseData(
+      makeCourse([block("start", 0, 0.25, 0), block("start", 5, 0.25, 0)])
+    );
+    expect(errors.map((e) => e.message)).toEqual([
+      "course must have exactly one Start block (found 2)",
+      "course must have exactly one Finish block (found 0)",
+    ]);
+  });
+
+  it("lets unfinished library courses skip the Start and Finish rules", () => {
+    const course = makeCourse([block("floor", 0, 0, 0)]);
+    expect(validateCourseData(course, { allowUnfinished: true })).toEqual([]);
+  });
+
+  it("rejects blocks outside the build volume", () => {
+    const course = makeCourse([...simpleBlocks(), block("floor", 300, 0, 0)]);
+    expect(validateCourseData(course)).toEqual([
+      { path: "blocks[3].position", message: "outside the build volume" },
+    ]);
+    expect(
+      paths(validateCourseData(course, { allowUnfinished: true }))
+    ).toEqual(["blocks[3].position"]);
+  });
+
+  it("needs the kill plane below the Start", () => {
+    const course = makeCourse(simpleBlocks(), {
+      templateSettings: {
+        ...getBuiltInTemplateSettings("small"),
+        killPlaneY: 0.25,
+      },
+    });
+    expect(validateCourseData(course)).toEqual([
+      {
+        path: "templateSettings.killPlaneY",
+        message: "must be below the Start block (y 0.25)",
+      },
+    ]);
+  });
+
+  it("enforces the template block limit", () => {
+    const errors = validateCourseData(makeCourse(simpleBlocks()), {
+      maxBlocks: 2,
+    });
+    expect(errors).toEqual([
+      {
+        path: "blocks",
+        message: "3 blocks exceeds the template limit of 2",
+      },
+    ]);
+  });
+
+  it("checks metadata and thumbnails", () => {
+    const course = makeCourse(simpleBlocks(), {
+      metadata: {
+        author: "a".repeat(41),
+        description: "",
+        tags: ["ok", 7 as any],
+        difficulty: "impossible" as any,
+        createdAt: -1,
+        modifiedAt: 0,
+      },
+      thumbnail: "http://example.com/image.png",
+    });
+    expect(paths(validateCourseData(course))).toEqual([
+      "metadata.author",
+      "metadata.tags[1]",
+      "metadata.difficulty",
+      "metadata.createdAt",
+      "thumbnail",
+    ]);
+  });
+});
+
+describe("validateBlocks", () => {
+  it("checks scale against the type's limits", () => {
+    const errors = validateBlocks([
+      block("floor", 0, 0, 0, { scale: { x: 2, y: 1, z: 9 } }),
+      block("start", 0, 0, 0, { scale: { x: 2, y: 1, z: 1 } }),
+    ]);
+    expect(paths(errors)).toEqual(["blocks[0].scale.z", "blocks[1].scale.x"]);
+  });
+
+  it("checks appearance colors and opacity", () => {
+    const errors = validateBlocks([
+      block("floor", 0, 0, 0, {
+        appearance: { tint: "red", emissive: "#00ff00", opacity: 0.05 },
+      }),
+    ]);
+    expect(paths(errors)).toEqual([
+      "blocks[0].appearance.tint",
+      "blocks[0].appearance.opacity",
+    ]);
+  });
+
+  it("needs a distinct order on every checkpoint", () => {
+    const errors = validateBlocks([
+      block("checkpoint", 0, 0, 0, { checkpointOrder: 1 }),
+      block("checkpoint", 5, 0, 0, { checkpointOrder: 1 }),
+      block("checkpoint", 9, 0, 0),
+      block("floor", 0, 0, 0, { checkpointOrder: 2 }),
+    ]);
+    expect(paths(errors)).toEqual([
+      "blocks[1].checkpointOrder",
+      "blocks[2].checkpointOrder",
+      "blocks[3].checkpointOrder",
+    ]);
+  });
+
+  it("needs a path on moving platforms only", () => {
+    const path = createDefaultPlatformPath();
+    expect(
+      validateBlocks([block("movingPlatform", 0, 0, 0, { path })])
+    ).toEqual([]);
+
+    const errors = validateBlocks([
+      block("movingPlatform", 0, 0, 0),
+      block("floor", 0, 0, 0, { path }),
+      block("movingPlatform", 0, 0, 0, {
+        path: { ...path, waypoints: [], speed: 0, mode: "spin" as any },
+      }),
+    ]);
+    expect(paths(errors)).toEqual([
+      "blocks[0].path",
+      "blocks[1].path",
+      "blocks[2].path.waypoints",
+      "blocks[2].path.speed",
+      "blocks[2].path.mode",
+    ]);
+  });
+
+  it("checks pad launches, crumble timings and surfaces", () => {
+    const errors = validateBlocks([
+      block("bouncePad", 0, 0, 0, { launch: { strength: 14, push: 5 } }),
+      block("launchPad", 0, 0, 0, { launch: { strength: 99, push: 5 } }),
+      block("floor", 0, 0, 0, { crumble: { delay: 1, respawn: 3 } }),
+      block("garbageBag", 0, 0, 0, { crumble: { delay: 0, respawn: 3 } }),
+      block("floor", 0, 0, 0, {
+        surface: { friction: 2, conveyor: { x: 0, z: 20 } },
+      }),
+    ]);
+    expect(paths(errors)).toEqual([
+      "blocks[0].launch.push",
+      "blocks[1].launch.strength",
+      "blocks[2].crumble",
+      "blocks[3].crumble.delay",
+      "blocks[4].surface.friction",
+      "blocks[4].surface.conveyor.z",
+    ]);
+  });
+});
+
+describe("validateTemplateSettings", () => {
+  it("checks the build volume, grid and limits", () => {
+    const errors = validateTemplateSettings({
+      maxBlocks: 5000,
+      buildVolume: {
+        min: { x: 10, y: 0, z: 0 },
+        max: { x: -10, y: 10, z: 10 },
+      },
+      gridSize: 0,
+      killPlaneY: -10,
+    });
+    expect(paths(errors)).toEqual([
+      "templateSettings.maxBlocks",
+      "templateSettings.buildVolume",
+      "templateSettings.gridSize",
+    ]);
+  });
+});
+
+describe("formatValidationErrors", () => {
+  it("lists the first few problems and counts the rest", () => {
+    const errors = Array.from({ length: 7 }, (_, i) => ({
+      path: `blocks[${i}]`,
+      message: "bad",
+    }));
+    expect(formatValidationErrors(errors, 2, "; ")).toBe(
+      "blocks[0]: bad; blocks[1]: bad; ...and 5 more"
+    );
+  });
+});
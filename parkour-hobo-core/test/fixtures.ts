@@ -0,0 +1,52 @@
+import {
+  COURSE_SCHEMA_VERSION,
+  SerializedBlock,
+  SerializedCourse,
+  countBlocksByType,
+  createDefaultMetadata,
+} from "../src/courseSchema.js";
+import { getBuiltInTemplateSettings } from "../src/templates.js";
+
+// A block with no rotation at x, y, z
+export function block(
+  type: string,
+  x: number,
+  y: number,
+  z: number,
+  fields: Partial<SerializedBlock> = {}
+): SerializedBlock {
+  return {
+    type,
+    position: { x, y, z },
+    rotation: { x: 0, y: 0, z: 0 },
+    ...fields,
+  };
+}
+
+// A valid, current course with the given blocks
+export function makeCourse(
+  blocks: SerializedBlock[],
+  overrides: Partial<SerializedCourse> = {}
+): SerializedCourse {
+  return {
+    schemaVersion: COURSE_SCHEMA_VERSION,
+    id: "test-course",
+    name: "Test Course",
+    template: "small",
+    blocks,
+    startPosition: { x: 0, y: 0, z: 0 },
+    finishPosition: { x: 0, y: 0, z: 0 },
+    atmosphere: { isDayMode: true },
+    metadata: createDefaultMetadata(),
+    blockCounts: countBlocksByType(blocks),
+    templateSettings: getBuiltInTemplateSettings("small"),
+    ...overrides,
+  };
+}
+
+// Start and Finish on the ground with a floor between them
+export const simpleBlocks = (): SerializedBlock[] => [
+  block("start", 0, 0.25, 0),
+  block("floor", 0, 0.5, -3),
+  block("finish", 0, 0.25, -6),
+];
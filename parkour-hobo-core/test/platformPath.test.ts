@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  PlatformPath,
+  createDefaultPlatformPath,
+  getPathDuration,
+  getPathPoints,
+  getPlatformOffset,
+} from "../src/platformPath.js";
+
+// Two legs at right angles and the way back, with no pauses
+const loopPath: PlatformPath = {
+  waypoints: [
+    { x: 4, y: 0, z: 0 },
+    { x: 4, y: 0, z: 3 },
+  ],
+  speed: 1,
+  pause: 0,
+  mode: "loop",
+};
+
+const expectOffset = (
+  path: PlatformPath,
+  time: number,
+  expected: { x: number; y: number; z: number }
+) => {
+  const offset = getPlatformOffset(path, time);
+  expect(offset.x).toBeCloseTo(expected.x);
+  expect(offset.y).toBeCloseTo(expected.y);
+  expect(offset.z).toBeCloseTo(expected.z);
+};
+
+describe("getPathDuration", () => {
+  it("counts travel and pauses out and back for ping-pong paths", () => {
+    // Pause, 3s out, pause, 3s back
+    expect(getPathDuration(createDefaultPlatformPath())).toBe(8);
+  });
+
+  it("counts the leg back to the start for loops", () => {
+    expect(getPathDuration(loopPath)).toBe(12);
+  });
+});
+
+describe("getPlatformOffset", () => {
+  it("pauses at each stop, then moves at the path's speed", () => {
+    const path = createDefaultPlatformPath();
+    expectOffset(path, 0, { x: 0, y: 0, z: 0 });
+    expectOffset(path, 0.9, { x: 0, y: 0, z: 0 });
+    expectOffset(path, 2.5, { x: 3, y: 0, z: 0 });
+    expectOffset(path, 4.5, { x: 6, y: 0, z: 0 });
+    expectOffset(path, 6.5, { x: 3, y: 0, z: 0 });
+    expectOffset(path, 8, { x: 0, y: 0, z: 0 });
+  });
+
+  it("goes straight back to the start on loops", () => {
+    expectOffset(loopPath, 5, { x: 4, y: 0, z: 1 });
+    expectOffset(loopPath, 9.5, { x: 2, y: 0, z: 1.5 });
+    expectOffset(loopPath, -1, { x: 0.8, y: 0, z: 0.6 });
+  });
+
+  it("stays put when the path has no length or time", () => {
+    expect(getPlatformOffset({ ...loopPath, waypoints: [] }, 3)).toEqual({
+      x: 0,
+      y: 0,
+      z: 0,
+    });
+  });
+});
+
+describe("getPathPoints", () => {
+  it("lists points along the route at most the spacing apart", () => {
+    expect(getPathPoints(createDefaultPlatformPath(), 2)).toEqual([
+      { x: 0, y: 0, z: 0 },
+      { x: 2, y: 0, z: 0 },
+      { x: 4, y: 0, z: 0 },
+      { x: 6, y: 0, z: 0 },
+    ]);
+  });
+
+  it("includes every stop of a loop once", () => {
+    expect(getPathPoints(loopPath, 5)).toEqual([
+      { x: 0, y: 0, z: 0 },
+      { x: 4, y: 0, z: 0 },
+      { x: 4, y: 0, z: 3 },
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+import * as THREE from "three";
+import { beforeAll, describe, expect, it, vi } from "vitest";
+import { BlockFactory } from "../src/blockFactory.js";
+import { Player } from "../src/player.js";
+import { block } from "./fixtures.js";
+
+const FRAME = 1 / 60;
+
+beforeAll(() => {
+  vi.stubGlobal("window", {
+    addEventListener() {},
+    removeEventListener() {},
+    setTimeout,
+    clearTimeout,
+  });
+  vi.stubGlobal("localStorage", { getItem: () => null, setItem() {} });
+});
+
+describe("Player", () => {
+  it("keeps a conveyor belt's speed after riding off the end", () => {
+    const belt = new BlockFactory().createBlockFromData(
+      block("floor", 0, 5, 0, { surface: { conveyor: { x: 3, z: 0 } } })
+    );
+    const player = new Player(
+      { x: 2, y: 5.85, z: 0 },
+      new THREE.PerspectiveCamera()
+    );
+
+    // Ride the belt, with no keys held, until it carries the player off
+    let time = 0;
+    const step = () => {
+      time += FRAME;
+      player.update(FRAME, time, [belt]);
+    };
+    let lastY = player.mesh.position.y;
+    while (player.mesh.position.y >= lastY - 0.001) {
+      lastY = player.mesh.position.y;
+      step();
+      expect(time).toBeLessThan(5);
+    }
+
+    // Air control only slows the player down gradually
+    const x = player.mesh.position.x;
+    for (let i = 0; i < 6; i++) step();
+    const airSpeed = (player.mesh.position.x - x) / (6 * FRAME);
+    expect(airSpeed).toBeGreaterThan(2.5);
+    expect(airSpeed).toBeLessThan(3);
+  });
+});
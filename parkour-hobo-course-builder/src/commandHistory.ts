@@ -0,0 +1,72 @@
+// Undo/redo for builder edits. Each edit is recorded as a command that knows
+// how to make and revert its change, so the stacks never hold course copies.
+export interface BuilderCommand {
+  label: string; // Shown in the undo/redo toast, e.g. "Place block"
+  apply(): void;
+  revert(): void;
+}
+
+// The oldest commands are dropped past this many
+export const MAX_HISTORY_LENGTH = 100;
+
+export class CommandHistory {
+  private undoStack: BuilderCommand[] = [];
+  private redoStack: BuilderCommand[] = [];
+  private onChange: (() => void) | undefined;
+
+  // Apply a command and record it; anything undone can no longer be redone
+  execute(command: BuilderCommand) {
+    command.apply();
+    this.undoStack.push(command);
+    if (this.undoStack.length > MAX_HISTORY_LENGTH) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notifyChange();
+  }
+
+  undo(): BuilderCommand | null {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    command.revert();
+    this.redoStack.push(command);
+    this.notifyChange();
+    return command;
+  }
+
+  redo(): BuilderCommand | null {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    command.apply();
+    this.undoStack.push(command);
+    this.notifyChange();
+    return command;
+  }
+
+  // Commands refer to the blocks of one course, so switching courses clears them
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notifyChange();
+  }
+
+  canUndo(): boolean {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo(): boolean {
+    return this.redoStack.length > 0;
+  }
+
+  setOnChange(callback: () => void) {
+    this.onChange = callback;
+  }
+
+  private notifyChange() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
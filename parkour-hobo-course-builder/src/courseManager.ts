@@ -1,64 +1,220 @@
-import { BlockFactory } from "./blockFactory";
-import { AtmosphereSettings, Course, Template } from "./types";
+import { isUnitScale } from "parkour-hobo-core/blockDimensions";
+import { BlockFactory } from "parkour-hobo-core/blockFactory";
+import {
+  encodeCourseCode,
+  parseCourseText,
+} from "parkour-hobo-core/courseCode";
+import { CourseLintIssue, lintCourse } from "parkour-hobo-core/courseLint";
+import {
+  ReachabilityReport,
+  analyzeReachability,
+} from "parkour-hobo-core/courseReachability";
+import {
+  BlockAppearance,
+  BlockSurface,
+  COURSE_SCHEMA_VERSION,
+  CourseMetadata,
+  CrumbleSettings,
+  LaunchSettings,
+  SerializedBlock,
+  SerializedCourse,
+  copySurface,
+  countBlocksByType,
+  createDefaultMetadata,
+  getSchemaVersion,
+  migrateCourseData,
+} from "parkour-hobo-core/courseSchema";
+import {
+  CourseValidationError,
+  MAX_AUTHOR_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  formatValidationErrors,
+  validateBlocks,
+  validateCourseData,
+  validateTemplateSettings,
+} from "parkour-hobo-core/courseValidator";
+import { PlatformPath } from "parkour-hobo-core/platformPath";
+import {
+  BUILT_IN_TEMPLATES,
+  MAX_TEMPLATE_BLOCKS,
+  getTemplateSettings,
+} from "parkour-hobo-core/templates";
+import {
+  AtmosphereSettings,
+  Block,
+  Course,
+  Template,
+  Vector3,
+} from "parkour-hobo-core/types";
+import {
+  CourseSnapshot,
+  CourseStorage,
+  CourseSummary,
+  LEGACY_STORAGE_KEY,
+  Prefab,
+} from "./courseStorage";
+import { CourseThumbnailRenderer } from "./courseThumbnail";
+
+// Unlabeled snapshots kept per course; named checkpoints are never pruned
+const MAX_AUTO_SNAPSHOTS = 20;
+
+// Matches the maxlength of the course name input
+const MAX_COURSE_NAME_LENGTH = 20;
+
+// Marks a file as a whole-library backup rather than a single course
+const BACKUP_FORMAT = "parkourHoboBackup";
+
+export interface CourseLibraryBackup {
+  format: typeof BACKUP_FORMAT;
+  exportedAt: number;
+  courses: SerializedCourse[];
+}
+
+// What to do with a backed-up course whose id is already in the library
+export type BackupConflictResolution = "replace" | "copy" | "skip";
+
+export interface BackupRestoreResult {
+  added: number;
+  replaced: number;
+  skipped: number;
+  invalid: number;
+}
+
+// Marks a file as a shared prefab
+const PREFAB_FORMAT = "parkourHoboPrefab";
+
+const MAX_PREFAB_NAME_LENGTH = 30;
+
+export interface PrefabFile {
+  format: typeof PREFAB_FORMAT;
+  name: string;
+  blocks: SerializedBlock[];
+}
+
+// User-made templates; small enough to live in localStorage
+const CUSTOM_TEMPLATES_KEY = "parkourHoboTemplates";
+
+// Author name used for new courses, remembered from the last details edit
+const LAST_AUTHOR_KEY = "parkourHoboLastAuthor";
 
 export class CourseManager {
-  private courses: Course[] = [];
   private templates: Template[] = [];
   private blockFactory: BlockFactory;
+  private storage: CourseStorage;
+  private thumbnailRenderer: CourseThumbnailRenderer;
+  // Resolves once legacy data is migrated and stored courses are up to date;
+  // null until the first library call, or after a load failed
+  private ready: Promise<void> | null = null;
 
   constructor() {
     this.blockFactory = new BlockFactory();
+    this.storage = new CourseStorage();
+    this.thumbnailRenderer = new CourseThumbnailRenderer();
     this.loadTemplates();
-    this.loadCoursesFromStorage();
+    this.whenReady().catch((e) => {
+      console.error("Failed to load courses from storage", e);
+    });
+  }
+
+  // A load that failed (e.g. storage quota during the legacy migration) is
+  // tried again by the next library call instead of failing them all
+  private whenReady(): Promise<void> {
+    if (!this.ready) {
+      this.ready = this.loadCoursesFromStorage().catch((e) => {
+        this.ready = null;
+        throw e;
+      });
+    }
+    return this.ready;
   }
 
   private loadTemplates(): void {
-    // Define some default templates
-    this.templates = [
-      {
-        name: "small",
-        maxBlocks: 200,
-      },
-      {
-        name: "medium",
-        maxBlocks: 400,
-      },
-      {
-        name: "large",
-        maxBlocks: 600,
-      },
-    ];
+    let customTemplates: Template[] = [];
+    try {
+      const saved = localStorage.getItem(CUSTOM_TEMPLATES_KEY);
+      const parsed = saved ? JSON.parse(saved) : [];
+      customTemplates = Array.isArray(parsed)
+        ? parsed.filter(
+            (t) =>
+              typeof t?.name === "string" &&
+              validateTemplateSettings(t).length === 0
+          )
+        : [];
+    } catch (e) {
+      console.error("Failed to load custom templates", e);
+    }
+
+    this.templates = [...BUILT_IN_TEMPLATES, ...customTemplates];
   }
 
-  private loadCoursesFromStorage(): void {
-    const savedCourses = localStorage.getItem("parkourHoboCourses");
-    if (savedCourses) {
-      try {
-        const courseData = JSON.parse(savedCourses);
-        // Convert the serialized courses back to Course objects with proper methods
-        this.courses = courseData.map((course: any) =>
-          this.deserializeCourse(course)
-        );
-      } catch (e) {
-        console.error("Failed to load courses from local storage", e);
-        this.courses = [];
+  private saveCustomTemplates(): void {
+    localStorage.setItem(
+      CUSTOM_TEMPLATES_KEY,
+      JSON.stringify(this.templates.filter((t) => t.isCustom))
+    );
+  }
+
+  private async loadCoursesFromStorage(): Promise<void> {
+    await this.migrateLegacyStorage();
+
+    // Upgrade outdated courses once so later loads skip the migrations
+    const summaries = await this.storage.getAllSummaries();
+    const outdated = summaries.filter(
+      (summary) => getSchemaVersion(summary) < COURSE_SCHEMA_VERSION
+    );
+    for (const summary of outdated) {
+      const storedCourse = await this.storage.loadCourse(summary.id);
+      if (storedCourse) {
+        await this.storage.putCourse(migrateCourseData(storedCourse));
       }
     }
   }
 
-  private saveCoursesToStorage(): void {
-    const serializedCourses = this.courses.map((course) =>
-      this.serializeCourse(course)
+  // One-time move of the old single-key localStorage library into IndexedDB
+  private async migrateLegacyStorage(): Promise<void> {
+    const savedCourses = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!savedCourses) {
+      return;
+    }
+
+    let courseData: unknown[];
+    try {
+      const parsed = JSON.parse(savedCourses);
+      courseData = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error("Failed to read courses from local storage", e);
+      return;
+    }
+
+    const courses: SerializedCourse[] = [];
+    courseData.forEach((data) => {
+      try {
+        courses.push(migrateCourseData(data));
+      } catch (e) {
+        console.error("Skipping unreadable course from local storage", e);
+      }
+    });
+
+    // Only drop the old key once everything is safely in IndexedDB. Courses
+    // that could not be read stay there, so nothing is lost for good; the
+    // ones already moved are not written again, so later edits survive.
+    const stored = new Set(
+      (await this.storage.getAllSummaries()).map((summary) => summary.id)
     );
-    localStorage.setItem(
-      "parkourHoboCourses",
-      JSON.stringify(serializedCourses)
+    await this.storage.putCourses(
+      courses.filter((course) => !stored.has(course.id))
     );
+    if (courses.length === courseData.length) {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
   }
 
-  private serializeCourse(course: Course): any {
+  private serializeCourse(course: Course): SerializedCourse {
     // Create a serializable version of the course
     return {
+      schemaVersion: COURSE_SCHEMA_VERSION,
       id: course.id,
       name: course.name,
       template: course.template,
@@ -67,37 +223,46 @@ export class CourseManager {
         type: block.type,
         position: block.position,
         rotation: block.rotation,
+        ...optionalBlockFields(block),
       })),
       startPosition: course.startPosition,
       finishPosition: course.finishPosition,
       atmosphere: course.atmosphere, // Save atmosphere settings
+      metadata: course.metadata,
+      blockCounts: countBlocksByType(course.blocks),
+      templateSettings: course.templateSettings,
+      ...(course.thumbnail ? { thumbnail: course.thumbnail } : {}),
     };
   }
 
-  private deserializeCourse(courseData: any): Course {
+  private deserializeCourse(rawData: unknown): Course {
+    // Upgrade older course JSON to the current schema first
+    const courseData = migrateCourseData(rawData);
+
     // Create a new Course object from serialized data
     const course: Course = {
       id: courseData.id,
       name: courseData.name,
       template: courseData.template,
-      blocks: courseData.blocks.map((blockData: any) => {
+      blocks: courseData.blocks.map((blockData) => {
         // Re-create each block using the block factory
-        return this.blockFactory.createBlock(
-          blockData.type,
-          blockData.position,
-          blockData.rotation
-        );
+        return this.blockFactory.createBlockFromData(blockData);
       }),
       startPosition: courseData.startPosition,
       finishPosition: courseData.finishPosition,
-      // Use the stored atmosphere settings, or default to day mode if none exist
-      atmosphere: courseData.atmosphere || { isDayMode: true },
+      atmosphere: courseData.atmosphere,
+      metadata: courseData.metadata,
+      templateSettings: courseData.templateSettings,
+      thumbnail: courseData.thumbnail,
     };
 
     return course;
   }
 
-  public createNewCourse(name: string, templateName: string): Course {
+  public async createNewCourse(
+    name: string,
+    templateName: string
+  ): Promise<Course> {
     const template = this.getTemplate(templateName);
     if (!template) {
       throw new Error(`Template not found: ${templateName}`);
@@ -110,42 +275,130 @@ export class CourseManager {
       blocks: [],
       startPosition: { x: 0, y: 0, z: 0 },
       finishPosition: { x: 0, y: 0, z: 0 },
-      atmosphere: { isDayMode: true }, // Default to day mode
+      atmosphere: { ...template.defaultAtmosphere },
+      templateSettings: getTemplateSettings(template),
+      metadata: {
+        ...createDefaultMetadata(Date.now()),
+        author: localStorage.getItem(LAST_AUTHOR_KEY) || "",
+      },
     };
 
-    this.courses.push(course);
-    this.saveCoursesToStorage();
+    await this.whenReady();
+    await this.storage.putCourse(this.serializeCourse(course));
 
     return course;
   }
 
-  public saveCourse(course: Course): void {
-    const index = this.courses.findIndex((c) => c.id === course.id);
+  // Every save also records a snapshot; pass a label to make it a named
+  // checkpoint that is kept until the course is deleted
+  public async saveCourse(
+    course: Course,
+    checkpointLabel?: string
+  ): Promise<void> {
+    await this.whenReady();
+    course.metadata.modifiedAt = Date.now();
+    course.thumbnail = this.thumbnailRenderer.render(course) ?? undefined;
+    const courseData = this.serializeCourse(course);
+    await this.storage.putCourse(courseData);
+
+    // Snapshots skip the thumbnail; the history browser draws its own preview
+    const { thumbnail: _thumbnail, ...snapshotCourse } = courseData;
+    await this.storage.addSnapshot(
+      {
+        id: this.generateId(),
+        courseId: course.id,
+        createdAt: Date.now(),
+        label: checkpointLabel || null,
+        course: snapshotCourse,
+      },
+      MAX_AUTO_SNAPSHOTS
+    );
+  }
 
-    if (index >= 0) {
-      this.courses[index] = course;
-    } else {
-      this.courses.push(course);
-    }
+  // Snapshots of a course, newest first
+  public async getCourseHistory(courseId: string): Promise<CourseSnapshot[]> {
+    await this.whenReady();
+    const snapshots = await this.storage.getSnapshots(courseId);
+    // Snapshots can predate the current schema
+    return snapshots.map((snapshot) => ({
+      ...snapshot,
+      course: migrateCourseData(snapshot.course),
+    }));
+  }
 
-    this.saveCoursesToStorage();
+  // Replace the stored course with one of its snapshots
+  public async restoreSnapshot(snapshotId: string): Promise<Course> {
+    const snapshot = await this.getSnapshotCourse(snapshotId);
+    const course = this.deserializeCourse(snapshot);
+    await this.saveCourse(course);
+    return course;
   }
 
-  public deleteCourse(courseId: string): void {
-    const index = this.courses.findIndex((c) => c.id === courseId);
+  // Copy a snapshot into a brand new course, leaving the original untouched
+  public async forkSnapshot(snapshotId: string): Promise<Course> {
+    const snapshot = await this.getSnapshotCourse(snapshotId);
+    const course = this.deserializeCourse(snapshot);
+    course.id = this.generateId();
+    course.name = withNameSuffix(snapshot.name, " (fork)");
+    course.metadata.createdAt = Date.now();
+    await this.saveCourse(course);
+    return course;
+  }
 
-    if (index >= 0) {
-      this.courses.splice(index, 1);
-      this.saveCoursesToStorage();
+  private async getSnapshotCourse(
+    snapshotId: string
+  ): Promise<SerializedCourse> {
+    await this.whenReady();
+    const snapshot = await this.storage.getSnapshot(snapshotId);
+    if (!snapshot) {
+      throw new Error("Snapshot not found");
     }
+    return migrateCourseData(snapshot.course);
+  }
+
+  public async deleteCourse(courseId: string): Promise<void> {
+    await this.whenReady();
+    await this.storage.deleteCourse(courseId);
+  }
+
+  // Loads the course's blocks from storage and rebuilds their meshes
+  public async getCourse(courseId: string): Promise<Course | null> {
+    await this.whenReady();
+    const courseData = await this.storage.loadCourse(courseId);
+    return courseData ? this.deserializeCourse(courseData) : null;
   }
 
-  public getCourse(courseId: string): Course | null {
-    return this.courses.find((c) => c.id === courseId) || null;
+  // Summaries only - block data stays in storage until a course is opened
+  public async getAllCourses(): Promise<CourseSummary[]> {
+    await this.whenReady();
+    return this.storage.getAllSummaries();
   }
 
-  public getAllCourses(): Course[] {
-    return [...this.courses];
+  // Apply edited author/description/tags/difficulty to a course, trimmed and
+  // clamped to the validator's limits. Timestamps are left alone.
+  public updateCourseDetails(
+    course: Course,
+    details: Pick<
+      CourseMetadata,
+      "author" | "description" | "tags" | "difficulty"
+    >
+  ): void {
+    const tags = details.tags
+      .map((tag) => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter((tag, index, all) => tag !== "" && all.indexOf(tag) === index)
+      .slice(0, MAX_TAGS);
+
+    course.metadata = {
+      ...course.metadata,
+      author: details.author.trim().slice(0, MAX_AUTHOR_LENGTH),
+      description: details.description.trim().slice(0, MAX_DESCRIPTION_LENGTH),
+      tags,
+      difficulty: details.difficulty,
+    };
+
+    if (course.metadata.author) {
+      localStorage.setItem(LAST_AUTHOR_KEY, course.metadata.author);
+    }
   }
 
   public getTemplate(templateName: string): Template {
@@ -160,63 +413,356 @@ export class CourseManager {
     return [...this.templates];
   }
 
+  // Display name for a template, falling back to the stored name for courses
+  // made on a template that is not in this library
+  public getTemplateLabel(templateName: string): string {
+    const template = this.templates.find((t) => t.name === templateName);
+    return template ? template.label : templateName;
+  }
+
+  // Save a user-made template; throws with the validation problems if the
+  // settings are out of range
+  public saveCustomTemplate(
+    label: string,
+    settings: Pick<
+      Template,
+      | "maxBlocks"
+      | "buildVolume"
+      | "gridSize"
+      | "killPlaneY"
+      | "defaultAtmosphere"
+    >
+  ): Template {
+    if (label.trim() === "") {
+      throw new Error("Please enter a template name");
+    }
+    const errors = validateTemplateSettings(settings, "template");
+    if (errors.length > 0) {
+      throw new Error(formatValidationErrors(errors));
+    }
+
+    const template: Template = {
+      ...getTemplateSettings(settings),
+      name: `custom-${this.generateId()}`,
+      label: label.trim(),
+      defaultAtmosphere: { ...settings.defaultAtmosphere },
+      isCustom: true,
+    };
+    this.templates.push(template);
+    this.saveCustomTemplates();
+    return template;
+  }
+
+  // Courses keep a copy of their template's settings, so deleting a template
+  // does not affect them
+  public deleteCustomTemplate(templateName: string): void {
+    this.templates = this.templates.filter(
+      (t) => !(t.isCustom && t.name === templateName)
+    );
+    this.saveCustomTemplates();
+  }
+
+  // JSON exports carry the thumbnail, re-rendered so it matches the blocks.
+  // The course itself keeps the thumbnail it was saved with.
   public exportCourseAsJson(course: Course): string {
-    const exportData = this.serializeCourse(course);
+    const exportData = this.serializeCourse({
+      ...course,
+      thumbnail: this.thumbnailRenderer.render(course) ?? undefined,
+    });
     return JSON.stringify(exportData, null, 2);
   }
 
-  // Add validation method to check if a course has exactly one start and one finish block
-  public validateCourse(course: Course): { valid: boolean; message: string } {
+  // Compact course code for pasting into the Devvit post form
+  public exportCourseAsCode(course: Course): string {
+    return encodeCourseCode(this.serializeCourse(course));
+  }
+
+  // Validate a course against the shared course validator (types, ranges,
+  // block limits and the start/finish rules)
+  public validateCourse(course: Course): {
+    valid: boolean;
+    message: string;
+    errors: CourseValidationError[];
+  } {
     if (!course || !course.blocks) {
-      return { valid: false, message: "Invalid course data" };
+      const errors = [{ path: "$", message: "Invalid course data" }];
+      return { valid: false, message: "Invalid course data", errors };
     }
 
-    const startBlocks = course.blocks.filter((block) => block.type === "start");
-    const finishBlocks = course.blocks.filter(
-      (block) => block.type === "finish"
-    );
+    const errors = validateCourseData(this.serializeCourse(course), {
+      blockTypes: this.blockFactory.getAllBlockTypes(),
+    });
 
-    if (startBlocks.length === 0) {
-      return { valid: false, message: "Course must have a Start block" };
+    if (errors.length > 0) {
+      return { valid: false, message: formatValidationErrors(errors), errors };
     }
 
-    if (startBlocks.length > 1) {
-      return {
-        valid: false,
-        message: "Course must have exactly one Start block",
-      };
+    return { valid: true, message: "Course is valid", errors };
+  }
+
+  // Whether the Finish can be reached from the Start with the player's real
+  // jump physics
+  public checkSolvability(course: Course): ReachabilityReport {
+    return analyzeReachability(this.serializeCourse(course));
+  }
+
+  // Warnings about likely building mistakes, for the lint panel
+  public lintCourse(course: Course): CourseLintIssue[] {
+    return lintCourse(this.serializeCourse(course));
+  }
+
+  // Upgrades course data from a file and checks it is safe to store.
+  // Unfinished courses (no Start or Finish yet) are allowed in the library.
+  private migrateLibraryCourse(data: unknown): SerializedCourse {
+    const course = migrateCourseData(data);
+    const errors = validateCourseData(course, {
+      blockTypes: this.blockFactory.getAllBlockTypes(),
+      allowUnfinished: true,
+    });
+    if (errors.length > 0) {
+      throw new Error(formatValidationErrors(errors));
     }
+    return course;
+  }
 
-    if (finishBlocks.length === 0) {
-      return { valid: false, message: "Course must have a Finish block" };
+  // Accepts either plain course JSON or a compact course code
+  public async importCourseFromJson(jsonData: string): Promise<Course> {
+    let course: Course;
+    try {
+      const courseData = this.migrateLibraryCourse(parseCourseText(jsonData));
+      course = this.deserializeCourse(courseData);
+    } catch (e) {
+      console.error("Failed to import course from JSON", e);
+      const reason = e instanceof Error ? e.message : String(e);
+      throw new Error(`Invalid course data: ${reason}`);
+    }
+
+    // Assign a new ID to avoid conflicts
+    course.id = this.generateId();
+    if (!course.metadata.createdAt) {
+      course.metadata.createdAt = Date.now();
     }
+    await this.saveCourse(course);
 
-    if (finishBlocks.length > 1) {
-      return {
-        valid: false,
-        message: "Course must have exactly one Finish block",
-      };
+    return course;
+  }
+
+  public isLibraryBackup(text: string): boolean {
+    try {
+      return JSON.parse(text)?.format === BACKUP_FORMAT;
+    } catch {
+      return false;
     }
+  }
 
-    return { valid: true, message: "Course is valid" };
+  // The whole library (courses with their blocks, without history) as JSON
+  public async exportLibraryBackup(): Promise<string> {
+    await this.whenReady();
+    const backup: CourseLibraryBackup = {
+      format: BACKUP_FORMAT,
+      exportedAt: Date.now(),
+      courses: await this.storage.getAllCourses(),
+    };
+    return JSON.stringify(backup);
   }
 
-  public importCourseFromJson(jsonData: string): Course {
+  // Restore a library backup on top of the current library. Courses whose id
+  // already exists are passed to resolveConflict, unless the stored copy was
+  // last modified at the same time (then it is the same course and skipped).
+  // Everything is written in one transaction, so a failed restore changes
+  // nothing.
+  public async restoreLibraryBackup(
+    backupData: string,
+    resolveConflict: (
+      existing: CourseSummary,
+      incoming: SerializedCourse
+    ) => BackupConflictResolution | Promise<BackupConflictResolution>
+  ): Promise<BackupRestoreResult> {
+    let backup: CourseLibraryBackup;
     try {
-      const courseData = JSON.parse(jsonData);
-      const course = this.deserializeCourse(courseData);
+      backup = JSON.parse(backupData);
+    } catch {
+      throw new Error("Backup file is not valid JSON");
+    }
+    if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.courses)) {
+      throw new Error("This file is not a Parkour Hobo course backup");
+    }
 
-      // Assign a new ID to avoid conflicts
-      course.id = this.generateId();
+    await this.whenReady();
+    const existing = new Map(
+      (await this.storage.getAllSummaries()).map((summary) => [
+        summary.id,
+        summary,
+      ])
+    );
 
-      this.courses.push(course);
-      this.saveCoursesToStorage();
+    const result: BackupRestoreResult = {
+      added: 0,
+      replaced: 0,
+      skipped: 0,
+      invalid: 0,
+    };
+    const coursesToStore: SerializedCourse[] = [];
 
-      return course;
-    } catch (e) {
-      console.error("Failed to import course from JSON", e);
-      throw new Error("Invalid course data");
+    for (const data of backup.courses) {
+      let course: SerializedCourse;
+      try {
+        course = this.migrateLibraryCourse(data);
+      } catch (e) {
+        console.error("Skipping invalid course in backup", e);
+        result.invalid++;
+        continue;
+      }
+
+      const current = existing.get(course.id);
+      if (!current) {
+        result.added++;
+      } else if (current.metadata.modifiedAt === course.metadata.modifiedAt) {
+        result.skipped++;
+        continue;
+      } else {
+        const resolution = await resolveConflict(current, course);
+        if (resolution === "skip") {
+          result.skipped++;
+          continue;
+        }
+        if (resolution === "copy") {
+          course = {
+            ...course,
+            id: this.generateId(),
+            name: withNameSuffix(course.name, " (copy)"),
+          };
+          result.added++;
+        } else {
+          result.replaced++;
+        }
+      }
+
+      coursesToStore.push(course);
+      // Later duplicates of the same id in the backup conflict with this one
+      existing.set(course.id, { ...course, blockCount: course.blocks.length });
     }
+
+    await this.storage.putCourses(coursesToStore);
+    return result;
+  }
+
+  // Block data relative to the bottom center of the group, so it can be
+  // placed on top of whatever is under the cursor
+  public toRelativeBlocks(blocks: Block[]): SerializedBlock[] {
+    const center = { x: 0, z: 0 };
+    blocks.forEach((block) => {
+      center.x += block.position.x / blocks.length;
+      center.z += block.position.z / blocks.length;
+    });
+    const bottom = Math.min(
+      ...blocks.map(
+        (block) =>
+          block.position.y -
+          (this.blockFactory.getBlockDefinition(block.type).dimensions.y *
+            block.scale.y) /
+            2
+      )
+    );
+    return blocks.map((block) => ({
+      type: block.type,
+      position: {
+        x: block.position.x - center.x,
+        y: block.position.y - bottom,
+        z: block.position.z - center.z,
+      },
+      rotation: { ...block.rotation },
+      ...optionalBlockFields(block),
+    }));
+  }
+
+  // Prefabs in name order
+  public async getPrefabs(): Promise<Prefab[]> {
+    await this.whenReady();
+    const prefabs = await this.storage.getAllPrefabs();
+    return prefabs.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Save a group of blocks from a course as a named prefab
+  public async savePrefab(name: string, blocks: Block[]): Promise<Prefab> {
+    if (name.trim() === "") {
+      throw new Error("Please enter a prefab name");
+    }
+    if (blocks.length === 0) {
+      throw new Error("Select some blocks to save as a prefab");
+    }
+    return this.storePrefab(name, this.toRelativeBlocks(blocks));
+  }
+
+  public async deletePrefab(id: string): Promise<void> {
+    await this.whenReady();
+    await this.storage.deletePrefab(id);
+  }
+
+  public exportPrefab(prefab: Prefab): string {
+    const file: PrefabFile = {
+      format: PREFAB_FORMAT,
+      name: prefab.name,
+      blocks: prefab.blocks,
+    };
+    return JSON.stringify(file, null, 2);
+  }
+
+  public isPrefabFile(text: string): boolean {
+    try {
+      return JSON.parse(text)?.format === PREFAB_FORMAT;
+    } catch {
+      return false;
+    }
+  }
+
+  // Add a shared prefab file to the library under a new id
+  public async importPrefab(text: string): Promise<Prefab> {
+    let file: PrefabFile;
+    try {
+      file = JSON.parse(text);
+    } catch {
+      throw new Error("Prefab file is not valid JSON");
+    }
+    if (file?.format !== PREFAB_FORMAT) {
+      throw new Error("This file is not a Parkour Hobo prefab");
+    }
+    if (typeof file.name !== "string" || file.name.trim() === "") {
+      throw new Error("Invalid prefab data: name must be a non-empty string");
+    }
+
+    const errors = validateBlocks(file.blocks, {
+      blockTypes: this.blockFactory.getAllBlockTypes(),
+      maxBlocks: MAX_TEMPLATE_BLOCKS,
+    });
+    if (errors.length > 0) {
+      throw new Error(`Invalid prefab data: ${formatValidationErrors(errors)}`);
+    }
+    if (file.blocks.length === 0) {
+      throw new Error("Invalid prefab data: the prefab has no blocks");
+    }
+
+    return this.storePrefab(file.name, file.blocks);
+  }
+
+  private async storePrefab(
+    name: string,
+    blocks: SerializedBlock[]
+  ): Promise<Prefab> {
+    const prefab: Prefab = {
+      id: this.generateId(),
+      name: name.trim().slice(0, MAX_PREFAB_NAME_LENGTH),
+      createdAt: Date.now(),
+      blocks: blocks.map((block) => ({
+        type: block.type,
+        position: { ...block.position },
+        rotation: { ...block.rotation },
+        ...optionalBlockFields(block),
+      })),
+    };
+    await this.whenReady();
+    await this.storage.putPrefab(prefab);
+    return prefab;
   }
 
   private generateId(): string {
@@ -224,14 +770,60 @@ export class CourseManager {
   }
 
   // Add method to update atmosphere settings
-  public updateAtmosphere(
+  public async updateAtmosphere(
     courseId: string,
     settings: AtmosphereSettings
-  ): void {
-    const course = this.getCourse(courseId);
-    if (course) {
-      course.atmosphere = settings;
-      this.saveCourse(course);
-    }
+  ): Promise<void> {
+    await this.whenReady();
+    await this.storage.updateSummary(courseId, { atmosphere: settings });
   }
 }
+
+// Append a suffix such as " (copy)", shortening the name to fit the name limit
+function withNameSuffix(name: string, suffix: string): string {
+  return name.slice(0, MAX_COURSE_NAME_LENGTH - suffix.length) + suffix;
+}
+
+// Scale, appearance, checkpoint order, platform paths, pad launches, crumble
+// timings and surfaces are only saved for blocks that set them
+function optionalBlockFields(block: {
+  scale?: Vector3;
+  appearance?: BlockAppearance;
+  checkpointOrder?: number;
+  path?: PlatformPath;
+  launch?: LaunchSettings;
+  crumble?: CrumbleSettings;
+  surface?: BlockSurface;
+}): Pick<
+  SerializedBlock,
+  | "scale"
+  | "appearance"
+  | "checkpointOrder"
+  | "path"
+  | "launch"
+  | "crumble"
+  | "surface"
+> {
+  return {
+    ...(block.scale && !isUnitScale(block.scale)
+      ? { scale: { ...block.scale } }
+      : {}),
+    ...(block.appearance ? { appearance: { ...block.appearance } } : {}),
+    ...(block.checkpointOrder !== undefined
+      ? { checkpointOrder: block.checkpointOrder }
+      : {}),
+    ...(block.path
+      ? {
+          path: {
+            ...block.path,
+            waypoints: block.path.waypoints.map((waypoint) => ({
+              ...waypoint,
+            })),
+          },
+        }
+      : {}),
+    ...(block.launch ? { launch: { ...block.launch } } : {}),
+    ...(block.crumble ? { crumble: { ...block.crumble } } : {}),
+    ...(block.surface ? { surface: copySurface(block.surface) } : {}),
+  };
+}
@@ -0,0 +1,69 @@
+import { getBlockBounds } from "parkour-hobo-core/blockDimensions";
+import { BlockFactory } from "parkour-hobo-core/blockFactory";
+import { SerializedCourse } from "parkour-hobo-core/courseSchema";
+
+// Draw a top-down map of a course onto a 2D canvas, using each block's
+// footprint and color from its BlockDefinition. Cheap enough to draw for any
+// stored course or snapshot without building meshes.
+export function drawCoursePreview(
+  canvas: HTMLCanvasElement,
+  course: SerializedCourse,
+  blockFactory: BlockFactory
+) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+
+  ctx.fillStyle = "#222";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Footprints in world units, from each block's bounding box as rotated
+  const footprints = course.blocks.flatMap((block) => {
+    const definition = blockFactory.getBlockDefinition(block.type);
+    if (!definition) return [];
+
+    const box = getBlockBounds(block, definition.dimensions);
+    return [
+      {
+        minX: box.min.x,
+        minZ: box.min.z,
+        width: box.max.x - box.min.x,
+        depth: box.max.z - box.min.z,
+        top: box.max.y,
+        color: definition.color,
+      },
+    ];
+  });
+
+  if (footprints.length === 0) {
+    ctx.fillStyle = "#777";
+    ctx.font = "10px 'Press Start 2P', monospace";
+    ctx.textAlign = "center";
+    ctx.fillText("Empty course", canvas.width / 2, canvas.height / 2);
+    return;
+  }
+
+  // Fit the course bounds into the canvas with a small margin
+  const minX = Math.min(...footprints.map((f) => f.minX));
+  const minZ = Math.min(...footprints.map((f) => f.minZ));
+  const maxX = Math.max(...footprints.map((f) => f.minX + f.width));
+  const maxZ = Math.max(...footprints.map((f) => f.minZ + f.depth));
+  const margin = 8;
+  const scale = Math.min(
+    (canvas.width - margin * 2) / Math.max(maxX - minX, 1),
+    (canvas.height - margin * 2) / Math.max(maxZ - minZ, 1)
+  );
+  const offsetX = (canvas.width - (maxX - minX) * scale) / 2;
+  const offsetZ = (canvas.height - (maxZ - minZ) * scale) / 2;
+
+  // Draw lower blocks first so higher ones stay visible
+  footprints
+    .sort((a, b) => a.top - b.top)
+    .forEach((f) => {
+      const x = offsetX + (f.minX - minX) * scale;
+      const y = offsetZ + (f.minZ - minZ) * scale;
+      ctx.fillStyle = f.color;
+      ctx.fillRect(x, y, f.width * scale, f.depth * scale);
+      ctx.strokeStyle = "#111";
+      ctx.strokeRect(x, y, f.width * scale, f.depth * scale);
+    });
+}
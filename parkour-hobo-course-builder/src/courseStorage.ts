@@ -0,0 +1,298 @@
+import {
+  SerializedBlock,
+  SerializedCourse,
+} from "parkour-hobo-core/courseSchema";
+
+// IndexedDB-backed course library. Each course is split into a small summary
+// record (everything except the blocks) and a separate block record, so the
+// course list can be shown without reading every course's block data. Saved
+// snapshots of each course live in their own store, indexed by course id.
+// Prefabs are stored on their own, since they do not belong to any course.
+
+const DB_NAME = "parkourHobo";
+const DB_VERSION = 3;
+const COURSE_STORE = "courses";
+const BLOCK_STORE = "courseBlocks";
+const SNAPSHOT_STORE = "courseSnapshots";
+const PREFAB_STORE = "prefabs";
+
+// Courses saved by older builds as one localStorage blob
+export const LEGACY_STORAGE_KEY = "parkourHoboCourses";
+
+export type CourseSummary = Omit<SerializedCourse, "blocks"> & {
+  blockCount: number;
+};
+
+interface CourseBlocksRecord {
+  id: string;
+  blocks: SerializedBlock[];
+}
+
+// A saved copy of a course. Auto snapshots have no label and are pruned;
+// named checkpoints are kept until the course is deleted.
+export interface CourseSnapshot {
+  id: string;
+  courseId: string;
+  createdAt: number;
+  label: string | null;
+  course: SerializedCourse;
+}
+
+// A named group of blocks that can be placed into any course. Block positions
+// are relative to the bottom center of the group.
+export interface Prefab {
+  id: string;
+  name: string;
+  createdAt: number;
+  blocks: SerializedBlock[];
+}
+
+export class CourseStorage {
+  private dbPromise: Promise<IDBDatabase> | null = null;
+
+  private openDatabase(): Promise<IDBDatabase> {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("This browser does not support IndexedDB"));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(COURSE_STORE)) {
+            db.createObjectStore(COURSE_STORE, { keyPath: "id" });
+          }
+          if (!db.objectStoreNames.contains(BLOCK_STORE)) {
+            db.createObjectStore(BLOCK_STORE, { keyPath: "id" });
+          }
+          if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+            const snapshotStore = db.createObjectStore(SNAPSHOT_STORE, {
+              keyPath: "id",
+            });
+            snapshotStore.createIndex("courseId", "courseId");
+          }
+          if (!db.objectStoreNames.contains(PREFAB_STORE)) {
+            db.createObjectStore(PREFAB_STORE, { keyPath: "id" });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(toStorageError(request.error));
+        request.onblocked = () =>
+          reject(
+            new Error(
+              "Course storage is blocked by another open tab. Close other builder tabs and reload."
+            )
+          );
+      });
+
+      // Allow a later call to retry after a failed open
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  public async getAllSummaries(): Promise<CourseSummary[]> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(COURSE_STORE, "readonly");
+    return requestToPromise<CourseSummary[]>(
+      transaction.objectStore(COURSE_STORE).getAll()
+    );
+  }
+
+  // Every course with its blocks, for library backups
+  public async getAllCourses(): Promise<SerializedCourse[]> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([COURSE_STORE, BLOCK_STORE], "readonly");
+    const [summaries, blockRecords] = await Promise.all([
+      requestToPromise<CourseSummary[]>(
+        transaction.objectStore(COURSE_STORE).getAll()
+      ),
+      requestToPromise<CourseBlocksRecord[]>(
+        transaction.objectStore(BLOCK_STORE).getAll()
+      ),
+    ]);
+
+    const blocksById = new Map(
+      blockRecords.map((record) => [record.id, record.blocks])
+    );
+    return summaries.map(({ blockCount: _blockCount, ...course }) => ({
+      ...course,
+      blocks: blocksById.get(course.id) ?? [],
+    }));
+  }
+
+  // Block data is only read here, when a course is actually opened
+  public async loadCourse(id: string): Promise<SerializedCourse | null> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([COURSE_STORE, BLOCK_STORE], "readonly");
+    const [summary, blockRecord] = await Promise.all([
+      requestToPromise<CourseSummary | undefined>(
+        transaction.objectStore(COURSE_STORE).get(id)
+      ),
+      requestToPromise<CourseBlocksRecord | undefined>(
+        transaction.objectStore(BLOCK_STORE).get(id)
+      ),
+    ]);
+
+    if (!summary) {
+      return null;
+    }
+
+    const { blockCount: _blockCount, ...course } = summary;
+    return { ...course, blocks: blockRecord ? blockRecord.blocks : [] };
+  }
+
+  // Writes all courses in a single transaction, so either all are stored or none
+  public async putCourses(courses: SerializedCourse[]): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(
+      [COURSE_STORE, BLOCK_STORE],
+      "readwrite"
+    );
+    const courseStore = transaction.objectStore(COURSE_STORE);
+    const blockStore = transaction.objectStore(BLOCK_STORE);
+
+    courses.forEach((course) => {
+      const { blocks, ...summary } = course;
+      courseStore.put({ ...summary, blockCount: blocks.length });
+      blockStore.put({ id: course.id, blocks });
+    });
+
+    return transactionToPromise(transaction);
+  }
+
+  public putCourse(course: SerializedCourse): Promise<void> {
+    return this.putCourses([course]);
+  }
+
+  // Update summary fields without touching the stored blocks
+  public async updateSummary(
+    id: string,
+    changes: Partial<Omit<CourseSummary, "id" | "blockCount">>
+  ): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(COURSE_STORE, "readwrite");
+    const store = transaction.objectStore(COURSE_STORE);
+    const summary = await requestToPromise<CourseSummary | undefined>(
+      store.get(id)
+    );
+    if (summary) {
+      store.put({ ...summary, ...changes });
+    }
+    return transactionToPromise(transaction);
+  }
+
+  // Deletes the course together with its whole snapshot history
+  public async deleteCourse(id: string): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(
+      [COURSE_STORE, BLOCK_STORE, SNAPSHOT_STORE],
+      "readwrite"
+    );
+    transaction.objectStore(COURSE_STORE).delete(id);
+    transaction.objectStore(BLOCK_STORE).delete(id);
+
+    const snapshotIds = await requestToPromise<IDBValidKey[]>(
+      transaction.objectStore(SNAPSHOT_STORE).index("courseId").getAllKeys(id)
+    );
+    snapshotIds.forEach((key) =>
+      transaction.objectStore(SNAPSHOT_STORE).delete(key)
+    );
+
+    return transactionToPromise(transaction);
+  }
+
+  // Stores a snapshot and prunes the oldest unlabeled ones beyond maxAuto
+  public async addSnapshot(
+    snapshot: CourseSnapshot,
+    maxAuto: number
+  ): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(SNAPSHOT_STORE, "readwrite");
+    const store = transaction.objectStore(SNAPSHOT_STORE);
+    store.put(snapshot);
+
+    const snapshots = await requestToPromise<CourseSnapshot[]>(
+      store.index("courseId").getAll(snapshot.courseId)
+    );
+    snapshots
+      .filter((s) => s.label === null)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(maxAuto)
+      .forEach((s) => store.delete(s.id));
+
+    return transactionToPromise(transaction);
+  }
+
+  // Newest first
+  public async getSnapshots(courseId: string): Promise<CourseSnapshot[]> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(SNAPSHOT_STORE, "readonly");
+    const snapshots = await requestToPromise<CourseSnapshot[]>(
+      transaction.objectStore(SNAPSHOT_STORE).index("courseId").getAll(courseId)
+    );
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  public async getSnapshot(id: string): Promise<CourseSnapshot | null> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(SNAPSHOT_STORE, "readonly");
+    const snapshot = await requestToPromise<CourseSnapshot | undefined>(
+      transaction.objectStore(SNAPSHOT_STORE).get(id)
+    );
+    return snapshot || null;
+  }
+
+  public async getAllPrefabs(): Promise<Prefab[]> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(PREFAB_STORE, "readonly");
+    return requestToPromise<Prefab[]>(
+      transaction.objectStore(PREFAB_STORE).getAll()
+    );
+  }
+
+  public async putPrefab(prefab: Prefab): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(PREFAB_STORE, "readwrite");
+    transaction.objectStore(PREFAB_STORE).put(prefab);
+    return transactionToPromise(transaction);
+  }
+
+  public async deletePrefab(id: string): Promise<void> {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(PREFAB_STORE, "readwrite");
+    transaction.objectStore(PREFAB_STORE).delete(id);
+    return transactionToPromise(transaction);
+  }
+}
+
+function requestToPromise<T>(request: IDBRequest): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result as T);
+    request.onerror = () => reject(toStorageError(request.error));
+  });
+}
+
+function transactionToPromise(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(toStorageError(transaction.error));
+    transaction.onabort = () => reject(toStorageError(transaction.error));
+  });
+}
+
+// Turn IndexedDB failures into messages that can be shown to the user
+function toStorageError(error: DOMException | null): Error {
+  if (error && error.name === "QuotaExceededError") {
+    return new Error(
+      "Browser storage is full, so the course could not be saved.\nDelete or export some courses to free up space."
+    );
+  }
+  return new Error(
+    `Course storage failed: ${error ? error.message : "unknown error"}`
+  );
+}
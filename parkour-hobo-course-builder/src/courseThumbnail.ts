@@ -0,0 +1,97 @@
+import * as THREE from "three";
+import { Atmosphere } from "parkour-hobo-core/atmosphere";
+import { Course } from "parkour-hobo-core/types";
+
+const THUMBNAIL_WIDTH = 256;
+const THUMBNAIL_HEIGHT = 160;
+const THUMBNAIL_QUALITY = 0.8;
+
+// Fixed isometric view direction, looking down at the course from one corner
+const CAMERA_DIRECTION = new THREE.Vector3(1, 1, 1).normalize();
+
+// Renders small isometric course images with its own offscreen renderer, so a
+// thumbnail can be taken at any time without touching the builder's view.
+// Block meshes are cloned, which shares their geometry and materials.
+export class CourseThumbnailRenderer {
+  private renderer: THREE.WebGLRenderer | null = null;
+  private scene: THREE.Scene | null = null;
+  private atmosphere: Atmosphere | null = null;
+  private camera: THREE.OrthographicCamera | null = null;
+
+  // Returns a JPEG data URL, or null for an empty course or when WebGL is
+  // unavailable (a missing thumbnail should never stop a save)
+  render(course: Course): string | null {
+    const meshes = course.blocks.flatMap((block) =>
+      block.mesh ? [block.mesh.clone()] : []
+    );
+    if (meshes.length === 0) {
+      return null;
+    }
+
+    try {
+      this.setup();
+    } catch (e) {
+      console.warn("Could not create the thumbnail renderer", e);
+      return null;
+    }
+
+    const renderer = this.renderer!;
+    const scene = this.scene!;
+    const camera = this.camera!;
+
+    this.atmosphere!.apply(course.atmosphere);
+    const group = new THREE.Group();
+    meshes.forEach((mesh) => group.add(mesh));
+    scene.add(group);
+
+    // Frame the course's bounding sphere from the isometric direction
+    const bounds = new THREE.Box3().setFromObject(group);
+    const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+    const radius = Math.max(sphere.radius, 1);
+    const aspect = THUMBNAIL_WIDTH / THUMBNAIL_HEIGHT;
+    camera.left = -radius * aspect;
+    camera.right = radius * aspect;
+    camera.top = radius;
+    camera.bottom = -radius;
+    camera.near = radius;
+    camera.far = radius * 3;
+    camera.position
+      .copy(sphere.center)
+      .addScaledVector(CAMERA_DIRECTION, radius * 2);
+    camera.lookAt(sphere.center);
+    camera.updateProjectionMatrix();
+
+    renderer.render(scene, camera);
+    const dataUrl = renderer.domElement.toDataURL(
+      "image/jpeg",
+      THUMBNAIL_QUALITY
+    );
+
+    // Clones share geometry and materials with the real blocks, so only
+    // detach them here
+    scene.remove(group);
+    this.atmosphere!.clear();
+
+    return dataUrl;
+  }
+
+  private setup() {
+    if (this.renderer) {
+      return;
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = THUMBNAIL_WIDTH;
+    canvas.height = THUMBNAIL_HEIGHT;
+    this.renderer = new THREE.WebGLRenderer({
+      canvas,
+      antialias: true,
+      preserveDrawingBuffer: true,
+    });
+    this.renderer.setSize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, false);
+
+    this.scene = new THREE.Scene();
+    this.atmosphere = new Atmosphere(this.scene);
+    this.camera = new THREE.OrthographicCamera();
+  }
+}
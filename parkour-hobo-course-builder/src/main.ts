@@ -1,9 +1,59 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
-import { BlockFactory } from "./blockFactory";
-import { CourseManager } from "./courseManager";
-import { Player } from "./player";
-import "./styles.css";
+import {
+  TransformControls,
+} from "three/examples/jsm/controls/TransformControls.js";
+import { Atmosphere, animateKillZones } from "parkour-hobo-core/atmosphere";
+import {
+  clampScale,
+  getBlockBounds,
+  getScaleLimits,
+} from "parkour-hobo-core/blockDimensions";
+import {
+  BlockFactory,
+  resetBlocks,
+  updateBlocks,
+} from "parkour-hobo-core/blockFactory";
+import { ReachabilityReport } from "parkour-hobo-core/courseReachability";
+import {
+  BlockAppearance,
+  BlockSurface,
+  CrumbleSettings,
+  LaunchSettings,
+  MAX_CONVEYOR_SPEED,
+  MAX_CRUMBLE_DELAY,
+  MAX_CRUMBLE_RESPAWN,
+  MAX_LAUNCH_PUSH,
+  MAX_LAUNCH_STRENGTH,
+  MAX_SURFACE_SPEED,
+  MIN_CRUMBLE_DELAY,
+  MIN_CRUMBLE_RESPAWN,
+  MIN_LAUNCH_STRENGTH,
+  MIN_SURFACE_FRICTION,
+  MIN_SURFACE_SPEED,
+  SURFACE_PRESETS,
+  SerializedBlock,
+  SurfacePreset,
+  copySurface,
+  countBlocksByType,
+  createDefaultCrumble,
+  createDefaultLaunch,
+  getNextCheckpointOrder,
+  sortCheckpoints,
+} from "parkour-hobo-core/courseSchema";
+import {
+  MAX_PLATFORM_PAUSE,
+  MAX_PLATFORM_SPEED,
+  MAX_WAYPOINT_OFFSET,
+  MIN_PLATFORM_SPEED,
+  PlatformPath,
+  createDefaultPlatformPath,
+} from "parkour-hobo-core/platformPath";
+import { Player } from "parkour-hobo-core/player";
+import {
+  TemplateSettings,
+  isInsideBuildVolume,
+} from "parkour-hobo-core/templates";
 import {
   AtmosphereSettings,
   Block,
@@ -12,15 +62,115 @@ import {
   DEFAULT_CONTROLS,
   PlayerControls,
   Vector3,
-} from "./types";
+} from "parkour-hobo-core/types";
+import { CommandHistory } from "./commandHistory";
+import { CourseManager } from "./courseManager";
+import { Prefab } from "./courseStorage";
+import { PathEditor } from "./pathEditor";
+import {
+  PatternOptions,
+  generatePattern,
+  validatePatternOptions,
+} from "./patternTools";
+import "./styles.css";
 import { UI } from "./ui";
 
+type RotationAxis = "x" | "y" | "z";
+
+// R turns blocks around the vertical axis (yaw), T pitches them and G rolls
+const ROTATION_KEYS: Record<string, RotationAxis> = { r: "y", t: "x", g: "z" };
+const AXIS_VECTORS: Record<RotationAxis, THREE.Vector3> = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+// Degrees per rotate key press when rotation snapping is off
+const FREE_ROTATION_STEP = 1;
+// Resize handles move in quarter steps of scale while snapping is on
+const SCALE_SNAP_STEP = 0.25;
+
+// Drops floating point noise such as 2.0000000000000004
+function roundCoordinate(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
+
+function normalizeAngle(degrees: number): number {
+  return ((roundCoordinate(degrees) % 360) + 360) % 360;
+}
+
+// Turn a moving platform's route with its block
+function turnPath(path: PlatformPath, turn: THREE.Quaternion): PlatformPath {
+  return {
+    ...path,
+    waypoints: path.waypoints.map((waypoint) => {
+      const turned = new THREE.Vector3(
+        waypoint.x,
+        waypoint.y,
+        waypoint.z
+      ).applyQuaternion(turn);
+      return {
+        x: roundCoordinate(turned.x),
+        y: roundCoordinate(turned.y),
+        z: roundCoordinate(turned.z),
+      };
+    }),
+  };
+}
+
+// Turn a rotation (degrees, in the meshes' XYZ order) about a world axis.
+// Yaw turns of blocks that are not tipped over just add up, which keeps their
+// angles tidy; anything else is combined as quaternions.
+function turnRotation(
+  rotation: Vector3,
+  axis: RotationAxis,
+  degrees: number
+): Vector3 {
+  if (axis === "y" && rotation.x === 0 && rotation.z === 0) {
+    return { x: 0, y: normalizeAngle(rotation.y + degrees), z: 0 };
+  }
+
+  const toRadians = THREE.MathUtils.degToRad;
+  const turn = new THREE.Quaternion().setFromAxisAngle(
+    AXIS_VECTORS[axis],
+    toRadians(degrees)
+  );
+  const current = new THREE.Quaternion().setFromEuler(
+    new THREE.Euler(
+      toRadians(rotation.x),
+      toRadians(rotation.y),
+      toRadians(rotation.z)
+    )
+  );
+  const euler = new THREE.Euler().setFromQuaternion(turn.multiply(current));
+  const toDegrees = (radians: number) =>
+    normalizeAngle(THREE.MathUtils.radToDeg(radians));
+  return {
+    x: toDegrees(euler.x),
+    y: toDegrees(euler.y),
+    z: toDegrees(euler.z),
+  };
+}
+
 class ParkourHoboCourseBuilder {
   // Three.js components
   private scene: THREE.Scene;
   private camera: THREE.PerspectiveCamera;
   private renderer: THREE.WebGLRenderer;
   private controls: OrbitControls;
+  // Translate gizmo for the move tool and resize handles for the select
+  // tool, only in the scene while attached
+  private transformControls: TransformControls;
+  private moveStartPosition: Vector3 | null = null;
+  private resizeStartScale: Vector3 | null = null;
+  // Colors of the selected blocks before the color picker being dragged
+  private appearanceStart: Map<Block, BlockAppearance | undefined> | null =
+    null;
+  private gizmoClicked: boolean = false;
+  // Route of the one selected moving platform. Clicking Add Waypoint sets
+  // placingWaypoint, so the next click in the scene places one.
+  private pathEditor: PathEditor;
+  private placingWaypoint: boolean = false;
+  private waypointDragStart: Vector3 | null = null;
   private raycaster: THREE.Raycaster;
   private pointer: THREE.Vector2;
 
@@ -29,12 +179,18 @@ class ParkourHoboCourseBuilder {
   private courseManager: CourseManager;
   private ui: UI;
   private currentCourse: Course | null = null;
+  // Undoable edits to currentCourse
+  private history: CommandHistory;
   private selectedBlockType: string | null = null;
+  // Placed instead of a single block while set
+  private selectedPrefab: Prefab | null = null;
   private player: Player | null = null;
   private isBuilderMode: boolean = true;
 
   // Movement in player mode
   private clock: THREE.Clock;
+  // Clock time player mode started; moving platforms start their routes then
+  private playStartTime: number = 0;
 
   // Add placeholder property
   private placeholderMesh: THREE.Mesh | THREE.Group | null = null;
@@ -42,7 +198,10 @@ class ParkourHoboCourseBuilder {
 
   // Add these properties to the ParkourHoboCourseBuilder class
   private currentTool: string = "build";
-  private rotationAngle: number = 0;
+  // Rotation in degrees for the next block, turned with R, T and G
+  private placementRotation: Vector3 = { x: 0, y: 0, z: 0 };
+  // Degrees per rotate key press; 0 is free rotation
+  private rotationSnap: number = 90;
   private snapEnabled: boolean = true;
 
   // Add this property to the class
@@ -51,9 +210,22 @@ class ParkourHoboCourseBuilder {
   // Add these properties to the class
   private highlightedBlock: Block | null = null;
   private deleteMaterial: THREE.MeshBasicMaterial;
-  private selectedBlock: Block | null = null;
+  private selectedBlocks: Block[] = [];
+  // Blocks copied with Ctrl+C/X, relative to the copied group's bottom center
+  private clipboard: SerializedBlock[] = [];
   private selectionMaterial: THREE.MeshBasicMaterial;
 
+  // Pattern panel: the blocks it copies, whether they still have to be placed
+  // themselves (a block type rather than a selection), and the preview
+  private patternSource: SerializedBlock[] = [];
+  private patternIncludesSource: boolean = false;
+  private patternPreview: THREE.Group | null = null;
+
+  // Blocks marked by the last failed route check
+  private routeBreakMaterial: THREE.MeshBasicMaterial;
+  private routeBreakBlocks: Block[] = [];
+  private routeBreakTimeout: number | undefined;
+
   // Add this property to the class with proper initialization
   private toast: HTMLDivElement | null = null;
   private selectedBlockTooltip: HTMLDivElement | null = null;
@@ -61,12 +233,8 @@ class ParkourHoboCourseBuilder {
   // Add this property to the class
   private placeholderHeightOffset: number = 0;
 
-  // Add these properties to the ParkourHoboCourseBuilder class
-  private skyBox: THREE.Mesh | null = null;
-  private clouds: THREE.Group | null = null;
-  private sunMoon: THREE.Mesh | null = null;
-  private ambientLight: THREE.AmbientLight;
-  private directionalLight: THREE.DirectionalLight;
+  // Sky, clouds and lighting (shared with the Reddit webview)
+  private atmosphere: Atmosphere;
 
   // Add a new property to the class
   private placementIndicator: THREE.ArrowHelper | null = null;
@@ -76,6 +244,13 @@ class ParkourHoboCourseBuilder {
     this.blockFactory = new BlockFactory();
     this.courseManager = new CourseManager();
     this.ui = new UI(this.courseManager);
+    this.history = new CommandHistory();
+    this.history.setOnChange(() => {
+      this.ui.updateHistoryButtons(
+        this.history.canUndo(),
+        this.history.canRedo()
+      );
+    });
     this.clock = new THREE.Clock();
 
     // Set up Three.js
@@ -100,16 +275,45 @@ class ParkourHoboCourseBuilder {
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
     this.controls.enableDamping = true;
 
+    this.transformControls = new TransformControls(
+      this.camera,
+      this.renderer.domElement
+    );
+    this.transformControls.setMode("translate");
+    this.transformControls.addEventListener("dragging-changed", (event) => {
+      // Don't orbit the camera while dragging the gizmo
+      this.controls.enabled = !event.value;
+      if (this.pathEditor.isMarker(this.transformControls.object)) {
+        if (event.value) this.startWaypointDrag();
+        else this.finishWaypointDrag();
+        return;
+      }
+      const resizing = this.transformControls.getMode() === "scale";
+      if (event.value) {
+        if (resizing) this.startResize();
+        else this.startMove();
+      } else {
+        if (resizing) this.finishResize();
+        else this.finishMove();
+      }
+    });
+    this.transformControls.addEventListener("objectChange", () => {
+      if (this.pathEditor.isMarker(this.transformControls.object)) {
+        this.previewWaypointDrag();
+      } else if (this.transformControls.getMode() === "scale") {
+        this.previewResize();
+      } else {
+        this.previewMove();
+      }
+    });
+
     this.raycaster = new THREE.Raycaster();
     this.pointer = new THREE.Vector2();
 
-    // Set up lighting
-    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    this.scene.add(this.ambientLight);
+    this.pathEditor = new PathEditor(this.scene);
 
-    this.directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    this.directionalLight.position.set(10, 20, 10);
-    this.scene.add(this.directionalLight);
+    // Set up lighting
+    this.atmosphere = new Atmosphere(this.scene);
 
     // Add grid helper
     this.gridHelper = new THREE.GridHelper(200, 200);
@@ -129,6 +333,13 @@ class ParkourHoboCourseBuilder {
       opacity: 0.7,
     });
 
+    // Create a material for marking where a route breaks
+    this.routeBreakMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff9900, // Orange
+      transparent: true,
+      opacity: 0.7,
+    });
+
     // Initialize UI elements
     this.setupUICallbacks();
 
@@ -144,28 +355,41 @@ class ParkourHoboCourseBuilder {
   }
 
   private setupUICallbacks() {
-    this.ui.setOnNewCourse((templateName: string) => {
+    this.ui.setOnNewCourse(async (templateName: string) => {
       const courseName = `New ${
         templateName.charAt(0).toUpperCase() + templateName.slice(1)
       } Course`;
-      this.currentCourse = this.courseManager.createNewCourse(
-        courseName,
-        templateName
-      );
+      try {
+        this.currentCourse = await this.courseManager.createNewCourse(
+          courseName,
+          templateName
+        );
+      } catch (e) {
+        this.showStorageError(e);
+        return;
+      }
       this.ui.setCourseNameInput(courseName);
       this.ui.hideStartMenu();
       this.ui.showBuilderMode();
       this.isBuilderMode = true;
       this.updateBlockCounter();
+      this.updateGrid(this.currentCourse.templateSettings);
+      this.ui.updateAtmosphereToggle(this.currentCourse.atmosphere.isDayMode);
 
       // Add this line to initialize the atmosphere when creating a new course
       if (this.currentCourse) {
-        this.setupAtmosphere(this.currentCourse.atmosphere);
+        this.atmosphere.apply(this.currentCourse.atmosphere);
       }
     });
 
-    this.ui.setOnLoadCourse((courseId: string) => {
-      const course = this.courseManager.getCourse(courseId);
+    this.ui.setOnLoadCourse(async (courseId: string) => {
+      let course: Course | null;
+      try {
+        course = await this.courseManager.getCourse(courseId);
+      } catch (e) {
+        this.showStorageError(e);
+        return;
+      }
       if (course) {
         this.currentCourse = this.loadCourseIntoScene(course);
         this.ui.setCourseNameInput(course.name);
@@ -173,6 +397,7 @@ class ParkourHoboCourseBuilder {
         this.ui.showBuilderMode();
         this.isBuilderMode = true;
         this.updateBlockCounter();
+        this.updateGrid(course.templateSettings);
 
         // Update atmosphere toggle in UI
         if (this.currentCourse) {
@@ -185,10 +410,42 @@ class ParkourHoboCourseBuilder {
 
     this.ui.setOnBlockSelected((blockType: string) => {
       this.selectedBlockType = blockType;
+      this.selectedPrefab = null;
+      this.updatePlaceholder();
+    });
+
+    this.ui.setOnPrefabSelected((prefab: Prefab) => {
+      this.selectedPrefab = prefab;
+      this.selectedBlockType = null;
       this.updatePlaceholder();
     });
 
-    this.ui.setOnSaveCourse(() => {
+    this.ui.setOnSavePrefab(async () => {
+      if (this.selectedBlocks.length === 0) {
+        this.ui.displayToast("Select the blocks to save as a prefab", 2000);
+        return;
+      }
+      const name = prompt("Prefab name:");
+      if (name === null) return;
+      if (name.trim() === "") {
+        alert("Please enter a prefab name");
+        return;
+      }
+
+      try {
+        const prefab = await this.courseManager.savePrefab(
+          name,
+          this.selectedBlocks
+        );
+        this.ui.displayToast(`Saved prefab "${prefab.name}"`, 2000);
+      } catch (e) {
+        this.showStorageError(e);
+        return;
+      }
+      this.ui.updatePrefabList();
+    });
+
+    this.ui.setOnSaveCourse(async () => {
       if (this.currentCourse) {
         const courseName = this.ui.getCourseName();
         if (courseName.trim() === "") {
@@ -197,11 +454,61 @@ class ParkourHoboCourseBuilder {
         }
 
         this.currentCourse.name = courseName;
-        this.courseManager.saveCourse(this.currentCourse);
+        try {
+          await this.courseManager.saveCourse(this.currentCourse);
+        } catch (e) {
+          this.showStorageError(e);
+          return;
+        }
         alert("Course saved successfully!");
       }
     });
 
+    // Save and keep this version as a named checkpoint in the course history
+    this.ui.setOnCreateCheckpoint(async () => {
+      if (this.currentCourse) {
+        const courseName = this.ui.getCourseName();
+        if (courseName.trim() === "") {
+          alert("Please enter a course name");
+          return;
+        }
+
+        const label = prompt(
+          "Checkpoint name:",
+          `Checkpoint ${new Date().toLocaleString()}`
+        );
+        if (label === null || label.trim() === "") {
+          return;
+        }
+
+        this.currentCourse.name = courseName;
+        try {
+          await this.courseManager.saveCourse(this.currentCourse, label.trim());
+        } catch (e) {
+          this.showStorageError(e);
+          return;
+        }
+        this.ui.displayToast(`Checkpoint "${label.trim()}" saved`, 2000);
+      }
+    });
+
+    this.ui.setOnOpenCourseDetails(() => {
+      if (this.currentCourse) {
+        this.ui.showCourseDetailsModal(
+          this.currentCourse.metadata,
+          countBlocksByType(this.currentCourse.blocks)
+        );
+      }
+    });
+
+    // Details are kept on the course in memory and stored with the next save
+    this.ui.setOnUpdateCourseDetails((details) => {
+      if (this.currentCourse) {
+        this.courseManager.updateCourseDetails(this.currentCourse, details);
+        this.ui.displayToast("Details updated - save to keep them", 2000);
+      }
+    });
+
     this.ui.setOnExportCourse(() => {
       if (this.currentCourse) {
         // Validate course before exporting
@@ -213,6 +520,19 @@ class ParkourHoboCourseBuilder {
           return;
         }
 
+        // The Reddit post form refuses courses that cannot be finished
+        const route = this.checkRoute();
+        if (
+          route &&
+          !route.solvable &&
+          !confirm(
+            `${route.message}.\n\nReddit will not accept this course until ` +
+              "the Finish can be reached. Export anyway?"
+          )
+        ) {
+          return;
+        }
+
         const courseName = this.ui.getCourseName();
         if (courseName.trim() === "") {
           this.ui.showErrorModal("Please enter a course name");
@@ -220,11 +540,100 @@ class ParkourHoboCourseBuilder {
         }
 
         this.currentCourse.name = courseName;
+        const courseCode = this.courseManager.exportCourseAsCode(
+          this.currentCourse
+        );
         const jsonCode = this.courseManager.exportCourseAsJson(
           this.currentCourse
         );
-        this.ui.showExportModal(jsonCode);
+        this.ui.showExportModal(courseCode, jsonCode);
+      }
+    });
+
+    // Download the course as JSON; unlike Export Code this works for
+    // unfinished courses too, so it doubles as a manual backup
+    this.ui.setOnExportFile(() => {
+      if (this.currentCourse) {
+        const courseName = this.ui.getCourseName();
+        if (courseName.trim() === "") {
+          this.ui.showErrorModal("Please enter a course name");
+          return;
+        }
+
+        this.currentCourse.name = courseName;
+        const json = this.courseManager.exportCourseAsJson(this.currentCourse);
+        const fileName = courseName.replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+        this.ui.downloadFile(`${fileName}.json`, json);
+      }
+    });
+
+    this.ui.setOnCheckRoute(() => {
+      const route = this.checkRoute();
+      if (route) {
+        this.ui.displayToast(route.message, route.solvable ? 3000 : 6000);
+      }
+    });
+
+    this.ui.setOnRenameCourse((name) => {
+      const course = this.currentCourse;
+      if (!course || name === "" || name === course.name) return;
+
+      const oldName = course.name;
+      this.history.execute({
+        label: "Rename course",
+        apply: () => this.renameCourse(course, name),
+        revert: () => this.renameCourse(course, oldName),
+      });
+    });
+
+    this.ui.setOnUndo(() => this.undo());
+    this.ui.setOnRedo(() => this.redo());
+
+    this.ui.setOnLintCourse(() => {
+      if (this.currentCourse) {
+        this.ui.showLintReport(
+          this.courseManager.lintCourse(this.currentCourse)
+        );
+      }
+    });
+
+    this.ui.setOnSelectLintIssue((blockIndex) => {
+      this.selectBlockAt(blockIndex);
+    });
+
+    this.ui.setOnOpenPattern(() => this.openPatternPanel());
+    this.ui.setOnPatternChange((options) => this.previewPattern(options));
+    this.ui.setOnApplyPattern((options) => this.applyPattern(options));
+    this.ui.setOnClosePattern(() => this.clearPatternPreview());
+    this.ui.setOnBlockSizeChange((size) => this.resizeSelectedBlock(size));
+    this.ui.setOnBlockAppearanceChange((change, done) =>
+      this.changeSelectionAppearance(change, done)
+    );
+    this.ui.setOnCheckpointPlaceChange((place) =>
+      this.moveCheckpointTo(place)
+    );
+    this.ui.setOnLaunchChange((change) => this.changeLaunch(change));
+    this.ui.setOnCrumbleToggle((crumbles) => this.toggleCrumble(crumbles));
+    this.ui.setOnCrumbleChange((change) => this.changeCrumble(change));
+    this.ui.setOnSurfacePresetChange((preset) =>
+      this.changeSurfacePreset(preset)
+    );
+    this.ui.setOnSurfaceChange((change) => this.changeSurface(change));
+    this.ui.setOnPlatformPathChange((change) =>
+      this.changePlatformPath(change)
+    );
+    this.ui.setOnAddWaypoint(() => {
+      this.placingWaypoint = !this.placingWaypoint;
+      this.updatePathPanel();
+    });
+    this.ui.setOnRemoveWaypoint(() => this.removeWaypoint());
+    this.ui.setOnPreviewPath(() => {
+      if (this.pathEditor.isPreviewing()) {
+        this.pathEditor.stopPreview();
+      } else {
+        this.pathEditor.startPreview(this.clock.elapsedTime);
       }
+      this.updatePathPanel();
     });
 
     this.ui.setOnReset(() => {
@@ -288,6 +697,14 @@ class ParkourHoboCourseBuilder {
     this.ui.setOnToggleSnapMode(() => {
       this.toggleSnapMode();
     });
+
+    this.ui.setOnRotationSnapChange((degrees) => {
+      this.rotationSnap = degrees;
+      this.ui.displayToast(
+        degrees ? `Rotation step: ${degrees}°` : "Rotation step: free (1°)",
+        1500
+      );
+    });
   }
 
   private setupEventListeners() {
@@ -302,9 +719,37 @@ class ParkourHoboCourseBuilder {
     let isDragging = false;
     let dragStartTime = 0;
 
-    this.renderer.domElement.addEventListener("mousedown", () => {
+    // Shift-drag with the select tool draws a selection box instead of panning
+    let boxStart: { x: number; y: number } | null = null;
+    let boxSelected = false;
+
+    this.renderer.domElement.addEventListener("mousedown", (event) => {
       isDragging = false;
       dragStartTime = Date.now();
+      boxSelected = false;
+
+      if (
+        this.isBuilderMode &&
+        this.currentTool === "select" &&
+        event.shiftKey
+      ) {
+        boxStart = { x: event.clientX, y: event.clientY };
+        this.controls.enabled = false;
+      }
+    });
+
+    window.addEventListener("mouseup", (event) => {
+      if (!boxStart) return;
+
+      // A tiny box is just a shift-click
+      const end = { x: event.clientX, y: event.clientY };
+      if (Math.abs(end.x - boxStart.x) + Math.abs(end.y - boxStart.y) > 4) {
+        this.selectBlocksInRect(boxStart, end);
+        boxSelected = true;
+      }
+      this.ui.hideSelectionBox();
+      this.controls.enabled = true;
+      boxStart = null;
     });
 
     this.renderer.domElement.addEventListener("mousemove", (event) => {
@@ -318,10 +763,17 @@ class ParkourHoboCourseBuilder {
         isDragging = true;
       }
 
+      if (boxStart) {
+        this.ui.showSelectionBox(boxStart, {
+          x: event.clientX,
+          y: event.clientY,
+        });
+      }
+
       // Update placeholder position if in build mode
       if (
         this.isBuilderMode &&
-        this.selectedBlockType &&
+        (this.selectedBlockType || this.selectedPrefab) &&
         this.currentTool === "build"
       ) {
         this.updatePlaceholderPosition();
@@ -332,41 +784,34 @@ class ParkourHoboCourseBuilder {
         this.highlightBlockForDeletion();
       }
 
-      // Highlight blocks when in select mode
-      if (this.isBuilderMode && this.currentTool === "select") {
+      // Highlight blocks when in select or move mode
+      if (
+        this.isBuilderMode &&
+        (this.currentTool === "select" || this.currentTool === "move") &&
+        !this.transformControls.dragging
+      ) {
         this.highlightBlockForSelection();
       }
 
       // Update tooltip position for selected block if we have one
-      if (this.selectedBlock && this.selectedBlock.mesh) {
-        // Create a position vector from the block's position
-        const blockPosition = new THREE.Vector3(
-          this.selectedBlock.position.x,
-          this.selectedBlock.position.y,
-          this.selectedBlock.position.z
-        );
-
-        // Project the 3D position to screen coordinates
-        const screenPosition = blockPosition.clone().project(this.camera);
-
-        // Convert to pixel coordinates
-        const canvas = this.renderer.domElement;
-        const x = ((screenPosition.x + 1) * canvas.width) / 2;
-        const y = ((-screenPosition.y + 1) * canvas.height) / 2;
-
-        // Update tooltip with computed screen coordinates (only when in select tool mode)
-        if (this.currentTool === "select") {
-          this.ui.updateSelectedBlockTooltipPosition(x, y);
-        } else {
-          this.ui.updateSelectedBlockTooltip(false);
-        }
+      if (this.selectedBlocks.length > 0) {
+        this.updateSelectionTooltip();
       }
     });
 
-    this.renderer.domElement.addEventListener("click", () => {
+    this.renderer.domElement.addEventListener("click", (event) => {
       // Only place/delete/select blocks if we're not dragging the camera
-      if (!isDragging && this.isBuilderMode) {
+      if (boxSelected || this.gizmoClicked) {
+        boxSelected = false;
+        this.gizmoClicked = false;
+      } else if (!isDragging && this.isBuilderMode) {
         if (
+          this.currentTool === "build" &&
+          this.selectedPrefab &&
+          this.canPlaceBlock
+        ) {
+          this.placePrefab();
+        } else if (
           this.currentTool === "build" &&
           this.selectedBlockType &&
           this.canPlaceBlock
@@ -374,7 +819,14 @@ class ParkourHoboCourseBuilder {
           this.buildBlock();
         } else if (this.currentTool === "delete" && this.highlightedBlock) {
           this.deleteHighlightedBlock();
+        } else if (this.currentTool === "select" && this.placingWaypoint) {
+          this.placeWaypoint();
+        } else if (this.currentTool === "select" && this.pickWaypoint()) {
+          // The clicked waypoint is now selected for dragging
         } else if (this.currentTool === "select" && this.highlightedBlock) {
+          this.pathEditor.selectWaypoint(null);
+          this.selectHighlightedBlock(event.shiftKey);
+        } else if (this.currentTool === "move" && this.highlightedBlock) {
           this.selectHighlightedBlock();
         }
       }
@@ -385,6 +837,70 @@ class ParkourHoboCourseBuilder {
 
     // Keyboard events
     window.addEventListener("keydown", (event) => {
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), leaving text fields their own undo
+      const target = event.target as HTMLElement;
+      if (
+        (event.ctrlKey || event.metaKey) &&
+        event.key.toLowerCase() === "z" &&
+        target.tagName !== "INPUT" &&
+        target.tagName !== "TEXTAREA"
+      ) {
+        event.preventDefault();
+        if (this.isBuilderMode) {
+          if (event.shiftKey) {
+            this.redo();
+          } else {
+            this.undo();
+          }
+        }
+        return;
+      }
+
+      // Ctrl+C / Ctrl+X / Ctrl+V copy, cut and paste the selection
+      const clipboardKey = event.key.toLowerCase();
+      if (
+        (event.ctrlKey || event.metaKey) &&
+        ["c", "x", "v"].includes(clipboardKey) &&
+        target.tagName !== "INPUT" &&
+        target.tagName !== "TEXTAREA"
+      ) {
+        if (this.isBuilderMode) {
+          event.preventDefault();
+          if (clipboardKey === "c") {
+            this.copySelection();
+          } else if (clipboardKey === "x") {
+            this.cutSelection();
+          } else {
+            this.pasteClipboard();
+          }
+        }
+        return;
+      }
+
+      // Typing in a field (such as a block size) must not trigger shortcuts
+      if (target.tagName === "INPUT" || target.tagName === "TEXTAREA") {
+        return;
+      }
+
+      // Arrow keys move the selection along the grid
+      const step = this.currentCourse?.templateSettings.gridSize ?? 1;
+      const arrowOffsets: Record<string, Vector3> = {
+        ArrowLeft: { x: -step, y: 0, z: 0 },
+        ArrowRight: { x: step, y: 0, z: 0 },
+        ArrowUp: { x: 0, y: 0, z: -step },
+        ArrowDown: { x: 0, y: 0, z: step },
+      };
+      if (
+        arrowOffsets[event.key] &&
+        this.isBuilderMode &&
+        this.currentTool === "select" &&
+        this.selectedBlocks.length > 0
+      ) {
+        event.preventDefault();
+        this.moveSelection(arrowOffsets[event.key]);
+        return;
+      }
+
       // Tool shortcuts
       if (event.key === "1") {
         this.ui.selectTool("build");
@@ -396,6 +912,9 @@ class ParkourHoboCourseBuilder {
       } else if (event.key === "3") {
         this.ui.selectTool("select"); // Changed from 'rotate' to 'select'
         this.currentTool = "select";
+      } else if (event.key === "4") {
+        this.ui.selectTool("move");
+        this.currentTool = "move";
       } else if (event.key === "b" || event.key === "B") {
         // B toggles between builder and player modes
         this.toggleMode();
@@ -406,15 +925,24 @@ class ParkourHoboCourseBuilder {
         } else {
           this.ui.selectTool("player");
         }
-      } else if (event.key === "r" || event.key === "R") {
-        // Rotate logic for both modes
+      } else if (ROTATION_KEYS[event.key.toLowerCase()]) {
+        // R turns around the vertical axis (yaw), T tips forward (pitch) and
+        // G rolls sideways; Shift turns the other way
+        const axis = ROTATION_KEYS[event.key.toLowerCase()];
+        const degrees = this.getRotationStep(event.shiftKey);
         if (this.isBuilderMode) {
-          if (this.currentTool === "build" && this.selectedBlockType) {
+          if (
+            this.currentTool === "build" &&
+            (this.selectedBlockType || this.selectedPrefab)
+          ) {
             // Rotate the placeholder in build mode
-            this.rotateBlock();
-          } else if (this.currentTool === "select" && this.selectedBlock) {
-            // Rotate the selected block in select mode
-            this.rotateSelectedBlock();
+            this.rotateBlock(axis, degrees);
+          } else if (
+            this.currentTool === "select" &&
+            this.selectedBlocks.length > 0
+          ) {
+            // Rotate the selection in select mode
+            this.rotateSelection(axis, degrees);
           }
         }
       } else if (event.key === "Delete" || event.key === "Backspace") {
@@ -422,43 +950,26 @@ class ParkourHoboCourseBuilder {
         if (
           this.isBuilderMode &&
           this.currentTool === "select" &&
-          this.selectedBlock
+          this.pathEditor.getSelectedWaypoint() !== null
         ) {
-          const blockToDelete = this.selectedBlock;
-          this.selectedBlock = null;
-          this.ui.updateSelectedBlockTooltip(false);
-
-          // Find and delete the block
-          if (this.currentCourse) {
-            const blockIndex = this.currentCourse.blocks.findIndex(
-              (block) => block === blockToDelete
-            );
-            if (blockIndex >= 0) {
-              const block = this.currentCourse.blocks[blockIndex];
-
-              // Remove from scene
-              if (block.mesh) {
-                this.scene.remove(block.mesh);
-              }
-
-              // Remove from blocks array
-              this.currentCourse.blocks.splice(blockIndex, 1);
-
-              // Update start/finish positions if needed
-              if (block.type === "start") {
-                this.currentCourse.startPosition = { x: 0, y: 0, z: 0 };
-              } else if (block.type === "finish") {
-                this.currentCourse.finishPosition = { x: 0, y: 0, z: 0 };
-              }
-
-              // Update block counter
-              this.updateBlockCounter();
-            }
-          }
+          this.removeWaypoint();
+        } else if (
+          this.isBuilderMode &&
+          this.currentTool === "select" &&
+          this.selectedBlocks.length > 0
+        ) {
+          this.deleteSelection();
         }
       } else if (event.key === "Escape") {
-        // Cancel selection when Escape key is pressed
-        if (this.selectedBlock) {
+        // Cancel placing a waypoint, then the selected waypoint, then the
+        // selection
+        if (this.placingWaypoint) {
+          this.placingWaypoint = false;
+          this.updatePathPanel();
+        } else if (this.pathEditor.getSelectedWaypoint() !== null) {
+          this.pathEditor.selectWaypoint(null);
+          this.updateSelectionControls();
+        } else if (this.selectedBlocks.length > 0) {
           this.clearSelection();
         }
       } else if (event.key === "e" || event.key === "E") {
@@ -468,12 +979,9 @@ class ParkourHoboCourseBuilder {
           this.currentTool === "build" &&
           this.placeholderMesh
         ) {
-          this.placeholderHeightOffset += 1;
-          this.updatePlaceholderPosition();
-          this.ui.displayToast(
-            `Placeholder height: ${this.placeholderHeightOffset}`,
-            1500
-          );
+          this.changePlaceholderHeight(this.placeholderHeightOffset + 1);
+        } else if (this.isBuilderMode && this.currentTool === "select") {
+          this.moveSelection({ x: 0, y: step, z: 0 });
         }
       } else if (event.key === "q" || event.key === "Q") {
         // Lower the placeholder height in builder mode
@@ -482,15 +990,11 @@ class ParkourHoboCourseBuilder {
           this.currentTool === "build" &&
           this.placeholderMesh
         ) {
-          this.placeholderHeightOffset = Math.max(
-            0,
-            this.placeholderHeightOffset - 1
-          );
-          this.updatePlaceholderPosition();
-          this.ui.displayToast(
-            `Placeholder height: ${this.placeholderHeightOffset}`,
-            1500
+          this.changePlaceholderHeight(
+            Math.max(0, this.placeholderHeightOffset - 1)
           );
+        } else if (this.isBuilderMode && this.currentTool === "select") {
+          this.moveSelection({ x: 0, y: -step, z: 0 });
         }
       } else if (event.key === "s" || event.key === "S") {
         if (this.isBuilderMode) {
@@ -516,16 +1020,23 @@ class ParkourHoboCourseBuilder {
       this.ui.showBuilderMode();
 
       if (this.player) {
-        // Remove player from scene
+        // Remove player from scene; destroying it also switches lit
+        // checkpoints back off
         this.scene.remove(this.player.mesh);
+        this.player.destroy();
         this.player = null;
       }
 
+      // Moving platforms and crumbled bags go back to where they were placed
+      if (this.currentCourse) {
+        resetBlocks(this.currentCourse.blocks);
+      }
+
       // Reset camera and controls
       this.controls.enabled = true;
 
-      // Restore placeholder if block type is selected
-      if (this.selectedBlockType) {
+      // Restore placeholder if block type or prefab is selected
+      if (this.selectedBlockType || this.selectedPrefab) {
         this.updatePlaceholder();
       }
 
@@ -540,9 +1051,10 @@ class ParkourHoboCourseBuilder {
     } else {
       // Switch to player mode
       this.ui.showPlayerMode();
+      this.ui.hidePatternPanel();
 
       // Clear any selections when switching to player mode
-      if (this.selectedBlock) {
+      if (this.selectedBlocks.length > 0) {
         this.clearSelection();
       }
 
@@ -562,6 +1074,7 @@ class ParkourHoboCourseBuilder {
 
       // Disable orbit controls in player mode
       this.controls.enabled = false;
+      this.playStartTime = this.clock.elapsedTime;
 
       // Hide placeholder in player mode
       if (this.placeholderMesh) {
@@ -585,11 +1098,18 @@ class ParkourHoboCourseBuilder {
 
     // Create new player
     this.player = new Player(position, this.camera);
+    if (this.currentCourse) {
+      this.player.setKillPlaneY(this.currentCourse.templateSettings.killPlaneY);
+    }
     this.scene.add(this.player.mesh);
 
     // Set death callback to show a toast message
     this.player.setOnDeath(() => {
-      this.ui.displayToast("You died! Returning to start point...", 2000);
+      this.ui.displayToast("You died! Respawning...", 2000);
+    });
+
+    this.player.setOnCheckpoint((index, total) => {
+      this.ui.displayToast(`Checkpoint ${index} of ${total}!`, 1500);
     });
 
     // Set level completion callback
@@ -619,42 +1139,27 @@ class ParkourHoboCourseBuilder {
 
     const position = this.placeholderMesh.position.clone();
 
-    // Get block definition
-    const blockDef = this.blockFactory.getBlockDefinition(
-      this.selectedBlockType
-    );
-
     // Create block
     const block = this.blockFactory.createBlock(
       this.selectedBlockType,
       { x: position.x, y: position.y, z: position.z },
-      { x: 0, y: this.rotationAngle, z: 0 }
+      { ...this.placementRotation }
     );
-
-    // Apply rotation
-    block.mesh!.rotation.y = THREE.MathUtils.degToRad(this.rotationAngle);
-
-    // Add to scene and course
-    this.scene.add(block.mesh!);
-    this.currentCourse.blocks.push(block);
-
-    // Update start/finish positions if needed
-    if (this.selectedBlockType === "start") {
-      this.currentCourse.startPosition = {
-        x: position.x,
-        y: position.y + blockDef.dimensions.y / 2,
-        z: position.z,
-      };
-    } else if (this.selectedBlockType === "finish") {
-      this.currentCourse.finishPosition = {
-        x: position.x,
-        y: position.y + blockDef.dimensions.y / 2,
-        z: position.z,
-      };
+    if (block.type === "checkpoint") {
+      block.checkpointOrder = getNextCheckpointOrder(this.currentCourse.blocks);
+    }
+    if (block.type === "movingPlatform") {
+      block.path = createDefaultPlatformPath();
     }
+    block.launch = createDefaultLaunch(block.type);
 
-    // Update block counter
-    this.updateBlockCounter();
+    // Add to scene and course
+    const index = this.currentCourse.blocks.length;
+    this.history.execute({
+      label: "Place block",
+      apply: () => this.addBlock(block, index),
+      revert: () => this.removeBlock(block),
+    });
 
     // Clear any placement indicator
     if (this.placementIndicator) {
@@ -666,30 +1171,69 @@ class ParkourHoboCourseBuilder {
     this.updatePlaceholderPosition();
   }
 
-  private rotateBlock() {
-    // Rotate in 90 degree increments
-    this.rotationAngle = (this.rotationAngle + 90) % 360;
+  // Degrees for one rotate key press, negative with Shift held
+  private getRotationStep(reverse: boolean): number {
+    const step = this.rotationSnap || FREE_ROTATION_STEP;
+    return reverse ? -step : step;
+  }
 
-    // Update placeholder rotation
-    if (this.placeholderMesh) {
-      this.placeholderMesh.rotation.y = THREE.MathUtils.degToRad(
-        this.rotationAngle
-      );
+  private rotateBlock(axis: RotationAxis, degrees: number) {
+    // Prefabs turn as a group around the vertical axis only
+    if (this.selectedPrefab && axis !== "y") {
+      this.ui.displayToast("Prefabs can only be turned with R", 1500);
+      return;
     }
+    this.placementRotation = turnRotation(
+      this.placementRotation,
+      axis,
+      degrees
+    );
+    this.updatePlaceholderPosition();
   }
 
   private updateBlockCounter() {
     if (this.currentCourse) {
-      const template = this.courseManager.getTemplate(
-        this.currentCourse.template
-      );
       this.ui.updateBlockCounter(
         this.currentCourse.blocks.length,
-        template.maxBlocks
+        this.currentCourse.templateSettings.maxBlocks
       );
+
+      // Keep an open lint report in step with the blocks, since its items
+      // point at block indices
+      if (this.ui.isLintPanelOpen()) {
+        this.ui.showLintReport(
+          this.courseManager.lintCourse(this.currentCourse)
+        );
+      }
     }
   }
 
+  // Resize the grid to cover the build volume's footprint, with one line per
+  // grid step. The grid is also the placement surface, so nothing can be
+  // placed on the ground outside it.
+  private updateGrid(settings: TemplateSettings) {
+    const { min, max } = settings.buildVolume;
+    const step = settings.gridSize;
+    const centerX = Math.round((min.x + max.x) / 2 / step) * step;
+    const centerZ = Math.round((min.z + max.z) / 2 / step) * step;
+    const halfExtent = Math.max(
+      max.x - centerX,
+      centerX - min.x,
+      max.z - centerZ,
+      centerZ - min.z
+    );
+    // An even number of divisions keeps grid lines on multiples of the step
+    const divisions = Math.ceil(halfExtent / step) * 2;
+
+    const wasVisible = this.gridHelper.visible;
+    this.scene.remove(this.gridHelper);
+    this.gridHelper.dispose();
+    this.gridHelper = new THREE.GridHelper(divisions * step, divisions);
+    this.gridHelper.position.set(centerX, 0, centerZ);
+    this.gridHelper.visible = wasVisible;
+    this.scene.add(this.gridHelper);
+  }
+
   private loadCourseIntoScene(course: Course): Course {
     // Clear current scene first
     this.clearScene();
@@ -702,23 +1246,25 @@ class ParkourHoboCourseBuilder {
 
     // Create and add blocks to the scene
     course.blocks.forEach((block) => {
-      const newBlock = this.blockFactory.createBlock(
-        block.type,
-        block.position,
-        block.rotation
-      );
+      const newBlock = this.blockFactory.createBlockFromData(block);
 
       this.scene.add(newBlock.mesh!);
       courseCopy.blocks.push(newBlock);
     });
 
     // Set up atmosphere
-    this.setupAtmosphere(courseCopy.atmosphere);
+    this.atmosphere.apply(courseCopy.atmosphere);
 
     return courseCopy;
   }
 
   private clearScene() {
+    this.clearSelection();
+    this.clearRouteBreaks();
+    this.history.clear();
+    this.ui.hideLintPanel();
+    this.ui.hidePatternPanel();
+
     // Remove all blocks from the scene
     if (this.currentCourse) {
       this.currentCourse.blocks.forEach((block) => {
@@ -731,6 +1277,7 @@ class ParkourHoboCourseBuilder {
     // Remove player if exists
     if (this.player) {
       this.scene.remove(this.player.mesh);
+      this.player.destroy(); // Clean up player listeners
       this.player = null;
     }
 
@@ -753,7 +1300,19 @@ class ParkourHoboCourseBuilder {
 
     // Animate kill zones in builder mode
     if (this.isBuilderMode && this.currentCourse) {
-      this.animateKillZones(time);
+      animateKillZones(this.currentCourse.blocks, time);
+      this.pathEditor.update(time);
+    }
+
+    // Update blocks before the player, so anyone standing on a moving
+    // platform rides along and crumbling bags know who is on them
+    if (!this.isBuilderMode && this.currentCourse) {
+      updateBlocks(
+        this.currentCourse.blocks,
+        time - this.playStartTime,
+        delta,
+        this.player?.getGroundBlock() ?? null
+      );
     }
 
     // Update player if in player mode
@@ -767,56 +1326,6 @@ class ParkourHoboCourseBuilder {
     this.renderer.render(this.scene, this.camera);
   }
 
-  // Animate kill zones to make them more visible
-  private animateKillZones(time: number) {
-    if (!this.currentCourse) return;
-
-    for (const block of this.currentCourse.blocks) {
-      if (
-        (block.type === "killZone" || block.type === "killZoneLarge") &&
-        block.mesh
-      ) {
-        // Pulse the opacity between 0.3 and 0.7
-        const opacity = 0.3 + (Math.sin(time * 3) + 1) * 0.2;
-
-        if (block.mesh instanceof THREE.Mesh) {
-          const material = block.mesh.material as THREE.MeshLambertMaterial;
-          if (material.transparent) {
-            material.opacity = opacity;
-          }
-        } else if (block.mesh instanceof THREE.Group) {
-          // Handle the base mesh opacity
-          if (block.mesh.children.length > 0) {
-            const baseMesh = block.mesh.children[0];
-            if (baseMesh instanceof THREE.Mesh) {
-              const material = baseMesh.material as THREE.MeshLambertMaterial;
-              if (material.transparent) {
-                material.opacity = opacity;
-              }
-            }
-          }
-
-          // Animate the warning triangles
-          for (let i = 1; i < block.mesh.children.length; i++) {
-            const triangle = block.mesh.children[i];
-            if (triangle instanceof THREE.Mesh) {
-              // Get the original Y position and random phase stored during creation
-              const originalY = (triangle as any).originalY || 0.3;
-              const randomPhase = (triangle as any).randomPhase || 0;
-
-              // Float up and down with a slight random phase difference
-              triangle.position.y =
-                originalY + Math.sin(time * 2 + randomPhase) * 0.1;
-
-              // Rotate slowly
-              triangle.rotation.y = time * 0.5 + randomPhase;
-            }
-          }
-        }
-      }
-    }
-  }
-
   private updatePlaceholder() {
     // Remove existing placeholder if it exists
     if (this.placeholderMesh) {
@@ -827,8 +1336,12 @@ class ParkourHoboCourseBuilder {
     // Reset height offset when changing block type
     this.placeholderHeightOffset = 0;
 
-    // Create new placeholder if a block type is selected
-    if (this.selectedBlockType && this.isBuilderMode) {
+    // Create new placeholder if a block type or prefab is selected
+    if (this.selectedPrefab && this.isBuilderMode) {
+      this.placeholderMesh = this.createPrefabPlaceholder(this.selectedPrefab);
+      this.scene.add(this.placeholderMesh);
+      this.updatePlaceholderPosition();
+    } else if (this.selectedBlockType && this.isBuilderMode) {
       this.placeholderMesh = this.blockFactory.createPlaceholder(
         this.selectedBlockType
       );
@@ -842,6 +1355,10 @@ class ParkourHoboCourseBuilder {
   }
 
   private updatePlaceholderPosition() {
+    if (this.selectedPrefab) {
+      this.updatePrefabPlaceholderPosition();
+      return;
+    }
     if (!this.placeholderMesh || !this.selectedBlockType) return;
 
     // Clear any existing placement indicator
@@ -876,9 +1393,10 @@ class ParkourHoboCourseBuilder {
 
     if (!validIntersection) return;
 
-    // Get block definition
-    const blockDef = this.blockFactory.getBlockDefinition(
-      this.selectedBlockType
+    // Size of the block as turned, so tipped blocks still sit on the surface
+    const size = this.getRotatedSize(
+      this.selectedBlockType,
+      this.placementRotation
     );
 
     // Calculate position
@@ -920,6 +1438,13 @@ class ParkourHoboCourseBuilder {
       }
 
       if (existingBlock && existingBlockDef) {
+        // Stretched and turned blocks snap to the size they really are
+        const existingSize = this.getRotatedSize(
+          existingBlock.type,
+          existingBlock.rotation,
+          existingBlock.scale
+        );
+
         // Get the position of the existing block
         const existingBlockPos = new THREE.Vector3(
           existingBlock.position.x,
@@ -936,26 +1461,26 @@ class ParkourHoboCourseBuilder {
           // Placing on top
           position.x = existingBlockPos.x;
           position.z = existingBlockPos.z;
-          position.y = existingBlockPos.y + (existingBlockDef.dimensions.y / 2) + (blockDef.dimensions.y / 2);
+          position.y = existingBlockPos.y + (existingSize.y / 2) + (size.y / 2);
           
           // Show upward placement indicator
           this.createPlacementIndicator(
             existingBlockPos.clone(), 
             new THREE.Vector3(0, 1, 0), 
-            existingBlockDef.dimensions.y / 2 + 0.2,
+            existingSize.y / 2 + 0.2,
             0x00ff00 // Green
           );
         } else if (isBottom) {
           // Placing below
           position.x = existingBlockPos.x;
           position.z = existingBlockPos.z;
-          position.y = existingBlockPos.y - (existingBlockDef.dimensions.y / 2) - (blockDef.dimensions.y / 2);
+          position.y = existingBlockPos.y - (existingSize.y / 2) - (size.y / 2);
           
           // Show downward placement indicator
           this.createPlacementIndicator(
             existingBlockPos.clone(), 
             new THREE.Vector3(0, -1, 0), 
-            existingBlockDef.dimensions.y / 2 + 0.2,
+            existingSize.y / 2 + 0.2,
             0x00ff00 // Green
           );
         } else if (isSide) {
@@ -963,8 +1488,8 @@ class ParkourHoboCourseBuilder {
           const sideOffset = new THREE.Vector3();
           
           // Calculate the offset from the center of the existing block to exactly align with its edge
-          sideOffset.x = worldNormal.x * ((existingBlockDef.dimensions.x / 2) + (blockDef.dimensions.x / 2));
-          sideOffset.z = worldNormal.z * ((existingBlockDef.dimensions.z / 2) + (blockDef.dimensions.z / 2));
+          sideOffset.x = worldNormal.x * ((existingSize.x / 2) + (size.x / 2));
+          sideOffset.z = worldNormal.z * ((existingSize.z / 2) + (size.z / 2));
           
           // Apply the offset to position our new block right next to the existing one
           position.x = existingBlockPos.x + sideOffset.x;
@@ -975,7 +1500,7 @@ class ParkourHoboCourseBuilder {
           this.createPlacementIndicator(
             existingBlockPos.clone(), 
             new THREE.Vector3(worldNormal.x, 0, worldNormal.z).normalize(), 
-            Math.max(existingBlockDef.dimensions.x, existingBlockDef.dimensions.z) / 2 + 0.2,
+            Math.max(existingSize.x, existingSize.z) / 2 + 0.2,
             0x00ff00 // Green
           );
         }
@@ -984,13 +1509,13 @@ class ParkourHoboCourseBuilder {
       // FREE MODE: We're placing on an existing block without snapping
       
       // Set the y position based on intersection point plus half block height
-      position.y = validIntersection.point.y + blockDef.dimensions.y / 2;
+      position.y = validIntersection.point.y + size.y / 2;
       
       // Don't snap x and z in free mode - just use the exact intersection point
       
       // Show a simple placement indicator
       this.createPlacementIndicator(
-        new THREE.Vector3(position.x, position.y - blockDef.dimensions.y / 2, position.z),
+        new THREE.Vector3(position.x, position.y - size.y / 2, position.z),
         new THREE.Vector3(0, 1, 0),
         0.5,
         0x0000ff // Blue indicator for free mode
@@ -999,11 +1524,12 @@ class ParkourHoboCourseBuilder {
       // We're placing on the ground grid
       if (this.snapEnabled) {
         // Round to nearest grid point for better alignment when snap is on
-        position.x = Math.round(position.x);
-        position.z = Math.round(position.z);
+        const step = this.currentCourse?.templateSettings.gridSize ?? 1;
+        position.x = Math.round(position.x / step) * step;
+        position.z = Math.round(position.z / step) * step;
       }
       // Always set Y to half block height above the grid
-      position.y = blockDef.dimensions.y / 2;
+      position.y = size.y / 2;
     }
 
     // Apply height offset for manual adjustment (using Q/E keys)
@@ -1023,13 +1549,32 @@ class ParkourHoboCourseBuilder {
     );
 
     // Set rotation of placeholder
-    this.placeholderMesh.rotation.y = THREE.MathUtils.degToRad(
-      this.rotationAngle
+    this.placeholderMesh.rotation.set(
+      THREE.MathUtils.degToRad(this.placementRotation.x),
+      THREE.MathUtils.degToRad(this.placementRotation.y),
+      THREE.MathUtils.degToRad(this.placementRotation.z)
     );
   }
 
-  // Add this new method for creating placement indicators
-  private createPlacementIndicator(origin: THREE.Vector3, direction: THREE.Vector3, length: number, color: number) {
+  // World-space size of a block's bounding box at a rotation and scale
+  private getRotatedSize(
+    type: string,
+    rotation: Vector3,
+    scale?: Vector3
+  ): Vector3 {
+    const box = getBlockBounds(
+      { position: { x: 0, y: 0, z: 0 }, rotation, scale },
+      this.blockFactory.getBlockDefinition(type).dimensions
+    );
+    return {
+      x: box.max.x - box.min.x,
+      y: box.max.y - box.min.y,
+      z: box.max.z - box.min.z,
+    };
+  }
+
+  // Add this new method for creating placement indicators
+  private createPlacementIndicator(origin: THREE.Vector3, direction: THREE.Vector3, length: number, color: number) {
     // Remove any existing indicator first
     if (this.placementIndicator) {
       this.scene.remove(this.placementIndicator);
@@ -1071,18 +1616,24 @@ class ParkourHoboCourseBuilder {
     return null;
   }
 
-  private isValidPlacement(position: THREE.Vector3): boolean {
-    if (!this.currentCourse || !this.selectedBlockType) return false;
+  // Checks a spot for the block about to be built, or for an already placed
+  // block being moved or resized there (which is then ignored in the
+  // collision checks)
+  private isValidPlacement(
+    position: THREE.Vector3 | Vector3,
+    movingBlock: Block | null = null,
+    blockType = movingBlock ? movingBlock.type : this.selectedBlockType,
+    scale: Vector3 = movingBlock ? movingBlock.scale : { x: 1, y: 1, z: 1 }
+  ): boolean {
+    if (!this.currentCourse || !blockType) return false;
 
     // Get block definition
-    const blockDef = this.blockFactory.getBlockDefinition(
-      this.selectedBlockType
-    );
+    const blockDef = this.blockFactory.getBlockDefinition(blockType);
 
-    // Check for block limits (Start and Finish)
-    if (blockDef.limit) {
+    // Check for block limits (Start and Finish); moving adds no blocks
+    if (blockDef.limit && !movingBlock) {
       const existingCount = this.currentCourse.blocks.filter(
-        (block) => block.type === this.selectedBlockType
+        (block) => block.type === blockType
       ).length;
 
       if (existingCount >= blockDef.limit) {
@@ -1090,11 +1641,15 @@ class ParkourHoboCourseBuilder {
       }
     }
 
-    // Check for template max blocks
-    const template = this.courseManager.getTemplate(
-      this.currentCourse.template
-    );
-    if (this.currentCourse.blocks.length >= template.maxBlocks) {
+    // Check for template max blocks and build volume
+    const settings = this.currentCourse.templateSettings;
+    if (
+      !movingBlock &&
+      this.currentCourse.blocks.length >= settings.maxBlocks
+    ) {
+      return false;
+    }
+    if (!isInsideBuildVolume(settings, position)) {
       return false;
     }
 
@@ -1105,9 +1660,12 @@ class ParkourHoboCourseBuilder {
       
       // Create a box for the new block with reduced collision size
       const newBlockBox = new THREE.Box3();
-      const halfWidth = blockDef.dimensions.x / 2 * (1 - overlapThreshold);
-      const halfHeight = blockDef.dimensions.y / 2 * (1 - overlapThreshold);
-      const halfDepth = blockDef.dimensions.z / 2 * (1 - overlapThreshold);
+      const halfWidth =
+        blockDef.dimensions.x * scale.x / 2 * (1 - overlapThreshold);
+      const halfHeight =
+        blockDef.dimensions.y * scale.y / 2 * (1 - overlapThreshold);
+      const halfDepth =
+        blockDef.dimensions.z * scale.z / 2 * (1 - overlapThreshold);
 
       newBlockBox.min.set(
         position.x - halfWidth,
@@ -1123,14 +1681,15 @@ class ParkourHoboCourseBuilder {
 
       // Check for collision with other blocks with reduced strictness
       for (const block of this.currentCourse.blocks) {
-        if (!block.mesh) continue;
+        if (!block.mesh || block === movingBlock) continue;
 
         // Create a box for the existing block with reduced size
         const existingBlockDef = this.blockFactory.getBlockDefinition(block.type);
         const existingBlockBox = new THREE.Box3();
-        const exHalfWidth = existingBlockDef.dimensions.x / 2 * (1 - overlapThreshold);
-        const exHalfHeight = existingBlockDef.dimensions.y / 2 * (1 - overlapThreshold);
-        const exHalfDepth = existingBlockDef.dimensions.z / 2 * (1 - overlapThreshold);
+        const exSize = existingBlockDef.dimensions;
+        const exHalfWidth = exSize.x * block.scale.x / 2 * (1 - overlapThreshold);
+        const exHalfHeight = exSize.y * block.scale.y / 2 * (1 - overlapThreshold);
+        const exHalfDepth = exSize.z * block.scale.z / 2 * (1 - overlapThreshold);
 
         existingBlockBox.min.set(
           block.position.x - exHalfWidth,
@@ -1156,12 +1715,12 @@ class ParkourHoboCourseBuilder {
     // Original snap mode collision detection (unchanged)
     // Create a box for the new block
     const newBlockBox = new THREE.Box3();
-    const halfWidth = blockDef.dimensions.x / 2;
-    const halfHeight = blockDef.dimensions.y / 2;
-    const halfDepth = blockDef.dimensions.z / 2;
+    const halfWidth = blockDef.dimensions.x * scale.x / 2;
+    const halfHeight = blockDef.dimensions.y * scale.y / 2;
+    const halfDepth = blockDef.dimensions.z * scale.z / 2;
 
     // Special case for garbage bag which needs a smaller collision box
-    const collisionFactor = this.selectedBlockType === "garbageBag" ? 0.8 : 0.9;
+    const collisionFactor = blockType === "garbageBag" ? 0.8 : 0.9;
 
     newBlockBox.min.set(
       position.x - halfWidth * collisionFactor,
@@ -1177,14 +1736,14 @@ class ParkourHoboCourseBuilder {
 
     // Check for collision with other blocks
     for (const block of this.currentCourse.blocks) {
-      if (!block.mesh) continue;
+      if (!block.mesh || block === movingBlock) continue;
 
       // Create a box for the existing block
       const existingBlockDef = this.blockFactory.getBlockDefinition(block.type);
       const existingBlockBox = new THREE.Box3();
-      const exHalfWidth = existingBlockDef.dimensions.x / 2;
-      const exHalfHeight = existingBlockDef.dimensions.y / 2;
-      const exHalfDepth = existingBlockDef.dimensions.z / 2;
+      const exHalfWidth = existingBlockDef.dimensions.x * block.scale.x / 2;
+      const exHalfHeight = existingBlockDef.dimensions.y * block.scale.y / 2;
+      const exHalfDepth = existingBlockDef.dimensions.z * block.scale.z / 2;
 
       // Adjust collision factor for garbage bags
       const exCollisionFactor = block.type === "garbageBag" ? 0.8 : 0.9;
@@ -1273,6 +1832,52 @@ class ParkourHoboCourseBuilder {
     return true;
   }
 
+  // Run the solvability check and mark the blocks on either side of the
+  // jump where the route breaks for a few seconds
+  private checkRoute() {
+    if (!this.currentCourse) return null;
+
+    this.clearRouteBreaks();
+    const course = this.currentCourse;
+    let report: ReachabilityReport;
+    try {
+      report = this.courseManager.checkSolvability(course);
+    } catch (e) {
+      // Report a bug in the check as an unchecked route rather than
+      // breaking Check Route and export
+      console.error("Route check failed", e);
+      const reason = e instanceof Error ? e.message : String(e);
+      report = {
+        solvable: false,
+        message: `The route could not be checked: ${reason}`,
+        reachableBlocks: [],
+        breakBlocks: [],
+      };
+    }
+    this.routeBreakBlocks = report.breakBlocks.map((i) => course.blocks[i]);
+    this.routeBreakBlocks.forEach((block) =>
+      block.highlight(this.routeBreakMaterial)
+    );
+    if (this.routeBreakBlocks.length > 0) {
+      this.routeBreakTimeout = window.setTimeout(
+        () => this.clearRouteBreaks(),
+        6000
+      );
+    }
+    return report;
+  }
+
+  private clearRouteBreaks() {
+    window.clearTimeout(this.routeBreakTimeout);
+    this.routeBreakBlocks.forEach((block) => {
+      // Leave blocks the user has since selected alone
+      if (!this.selectedBlocks.includes(block)) {
+        block.unhighlight();
+      }
+    });
+    this.routeBreakBlocks = [];
+  }
+
   private highlightBlockForDeletion() {
     // Reset previous highlighted block
     if (this.highlightedBlock) {
@@ -1326,53 +1931,125 @@ class ParkourHoboCourseBuilder {
   }
 
   private deleteHighlightedBlock() {
-    if (!this.currentCourse || !this.highlightedBlock) return;
+    if (this.highlightedBlock) {
+      this.deleteBlocks([this.highlightedBlock]);
+    }
+  }
 
-    const blockIndex = this.currentCourse.blocks.findIndex(
-      (block) => block === this.highlightedBlock
-    );
+  private deleteBlocks(blocks: Block[]) {
+    const course = this.currentCourse;
+    if (!course) return;
+
+    // Putting blocks back in index order restores every old index
+    const entries = blocks
+      .map((block) => ({ block, index: course.blocks.indexOf(block) }))
+      .filter((entry) => entry.index >= 0)
+      .sort((a, b) => a.index - b.index);
+    if (entries.length === 0) return;
+
+    this.history.execute({
+      label: this.selectionLabel("Delete", entries.length),
+      apply: () => entries.forEach(({ block }) => this.removeBlock(block)),
+      revert: () =>
+        entries.forEach(({ block, index }) => this.addBlock(block, index)),
+    });
+  }
 
-    if (blockIndex >= 0) {
-      const block = this.currentCourse.blocks[blockIndex];
+  // Put a block into the scene and the course; undoing a delete puts it back
+  // at its old index so later indices stay the same
+  private addBlock(block: Block, index: number) {
+    if (!this.currentCourse || !block.mesh) return;
 
-      // If this is also the selected block, clear that reference first
-      if (this.selectedBlock === block) {
-        this.ui.updateSelectedBlockTooltip(false);
-        this.selectedBlock = null;
-      }
+    this.scene.add(block.mesh);
+    this.currentCourse.blocks.splice(index, 0, block);
+    this.updateStartFinishPosition(block);
 
-      // Unhighlight before removing
-      block.unhighlight();
+    this.updateBlockCounter();
+    // Placement validity depends on the block limit
+    this.updatePlaceholderPosition();
+  }
 
-      // Remove from scene
-      if (block.mesh) {
-        this.scene.remove(block.mesh);
-      }
+  // The course keeps the top of its Start and Finish blocks as spawn and goal
+  private updateStartFinishPosition(block: Block) {
+    if (!this.currentCourse) return;
 
-      // Remove from blocks array
-      this.currentCourse.blocks.splice(blockIndex, 1);
+    const blockDef = this.blockFactory.getBlockDefinition(block.type);
+    const top = {
+      x: block.position.x,
+      y: block.position.y + blockDef.dimensions.y / 2,
+      z: block.position.z,
+    };
+    if (block.type === "start") {
+      this.currentCourse.startPosition = top;
+    } else if (block.type === "finish") {
+      this.currentCourse.finishPosition = top;
+    }
+  }
 
-      // Update start/finish positions if needed
-      if (block.type === "start") {
-        this.currentCourse.startPosition = { x: 0, y: 0, z: 0 };
-      } else if (block.type === "finish") {
-        this.currentCourse.finishPosition = { x: 0, y: 0, z: 0 };
-      }
+  private removeBlock(block: Block) {
+    if (!this.currentCourse) return;
+
+    const index = this.currentCourse.blocks.indexOf(block);
+    if (index < 0) return;
 
-      // Clear the highlighted block
+    // Drop any selection or hover state pointing at it
+    if (this.selectedBlocks.includes(block)) {
+      this.selectedBlocks = this.selectedBlocks.filter((b) => b !== block);
+      this.updateSelectionTooltip();
+      this.updateSelectionControls();
+    }
+    if (this.highlightedBlock === block) {
       this.highlightedBlock = null;
+    }
+    block.unhighlight();
 
-      // Update block counter
-      this.updateBlockCounter();
+    // Remove from scene
+    if (block.mesh) {
+      this.scene.remove(block.mesh);
+    }
+
+    // Remove from blocks array
+    this.currentCourse.blocks.splice(index, 1);
+
+    // Update start/finish positions if needed
+    if (block.type === "start") {
+      this.currentCourse.startPosition = { x: 0, y: 0, z: 0 };
+    } else if (block.type === "finish") {
+      this.currentCourse.finishPosition = { x: 0, y: 0, z: 0 };
+    }
+
+    this.updateBlockCounter();
+    this.updatePlaceholderPosition();
+  }
+
+  private renameCourse(course: Course, name: string) {
+    course.name = name;
+    this.ui.setCourseNameInput(name);
+  }
+
+  private undo() {
+    const command = this.history.undo();
+    if (command) {
+      this.ui.displayToast(`Undo: ${command.label}`, 1500);
+    }
+  }
+
+  private redo() {
+    const command = this.history.redo();
+    if (command) {
+      this.ui.displayToast(`Redo: ${command.label}`, 1500);
     }
   }
 
   private highlightBlockForSelection() {
-    // Reset previous highlighted block (but not if it's the selected block)
-    if (this.highlightedBlock && this.highlightedBlock !== this.selectedBlock) {
+    // Reset previous highlighted block (selected blocks keep their highlight)
+    if (
+      this.highlightedBlock &&
+      !this.selectedBlocks.includes(this.highlightedBlock)
+    ) {
       this.highlightedBlock.unhighlight();
-      this.highlightedBlock = null;
     }
+    this.highlightedBlock = null;
 
     if (!this.currentCourse) return;
 
@@ -1409,8 +2086,10 @@ class ParkourHoboCourseBuilder {
       }
 
       if (block) {
-        // If we're hovering over the already selected block, just return without highlighting
-        if (block === this.selectedBlock) {
+        // A hovered selected block keeps its selection highlight, but is still
+        // tracked so shift-click can deselect it
+        if (this.selectedBlocks.includes(block)) {
+          this.highlightedBlock = block;
           return;
         }
 
@@ -1424,67 +2103,1428 @@ class ParkourHoboCourseBuilder {
     }
   }
 
-  private selectHighlightedBlock() {
-    // If we're selecting the same block that's already selected, deselect it
-    if (this.selectedBlock === this.highlightedBlock) {
+  // Select a block by index with the select tool and point the camera at it
+  private selectBlockAt(blockIndex: number) {
+    const block = this.currentCourse?.blocks[blockIndex];
+    if (!block) return;
+
+    if (this.currentTool !== "select") {
+      this.ui.selectTool("select");
+    }
+    this.clearSelection();
+    this.addToSelection(block);
+    this.updateSelectionTooltip();
+    this.updateSelectionControls();
+
+    this.controls.target.set(
+      block.position.x,
+      block.position.y,
+      block.position.z
+    );
+  }
+
+  // A plain click selects just the hovered block (or deselects it when it is
+  // the only one selected); shift-click adds or removes it
+  private selectHighlightedBlock(additive: boolean = false) {
+    const block = this.highlightedBlock;
+    if (!block) return;
+
+    // The hover highlight becomes the selection highlight
+    this.highlightedBlock = null;
+
+    if (additive) {
+      if (this.selectedBlocks.includes(block)) {
+        this.removeFromSelection(block);
+      } else {
+        this.addToSelection(block);
+      }
+    } else if (
+      this.selectedBlocks.length === 1 &&
+      this.selectedBlocks[0] === block
+    ) {
       this.clearSelection();
+    } else {
+      this.clearSelection();
+      this.addToSelection(block);
+    }
+
+    this.updateSelectionTooltip();
+    this.updateSelectionControls();
+  }
+
+  private addToSelection(block: Block) {
+    if (this.selectedBlocks.includes(block)) return;
+
+    this.selectedBlocks.push(block);
+
+    // Reset the block's original materials before applying the highlight
+    block.unhighlight();
+    block.highlight(this.selectionMaterial);
+  }
+
+  private removeFromSelection(block: Block) {
+    this.selectedBlocks = this.selectedBlocks.filter((b) => b !== block);
+    block.unhighlight();
+  }
+
+  // Select every block whose center is inside a rectangle drawn on screen
+  private selectBlocksInRect(
+    from: { x: number; y: number },
+    to: { x: number; y: number }
+  ) {
+    if (!this.currentCourse) return;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const left = Math.min(from.x, to.x) - rect.left;
+    const right = Math.max(from.x, to.x) - rect.left;
+    const top = Math.min(from.y, to.y) - rect.top;
+    const bottom = Math.max(from.y, to.y) - rect.top;
+
+    this.currentCourse.blocks.forEach((block) => {
+      const screenPosition = new THREE.Vector3(
+        block.position.x,
+        block.position.y,
+        block.position.z
+      ).project(this.camera);
+
+      // Skip blocks behind the camera
+      if (screenPosition.z > 1) return;
+
+      const x = ((screenPosition.x + 1) * rect.width) / 2;
+      const y = ((-screenPosition.y + 1) * rect.height) / 2;
+      if (x >= left && x <= right && y >= top && y <= bottom) {
+        this.addToSelection(block);
+      }
+    });
+
+    this.updateSelectionTooltip();
+    this.updateSelectionControls();
+  }
+
+  // The tooltip follows the block selected last
+  private updateSelectionTooltip() {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (!block || !block.mesh || this.currentTool !== "select") {
+      this.ui.updateSelectedBlockTooltip(false);
       return;
     }
 
-    // Clear previous selection
-    if (this.selectedBlock) {
-      this.clearSelection();
+    // Create a position vector from the block's position
+    const blockPosition = new THREE.Vector3(
+      block.position.x,
+      block.position.y,
+      block.position.z
+    );
+
+    // Project the 3D position to screen coordinates
+    const screenPosition = blockPosition.clone().project(this.camera);
+
+    // Convert to pixel coordinates
+    const canvas = this.renderer.domElement;
+    const x = ((screenPosition.x + 1) * canvas.width) / 2;
+    const y = ((-screenPosition.y + 1) * canvas.height) / 2;
+
+    // Update tooltip with computed screen coordinates
+    this.ui.updateSelectedBlockTooltipPosition(x, y);
+  }
+
+  private selectionLabel(action: string, count: number) {
+    return count === 1 ? `${action} block` : `${action} ${count} blocks`;
+  }
+
+  private deleteSelection() {
+    this.deleteBlocks([...this.selectedBlocks]);
+  }
+
+  // Move the selection by one grid step per key press
+  private moveSelection(offset: Vector3) {
+    const course = this.currentCourse;
+    if (!course || this.selectedBlocks.length === 0) return;
+
+    const blocks = [...this.selectedBlocks];
+    const oldPositions = blocks.map((block) => ({ ...block.position }));
+    const newPositions = blocks.map((block) => ({
+      x: block.position.x + offset.x,
+      y: block.position.y + offset.y,
+      z: block.position.z + offset.z,
+    }));
+    if (
+      newPositions.some(
+        (position) => !isInsideBuildVolume(course.templateSettings, position)
+      )
+    ) {
+      this.ui.displayToast("The selection can't leave the build area", 1500);
+      return;
     }
 
-    // Select the currently highlighted block
-    if (this.highlightedBlock) {
-      // Store the reference to the highlighted block
-      this.selectedBlock = this.highlightedBlock;
+    this.history.execute({
+      label: this.selectionLabel("Move", blocks.length),
+      apply: () =>
+        blocks.forEach((b, i) => this.setBlockPosition(b, newPositions[i])),
+      revert: () =>
+        blocks.forEach((b, i) => this.setBlockPosition(b, oldPositions[i])),
+    });
+    this.updateSelectionTooltip();
+  }
 
-      // Clear the highlighted block reference to avoid duplicate highlighting
-      this.highlightedBlock = null;
+  // Turn the selection around its center about a world axis, as if it were
+  // one block; a single block just turns in place
+  private rotateSelection(axis: RotationAxis, degrees: number) {
+    const course = this.currentCourse;
+    if (!course || this.selectedBlocks.length === 0) return;
+
+    const blocks = [...this.selectedBlocks];
+    const center = this.getCenter(blocks);
+    const turn = new THREE.Quaternion().setFromAxisAngle(
+      AXIS_VECTORS[axis],
+      THREE.MathUtils.degToRad(degrees)
+    );
+    const before = blocks.map((block) => ({
+      position: { ...block.position },
+      rotation: { ...block.rotation },
+      path: block.path,
+    }));
+    const after = blocks.map((block) => {
+      const offset = new THREE.Vector3(
+        block.position.x - center.x,
+        block.position.y - center.y,
+        block.position.z - center.z
+      ).applyQuaternion(turn);
+      return {
+        position: {
+          x: roundCoordinate(center.x + offset.x),
+          y: roundCoordinate(center.y + offset.y),
+          z: roundCoordinate(center.z + offset.z),
+        },
+        rotation: turnRotation(block.rotation, axis, degrees),
+        path: block.path && turnPath(block.path, turn),
+      };
+    });
+    if (
+      after.some(
+        ({ position, path }) =>
+          !isInsideBuildVolume(course.templateSettings, position) ||
+          (path && !this.isValidPath(position, path))
+      )
+    ) {
+      this.ui.displayToast("The selection can't leave the build area", 1500);
+      return;
+    }
 
-      // Make sure the block's original materials are reset before applying new highlight
-      this.selectedBlock.unhighlight();
+    const place = (states: typeof before) =>
+      blocks.forEach((block, i) => {
+        this.setBlockPosition(block, states[i].position);
+        this.setBlockRotation(block, states[i].rotation);
+        if (block.path) {
+          this.setPlatformPath(block, states[i].path);
+        }
+      });
+    this.history.execute({
+      label: this.selectionLabel("Rotate", blocks.length),
+      apply: () => place(after),
+      revert: () => place(before),
+    });
+  }
 
-      // Apply the selection highlight
-      this.selectedBlock.highlight(this.selectionMaterial);
+  private getCenter(blocks: { position: Vector3 }[]): Vector3 {
+    const sum = blocks.reduce(
+      (total, block) => ({
+        x: total.x + block.position.x,
+        y: total.y + block.position.y,
+        z: total.z + block.position.z,
+      }),
+      { x: 0, y: 0, z: 0 }
+    );
+    return {
+      x: sum.x / blocks.length,
+      y: sum.y / blocks.length,
+      z: sum.z / blocks.length,
+    };
+  }
 
-      // Update the tooltip below the selected block
-      if (this.selectedBlock.mesh) {
-        // Create a position vector from the block's position
-        const blockPosition = new THREE.Vector3(
-          this.selectedBlock.position.x,
-          this.selectedBlock.position.y,
-          this.selectedBlock.position.z
-        );
+  // Copy the selection, relative to its bottom center so a paste lands on top
+  // of whatever is under the cursor
+  private copySelection(): boolean {
+    if (this.selectedBlocks.length === 0) return false;
+
+    this.clipboard = this.courseManager.toRelativeBlocks(this.selectedBlocks);
+
+    this.ui.displayToast(
+      `Copied ${this.clipboard.length} block${
+        this.clipboard.length === 1 ? "" : "s"
+      }`,
+      1500
+    );
+    return true;
+  }
+
+  private cutSelection() {
+    if (this.copySelection()) {
+      this.deleteSelection();
+    }
+  }
+
+  // Paste the copied blocks at the cursor as one undoable step, keeping to the
+  // template's block limit and the Start/Finish limits
+  private pasteClipboard() {
+    const course = this.currentCourse;
+    if (!course || this.clipboard.length === 0) return;
+
+    const error = this.getAddBlocksError(this.clipboard);
+    if (error) {
+      this.ui.displayToast(error, 2000);
+      return;
+    }
+
+    const point = this.getCursorPoint();
+    if (!point) {
+      this.ui.displayToast("Point at the grid or a block to paste", 1500);
+      return;
+    }
+    const placed = this.getGroupPlacement(this.clipboard, point, 0);
+    if (
+      placed.some(
+        (data) => !isInsideBuildVolume(course.templateSettings, data.position)
+      )
+    ) {
+      this.ui.displayToast("The paste doesn't fit in the build area", 1500);
+      return;
+    }
+
+    const blocks = this.addBlockGroup(
+      placed,
+      this.selectionLabel("Paste", placed.length)
+    );
+
+    // The pasted blocks become the selection, ready to be moved
+    if (this.currentTool !== "select") {
+      this.ui.selectTool("select");
+    }
+    this.clearSelection();
+    blocks.forEach((block) => this.addToSelection(block));
+    this.updateSelectionTooltip();
+    this.updateSelectionControls();
+  }
+
+  // Why a group of blocks can't be added to the course (the template's block
+  // limit or the Start/Finish limits), or null if it can
+  private getAddBlocksError(blocks: SerializedBlock[]): string | null {
+    const course = this.currentCourse;
+    if (!course) return "No course is open";
+
+    const settings = course.templateSettings;
+    if (course.blocks.length + blocks.length > settings.maxBlocks) {
+      return `Not enough room: the course is limited to ${settings.maxBlocks} blocks`;
+    }
+    for (const data of blocks) {
+      const limit = this.blockFactory.getBlockDefinition(data.type).limit;
+      const count = [...course.blocks, ...blocks].filter(
+        (block) => block.type === data.type
+      ).length;
+      if (limit !== undefined && count > limit) {
+        return `A course can only have ${limit} ${data.type} block${
+          limit === 1 ? "" : "s"
+        }`;
+      }
+    }
+    return null;
+  }
+
+  // Where a group of blocks relative to its bottom center ends up when placed
+  // at a point and turned by a multiple of 90 degrees. In snap mode the group
+  // is shifted so its first block lands on the grid.
+  private getGroupPlacement(
+    blocks: SerializedBlock[],
+    point: THREE.Vector3,
+    angle: number
+  ): SerializedBlock[] {
+    const up = new THREE.Vector3(0, 1, 0);
+    const radians = THREE.MathUtils.degToRad(angle);
+    const turn = new THREE.Quaternion().setFromAxisAngle(up, radians);
+
+    const placed = blocks.map((data) => {
+      const offset = new THREE.Vector3(
+        data.position.x,
+        data.position.y,
+        data.position.z
+      ).applyAxisAngle(up, radians);
+      return {
+        type: data.type,
+        position: {
+          x: roundCoordinate(point.x + offset.x),
+          y: roundCoordinate(point.y + offset.y),
+          z: roundCoordinate(point.z + offset.z),
+        },
+        rotation: turnRotation(data.rotation, "y", angle),
+        ...(data.scale ? { scale: { ...data.scale } } : {}),
+        ...(data.appearance ? { appearance: { ...data.appearance } } : {}),
+        ...(data.checkpointOrder !== undefined
+          ? { checkpointOrder: data.checkpointOrder }
+          : {}),
+        ...(data.path ? { path: turnPath(data.path, turn) } : {}),
+        ...(data.launch ? { launch: { ...data.launch } } : {}),
+        ...(data.crumble ? { crumble: { ...data.crumble } } : {}),
+        ...(data.surface ? { surface: copySurface(data.surface) } : {}),
+      };
+    });
+
+    if (this.snapEnabled && this.currentCourse && placed.length > 0) {
+      const step = this.currentCourse.templateSettings.gridSize;
+      const first = placed[0].position;
+      const shiftX = Math.round(first.x / step) * step - first.x;
+      const shiftZ = Math.round(first.z / step) * step - first.z;
+      placed.forEach(({ position }) => {
+        position.x = roundCoordinate(position.x + shiftX);
+        position.z = roundCoordinate(position.z + shiftZ);
+      });
+    }
+    return placed;
+  }
+
+  // Create and add a group of blocks as one undoable step
+  private addBlockGroup(placed: SerializedBlock[], label: string): Block[] {
+    const course = this.currentCourse;
+    if (!course) return [];
+
+    // Added checkpoints come after the course's own, in the group's order
+    let checkpointOrder = getNextCheckpointOrder(course.blocks);
+    const blocks = placed.map((data) =>
+      this.blockFactory.createBlockFromData(
+        data.type === "checkpoint"
+          ? { ...data, checkpointOrder: checkpointOrder++ }
+          : data
+      )
+    );
+    const firstIndex = course.blocks.length;
+    this.history.execute({
+      label,
+      apply: () =>
+        blocks.forEach((block, i) => this.addBlock(block, firstIndex + i)),
+      revert: () => blocks.forEach((block) => this.removeBlock(block)),
+    });
+    return blocks;
+  }
+
+  // One placeholder per prefab block, moved into place by
+  // updatePrefabPlaceholderPosition
+  private createPrefabPlaceholder(prefab: Prefab): THREE.Group {
+    const group = new THREE.Group();
+    prefab.blocks.forEach((data) => {
+      group.add(this.blockFactory.createPlaceholder(data.type));
+    });
+    return group;
+  }
+
+  // The prefab follows the cursor like a single block placeholder, and all of
+  // it turns red when any block can't go there
+  private updatePrefabPlaceholderPosition() {
+    const prefab = this.selectedPrefab;
+    const placeholder = this.placeholderMesh;
+    if (!prefab || !placeholder) return;
+
+    if (this.placementIndicator) {
+      this.scene.remove(this.placementIndicator);
+      this.placementIndicator = null;
+    }
+
+    const point = this.getCursorPoint();
+    if (!point) return;
+    point.y += this.placeholderHeightOffset;
+
+    const placed = this.getGroupPlacement(
+      prefab.blocks,
+      point,
+      this.placementRotation.y
+    );
+    this.canPlaceBlock =
+      this.getAddBlocksError(prefab.blocks) === null &&
+      placed.every((data) =>
+        this.isValidPlacement(data.position, null, data.type, data.scale)
+      );
+
+    placed.forEach((data, i) => {
+      const mesh = placeholder.children[i] as THREE.Mesh | THREE.Group;
+      mesh.position.set(data.position.x, data.position.y, data.position.z);
+      if (data.scale) {
+        mesh.scale.set(data.scale.x, data.scale.y, data.scale.z);
+      }
+      mesh.rotation.set(
+        THREE.MathUtils.degToRad(data.rotation.x),
+        THREE.MathUtils.degToRad(data.rotation.y),
+        THREE.MathUtils.degToRad(data.rotation.z)
+      );
+      this.blockFactory.highlightPlaceholder(
+        data.type,
+        mesh,
+        this.canPlaceBlock
+      );
+    });
+  }
+
+  private placePrefab() {
+    const prefab = this.selectedPrefab;
+    const point = this.getCursorPoint();
+    if (!prefab || !point) return;
+    point.y += this.placeholderHeightOffset;
+
+    this.addBlockGroup(
+      this.getGroupPlacement(prefab.blocks, point, this.placementRotation.y),
+      `Place prefab "${prefab.name}"`
+    );
+
+    // Update placeholder validity (limits might have changed)
+    this.updatePlaceholderPosition();
+  }
 
-        // Project the 3D position to screen coordinates
-        const screenPosition = blockPosition.clone().project(this.camera);
+  // Start a pattern from the selection, or from one block of the selected type
+  // where its placeholder is
+  private openPatternPanel() {
+    let sourceLabel: string;
+    if (this.selectedBlocks.length > 0) {
+      this.patternSource = this.selectedBlocks.map((block) => ({
+        type: block.type,
+        position: { ...block.position },
+        rotation: { ...block.rotation },
+        scale: { ...block.scale },
+        ...(block.appearance ? { appearance: { ...block.appearance } } : {}),
+      }));
+      this.patternIncludesSource = false;
+      const count = this.selectedBlocks.length;
+      sourceLabel = `Copies ${count} selected block${count === 1 ? "" : "s"}`;
+    } else if (
+      this.selectedBlockType &&
+      this.placeholderMesh &&
+      this.currentTool === "build"
+    ) {
+      const position = this.placeholderMesh.position;
+      this.patternSource = [
+        {
+          type: this.selectedBlockType,
+          position: { x: position.x, y: position.y, z: position.z },
+          rotation: { ...this.placementRotation },
+        },
+      ];
+      this.patternIncludesSource = true;
+      sourceLabel =
+        `Builds ${this.selectedBlockType} blocks from the placeholder`;
+    } else {
+      this.ui.displayToast(
+        "Select blocks or pick a block type to make a pattern",
+        2000
+      );
+      return;
+    }
 
-        // Convert to pixel coordinates
-        const canvas = this.renderer.domElement;
-        const x = ((screenPosition.x + 1) * canvas.width) / 2;
-        const y = ((-screenPosition.y + 1) * canvas.height) / 2;
+    // The mirror plane starts at the far edge of the source
+    const bounds = this.patternSource.map((block) =>
+      getBlockBounds(
+        block,
+        this.blockFactory.getBlockDefinition(block.type).dimensions
+      )
+    );
+    this.ui.showPatternPanel(sourceLabel, {
+      x: Math.max(...bounds.map((box) => box.max.x)),
+      z: Math.max(...bounds.map((box) => box.max.z)),
+    });
+    this.previewPattern(this.ui.getPatternOptions());
+  }
 
-        // Update tooltip with computed screen coordinates
-        this.ui.updateSelectedBlockTooltipPosition(x, y);
+  // The blocks a pattern would add, with an error if they can't all be added
+  private getPatternBlocks(options: PatternOptions): {
+    blocks: SerializedBlock[];
+    valid: boolean[];
+    error: string | null;
+  } {
+    const optionsError = validatePatternOptions(
+      options,
+      this.patternSource.length
+    );
+    if (optionsError) {
+      return { blocks: [], valid: [], error: optionsError };
+    }
+
+    const copies = generatePattern(this.patternSource, options);
+    const blocks = this.patternIncludesSource
+      ? [...this.patternSource, ...copies]
+      : copies;
+    const valid = blocks.map((data) =>
+      this.isValidPlacement(data.position, null, data.type, data.scale)
+    );
+    const error =
+      this.getAddBlocksError(blocks) ??
+      (valid.includes(false)
+        ? "Red blocks overlap the course or leave the build area"
+        : null);
+    return { blocks, valid, error };
+  }
+
+  // Show the pattern as placeholders, red where a block can't go
+  private previewPattern(options: PatternOptions) {
+    this.clearPatternPreview();
+    const { blocks, valid, error } = this.getPatternBlocks(options);
+
+    this.patternPreview = new THREE.Group();
+    blocks.forEach((data, i) => {
+      const mesh = this.blockFactory.createPlaceholder(data.type);
+      mesh.position.set(data.position.x, data.position.y, data.position.z);
+      if (data.scale) {
+        mesh.scale.set(data.scale.x, data.scale.y, data.scale.z);
       }
+      mesh.rotation.set(
+        THREE.MathUtils.degToRad(data.rotation.x),
+        THREE.MathUtils.degToRad(data.rotation.y),
+        THREE.MathUtils.degToRad(data.rotation.z)
+      );
+      this.blockFactory.highlightPlaceholder(data.type, mesh, valid[i]);
+      this.patternPreview!.add(mesh);
+    });
+    this.scene.add(this.patternPreview);
+
+    this.ui.setPatternStatus(
+      error ??
+        `Adds ${blocks.length} block${blocks.length === 1 ? "" : "s"}`,
+      error === null
+    );
+  }
+
+  private applyPattern(options: PatternOptions) {
+    const { blocks, error } = this.getPatternBlocks(options);
+    if (error) {
+      this.ui.displayToast(error, 2000);
+      return;
+    }
+
+    this.addBlockGroup(blocks, "Add pattern");
+    this.ui.hidePatternPanel();
+    this.ui.displayToast(
+      `Added ${blocks.length} block${blocks.length === 1 ? "" : "s"}`,
+      1500
+    );
+  }
+
+  private clearPatternPreview() {
+    if (this.patternPreview) {
+      this.scene.remove(this.patternPreview);
+      this.patternPreview = null;
+    }
+  }
+
+  // Point on the grid or a block under the cursor, snapped to the grid in
+  // snap mode
+  private getCursorPoint(): THREE.Vector3 | null {
+    if (!this.currentCourse) return null;
+
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const targets: THREE.Object3D[] = [this.gridHelper];
+    this.currentCourse.blocks.forEach((block) => {
+      if (block.mesh) targets.push(block.mesh);
+    });
+    const hit = this.raycaster.intersectObjects(targets, true)[0];
+    if (!hit) return null;
+
+    const point = hit.point.clone();
+    if (this.snapEnabled) {
+      const step = this.currentCourse.templateSettings.gridSize;
+      point.x = Math.round(point.x / step) * step;
+      point.z = Math.round(point.z / step) * step;
+    }
+    return point;
+  }
+
+  // The gizmo, size panel, color pickers and path editor follow the
+  // selection
+  private updateSelectionControls() {
+    this.updatePathEditor();
+    this.updateGizmo();
+    this.updateBlockSizePanel();
+    this.updateAppearanceControls();
+  }
+
+  // Show the move gizmo on the selected block while the move tool is active,
+  // or resize handles when the select tool has one resizable block selected.
+  // A selected waypoint takes the move gizmo instead.
+  private updateGizmo() {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    const marker = this.pathEditor.getSelectedMarker();
+    if (marker) {
+      this.transformControls.setMode("translate");
+      this.transformControls.attach(marker);
+      this.scene.add(this.transformControls.getHelper());
+      return;
+    }
+
+    let mode: "translate" | "scale" | null = null;
+    if (this.currentTool === "move") {
+      mode = "translate";
+    } else if (
+      this.currentTool === "select" &&
+      this.selectedBlocks.length === 1 &&
+      this.isResizable(block)
+    ) {
+      mode = "scale";
+    }
+
+    if (block && block.mesh && mode) {
+      this.transformControls.setMode(mode);
+      this.transformControls.attach(block.mesh);
+      this.scene.add(this.transformControls.getHelper());
+    } else {
+      this.transformControls.detach();
+      this.scene.remove(this.transformControls.getHelper());
+    }
+  }
+
+  private getMovingBlock(): Block | null {
+    const mesh = this.transformControls.object;
+    return this.currentCourse?.blocks.find((b) => b.mesh === mesh) ?? null;
+  }
+
+  private startMove() {
+    const block = this.getMovingBlock();
+    this.moveStartPosition = block ? { ...block.position } : null;
+    // The click that ends a drag must not change the selection
+    this.gizmoClicked = true;
+  }
+
+  // Snap the dragged block and tint it red over spots it can't go
+  private previewMove() {
+    const block = this.getMovingBlock();
+    const from = this.moveStartPosition;
+    if (!block || !block.mesh || !from || !this.currentCourse) return;
+
+    // Snap x/z to the grid, and y in whole steps from where the block was so
+    // it stays level with its neighbours
+    if (this.snapEnabled) {
+      const step = this.currentCourse.templateSettings.gridSize;
+      const position = block.mesh.position;
+      position.x = Math.round(position.x / step) * step;
+      position.z = Math.round(position.z / step) * step;
+      position.y = from.y + Math.round((position.y - from.y) / step) * step;
+    }
+
+    const valid = this.isValidPlacement(block.mesh.position, block);
+    block.unhighlight();
+    block.highlight(valid ? this.selectionMaterial : this.deleteMaterial);
+  }
+
+  // Commit a gizmo drag as one undoable move, or put the block back
+  private finishMove() {
+    const block = this.getMovingBlock();
+    const from = this.moveStartPosition;
+    this.moveStartPosition = null;
+    if (!block || !block.mesh || !from) return;
+
+    block.unhighlight();
+    block.highlight(this.selectionMaterial);
+
+    const to = {
+      x: block.mesh.position.x,
+      y: block.mesh.position.y,
+      z: block.mesh.position.z,
+    };
+    if (to.x === from.x && to.y === from.y && to.z === from.z) return;
+
+    if (!this.isValidPlacement(block.mesh.position, block)) {
+      block.mesh.position.set(from.x, from.y, from.z);
+      this.ui.displayToast("The block can't go there", 1500);
+      return;
+    }
+
+    this.history.execute({
+      label: "Move block",
+      apply: () => this.setBlockPosition(block, to),
+      revert: () => this.setBlockPosition(block, from),
+    });
+  }
+
+  private isResizable(block: Block): boolean {
+    const { min, max } = getScaleLimits(block.type);
+    return min < max;
+  }
+
+  private startResize() {
+    const block = this.getMovingBlock();
+    this.resizeStartScale = block ? { ...block.scale } : null;
+    // The click that ends a drag must not change the selection
+    this.gizmoClicked = true;
+  }
+
+  // Keep the dragged scale within the block type's limits (in quarter steps
+  // when snapping) and tint the block red where it would overlap others
+  private previewResize() {
+    const block = this.getMovingBlock();
+    if (!block || !block.mesh || !this.resizeStartScale) return;
+
+    const dragged = block.mesh.scale;
+    const snap = (value: number) =>
+      this.snapEnabled
+        ? Math.round(value / SCALE_SNAP_STEP) * SCALE_SNAP_STEP
+        : roundCoordinate(value);
+    const scale = clampScale(block.type, {
+      x: snap(dragged.x),
+      y: snap(dragged.y),
+      z: snap(dragged.z),
+    });
+    dragged.set(scale.x, scale.y, scale.z);
+
+    const valid = this.isValidPlacement(
+      block.position,
+      block,
+      block.type,
+      scale
+    );
+    block.unhighlight();
+    block.highlight(valid ? this.selectionMaterial : this.deleteMaterial);
+    this.updateBlockSizePanel();
+  }
+
+  // Commit a handle drag as one undoable resize, or put the block back
+  private finishResize() {
+    const block = this.getMovingBlock();
+    const from = this.resizeStartScale;
+    this.resizeStartScale = null;
+    if (!block || !block.mesh || !from) return;
+
+    block.unhighlight();
+    block.highlight(this.selectionMaterial);
+
+    const to = {
+      x: block.mesh.scale.x,
+      y: block.mesh.scale.y,
+      z: block.mesh.scale.z,
+    };
+    this.commitResize(block, from, to);
+  }
+
+  // Numbers typed into the size panel are world units along the block's own
+  // axes, turned into a scale of its type's normal size
+  private resizeSelectedBlock(size: Vector3) {
+    const block = this.selectedBlocks[0];
+    if (this.selectedBlocks.length !== 1 || !block) return;
+
+    if (![size.x, size.y, size.z].every((value) => value > 0)) {
+      this.ui.displayToast("Sizes must be greater than 0", 1500);
+      this.updateBlockSizePanel();
+      return;
+    }
+
+    const dimensions = this.blockFactory.getBlockDefinition(block.type)
+      .dimensions;
+    const to = clampScale(block.type, {
+      x: roundCoordinate(size.x / dimensions.x),
+      y: roundCoordinate(size.y / dimensions.y),
+      z: roundCoordinate(size.z / dimensions.z),
+    });
+    this.commitResize(block, { ...block.scale }, to);
+    this.updateBlockSizePanel();
+  }
+
+  private commitResize(block: Block, from: Vector3, to: Vector3) {
+    if (to.x === from.x && to.y === from.y && to.z === from.z) return;
+
+    if (!this.isValidPlacement(block.position, block, block.type, to)) {
+      this.setBlockScale(block, from);
+      this.ui.displayToast("The block doesn't fit there at that size", 1500);
+      return;
+    }
+
+    this.history.execute({
+      label: "Resize block",
+      apply: () => this.setBlockScale(block, to),
+      revert: () => this.setBlockScale(block, from),
+    });
+  }
+
+  // Show the selected block's size, or hide the panel when not exactly one
+  // resizable block is selected
+  private updateBlockSizePanel() {
+    const block = this.selectedBlocks[0];
+    if (
+      this.currentTool !== "select" ||
+      this.selectedBlocks.length !== 1 ||
+      !block ||
+      !this.isResizable(block)
+    ) {
+      this.ui.hideBlockSizePanel();
+      return;
+    }
+
+    const dimensions = this.blockFactory.getBlockDefinition(block.type)
+      .dimensions;
+    const scale = block.mesh ? block.mesh.scale : block.scale;
+    const { min, max } = getScaleLimits(block.type);
+    this.ui.showBlockSizePanel(
+      block.type,
+      {
+        x: roundCoordinate(dimensions.x * scale.x),
+        y: roundCoordinate(dimensions.y * scale.y),
+        z: roundCoordinate(dimensions.z * scale.z),
+      },
+      dimensions,
+      `${min}x to ${max}x its normal size`
+    );
+  }
+
+  private setBlockPosition(block: Block, position: Vector3) {
+    block.position = { ...position };
+    block.mesh?.position.set(position.x, position.y, position.z);
+    this.updateStartFinishPosition(block);
+  }
+
+  private setBlockScale(block: Block, scale: Vector3) {
+    block.scale = { ...scale };
+    block.mesh?.scale.set(scale.x, scale.y, scale.z);
+    if (this.selectedBlocks.includes(block)) {
+      this.updateBlockSizePanel();
+    }
+  }
+
+  // Selected blocks show their real colors while a picker is dragged, then
+  // the whole pick becomes one undoable change
+  private changeSelectionAppearance(change: BlockAppearance, done: boolean) {
+    if (this.selectedBlocks.length === 0) return;
+
+    const start =
+      this.appearanceStart ??
+      new Map(this.selectedBlocks.map((block) => [block, block.appearance]));
+    this.appearanceStart = done ? null : start;
+
+    const changed = new Map<Block, BlockAppearance>();
+    start.forEach((appearance, block) => {
+      changed.set(block, { ...appearance, ...change });
+    });
+
+    if (!done) {
+      changed.forEach((appearance, block) => {
+        block.unhighlight();
+        this.blockFactory.applyAppearance(block, appearance);
+      });
+      return;
+    }
+
+    const unchanged = [...start].every(
+      ([block, appearance]) =>
+        JSON.stringify(appearance ?? {}) ===
+        JSON.stringify(changed.get(block))
+    );
+    if (unchanged) {
+      start.forEach((appearance, block) =>
+        this.setBlockAppearance(block, appearance)
+      );
+      return;
+    }
+
+    this.history.execute({
+      label: this.selectionLabel("Color", start.size),
+      apply: () =>
+        changed.forEach((appearance, block) =>
+          this.setBlockAppearance(block, appearance)
+        ),
+      revert: () =>
+        start.forEach((appearance, block) =>
+          this.setBlockAppearance(block, appearance)
+        ),
+    });
+  }
+
+  private setBlockAppearance(
+    block: Block,
+    appearance: BlockAppearance | undefined
+  ) {
+    // Materials can only be swapped while the block shows its own
+    block.unhighlight();
+    this.blockFactory.applyAppearance(block, appearance);
+    if (
+      this.selectedBlocks.includes(block) ||
+      this.highlightedBlock === block
+    ) {
+      block.highlight(this.selectionMaterial);
+    }
+    if (block === this.selectedBlocks[this.selectedBlocks.length - 1]) {
+      this.updateAppearanceControls();
+    }
+  }
+
+  // The tooltip pickers show the colors of the last selected block, where it
+  // comes in the route if it is a checkpoint, how hard it launches if it is a
+  // pad, how it crumbles if it is a garbage bag and what its surface is like
+  private updateAppearanceControls() {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (!block || !this.currentCourse) return;
+    this.ui.showBlockAppearance(
+      block.appearance,
+      this.blockFactory.getBlockDefinition(block.type).color
+    );
+
+    const checkpoints = sortCheckpoints(this.currentCourse.blocks);
+    this.ui.showCheckpointPlace(
+      block.type === "checkpoint" ? checkpoints.indexOf(block) + 1 : null,
+      checkpoints.length
+    );
+    this.ui.showLaunchSettings(block.launch, block.type === "launchPad");
+    this.ui.showCrumbleSettings(block.crumble, block.type === "garbageBag");
+    this.ui.showSurfaceSettings(block.surface);
+  }
+
+  // Launch strength and push typed into the tooltip, for the last selected
+  // pad
+  private changeLaunch(change: Partial<LaunchSettings>) {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (!block?.launch) return;
+
+    const launch = { ...block.launch, ...change };
+    let error: string | null = null;
+    if (
+      !(
+        launch.strength >= MIN_LAUNCH_STRENGTH &&
+        launch.strength <= MAX_LAUNCH_STRENGTH
+      )
+    ) {
+      error = `Launch must be from ${MIN_LAUNCH_STRENGTH} to ${MAX_LAUNCH_STRENGTH}`;
+    } else if (
+      launch.push !== undefined &&
+      !(launch.push >= 0 && launch.push <= MAX_LAUNCH_PUSH)
+    ) {
+      error = `Push must be from 0 to ${MAX_LAUNCH_PUSH}`;
+    }
+    if (error) {
+      this.ui.displayToast(error, 1500);
+      this.updateAppearanceControls();
+      return;
+    }
+
+    const before = block.launch;
+    if (launch.strength === before.strength && launch.push === before.push) {
+      return;
+    }
+    this.history.execute({
+      label: "Change launch",
+      apply: () => this.setBlockLaunch(block, launch),
+      revert: () => this.setBlockLaunch(block, before),
+    });
+  }
+
+  private setBlockLaunch(block: Block, launch: LaunchSettings) {
+    block.launch = launch;
+    if (block === this.selectedBlocks[this.selectedBlocks.length - 1]) {
+      this.updateAppearanceControls();
+    }
+  }
+
+  // Turn crumbling on or off for the last selected garbage bag
+  private toggleCrumble(crumbles: boolean) {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (block?.type !== "garbageBag" || crumbles === !!block.crumble) return;
+
+    const before = block.crumble;
+    const after = crumbles ? createDefaultCrumble() : undefined;
+    this.history.execute({
+      label: crumbles ? "Make bag crumble" : "Stop bag crumbling",
+      apply: () => this.setBlockCrumble(block, after),
+      revert: () => this.setBlockCrumble(block, before),
+    });
+  }
+
+  // Crumble timings typed into the tooltip, for the last selected bag
+  private changeCrumble(change: Partial<CrumbleSettings>) {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (!block?.crumble) return;
+
+    const crumble = { ...block.crumble, ...change };
+    let error: string | null = null;
+    if (
+      !(
+        crumble.delay >= MIN_CRUMBLE_DELAY &&
+        crumble.delay <= MAX_CRUMBLE_DELAY
+      )
+    ) {
+      error = `Delay must be from ${MIN_CRUMBLE_DELAY} to ${MAX_CRUMBLE_DELAY} seconds`;
+    } else if (
+      !(
+        crumble.respawn >= MIN_CRUMBLE_RESPAWN &&
+        crumble.respawn <= MAX_CRUMBLE_RESPAWN
+      )
+    ) {
+      error = `Respawn must be from ${MIN_CRUMBLE_RESPAWN} to ${MAX_CRUMBLE_RESPAWN} seconds`;
+    }
+    if (error) {
+      this.ui.displayToast(error, 1500);
+      this.updateAppearanceControls();
+      return;
+    }
+
+    const before = block.crumble;
+    if (crumble.delay === before.delay && crumble.respawn === before.respawn) {
+      return;
+    }
+    this.history.execute({
+      label: "Change crumble",
+      apply: () => this.setBlockCrumble(block, crumble),
+      revert: () => this.setBlockCrumble(block, before),
+    });
+  }
+
+  // Give the last selected block a surface picked from the presets, or normal
+  // footing for null
+  private changeSurfacePreset(preset: SurfacePreset | null) {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (!block) return;
+
+    const before = block.surface;
+    const after = preset ? copySurface(SURFACE_PRESETS[preset]) : undefined;
+    if (JSON.stringify(after) === JSON.stringify(before)) return;
+    this.history.execute({
+      label: "Change surface",
+      apply: () => this.setBlockSurface(block, after),
+      revert: () => this.setBlockSurface(block, before),
+    });
+  }
+
+  // Surface fields typed into the tooltip, for the last selected block.
+  // Values back at normal are left out, and a surface with nothing left is
+  // normal footing again.
+  private changeSurface(change: Partial<BlockSurface>) {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (!block?.surface) return;
+
+    const { friction, speed, conveyor } = { ...block.surface, ...change };
+    let error: string | null = null;
+    if (
+      friction !== undefined &&
+      !(friction >= MIN_SURFACE_FRICTION && friction <= 1)
+    ) {
+      error = `Grip must be from ${MIN_SURFACE_FRICTION} to 1`;
+    } else if (
+      speed !== undefined &&
+      !(speed >= MIN_SURFACE_SPEED && speed <= MAX_SURFACE_SPEED)
+    ) {
+      error = `Speed must be from ${MIN_SURFACE_SPEED} to ${MAX_SURFACE_SPEED}`;
+    } else if (
+      conveyor &&
+      !(
+        Math.abs(conveyor.x) <= MAX_CONVEYOR_SPEED &&
+        Math.abs(conveyor.z) <= MAX_CONVEYOR_SPEED
+      )
+    ) {
+      error = `Belt speed must be from -${MAX_CONVEYOR_SPEED} to ${MAX_CONVEYOR_SPEED}`;
+    }
+    if (error) {
+      this.ui.displayToast(error, 1500);
+      this.updateAppearanceControls();
+      return;
+    }
+
+    const surface: BlockSurface = {
+      ...(friction !== undefined && friction < 1 ? { friction } : {}),
+      ...(speed !== undefined && speed !== 1 ? { speed } : {}),
+      ...(conveyor && (conveyor.x !== 0 || conveyor.z !== 0)
+        ? { conveyor: { ...conveyor } }
+        : {}),
+    };
+    const after = Object.keys(surface).length > 0 ? surface : undefined;
+    const before = block.surface;
+    if (JSON.stringify(after) === JSON.stringify(before)) {
+      this.updateAppearanceControls();
+      return;
+    }
+    this.history.execute({
+      label: "Change surface",
+      apply: () => this.setBlockSurface(block, after),
+      revert: () => this.setBlockSurface(block, before),
+    });
+  }
+
+  private setBlockSurface(block: Block, surface: BlockSurface | undefined) {
+    block.surface = surface;
+    if (block === this.selectedBlocks[this.selectedBlocks.length - 1]) {
+      this.updateAppearanceControls();
+    }
+  }
+
+  private setBlockCrumble(block: Block, crumble: CrumbleSettings | undefined) {
+    block.crumble = crumble;
+    if (block === this.selectedBlocks[this.selectedBlocks.length - 1]) {
+      this.updateAppearanceControls();
     }
   }
 
-  private rotateSelectedBlock() {
-    if (!this.selectedBlock || !this.selectedBlock.mesh) return;
+  // Move the selected checkpoint to another place in the route. The others
+  // keep their order, and every checkpoint is renumbered 1, 2, 3...
+  private moveCheckpointTo(place: number) {
+    const block = this.selectedBlocks[this.selectedBlocks.length - 1];
+    if (!block || block.type !== "checkpoint" || !this.currentCourse) return;
+
+    const checkpoints = sortCheckpoints(this.currentCourse.blocks);
+    const from = checkpoints.indexOf(block);
+    const to = Math.min(
+      Math.max(Math.round(place) - 1, 0),
+      checkpoints.length - 1
+    );
+    if (!Number.isFinite(to) || to === from) {
+      this.updateAppearanceControls();
+      return;
+    }
+
+    const reordered = checkpoints.filter((checkpoint) => checkpoint !== block);
+    reordered.splice(to, 0, block);
+    const before = checkpoints.map((checkpoint) => checkpoint.checkpointOrder);
+    const setOrders = (orders: (number | undefined)[]) => {
+      checkpoints.forEach((checkpoint, i) => {
+        checkpoint.checkpointOrder = orders[i];
+      });
+      this.updateAppearanceControls();
+    };
+    this.history.execute({
+      label: "Reorder checkpoints",
+      apply: () =>
+        setOrders(
+          checkpoints.map((checkpoint) => reordered.indexOf(checkpoint) + 1)
+        ),
+      revert: () => setOrders(before),
+    });
+  }
+
+  // The route of a moving platform is edited while it is the only block
+  // selected with the select tool
+  private updatePathEditor() {
+    const block = this.selectedBlocks[0];
+    const editing =
+      this.isBuilderMode &&
+      this.currentTool === "select" &&
+      this.selectedBlocks.length === 1 &&
+      !!block?.path;
+    this.pathEditor.edit(editing ? block : null);
+    if (!editing) {
+      this.placingWaypoint = false;
+    }
+    this.updatePathPanel();
+  }
+
+  private updatePathPanel() {
+    const path = this.pathEditor.getBlock()?.path;
+    if (!path) {
+      this.ui.hidePlatformPathPanel();
+      return;
+    }
+    this.ui.showPlatformPathPanel(
+      path,
+      this.pathEditor.getSelectedWaypoint(),
+      this.placingWaypoint,
+      this.pathEditor.isPreviewing()
+    );
+  }
+
+  // Select the waypoint marker under the pointer, if there is one
+  private pickWaypoint(): boolean {
+    const markers = this.pathEditor.getMarkers();
+    if (markers.length === 0) return false;
+
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const hit = this.raycaster.intersectObjects(markers)[0];
+    if (!hit) return false;
+
+    this.pathEditor.selectWaypoint(
+      this.pathEditor.getWaypointIndex(hit.object)
+    );
+    this.updateSelectionControls();
+    return true;
+  }
+
+  // Add a waypoint where the user clicked, level with the platform
+  private placeWaypoint() {
+    const block = this.pathEditor.getBlock();
+    const point = this.getCursorPoint();
+    this.placingWaypoint = false;
+    if (!block?.path || !point) {
+      this.updatePathPanel();
+      return;
+    }
+
+    const waypoint = {
+      x: roundCoordinate(point.x - block.position.x),
+      y: 0,
+      z: roundCoordinate(point.z - block.position.z),
+    };
+    const path = {
+      ...block.path,
+      waypoints: [...block.path.waypoints, waypoint],
+    };
+    if (!this.isValidPath(block.position, path)) {
+      this.ui.displayToast(
+        `Waypoints must be in the build area and within ${MAX_WAYPOINT_OFFSET} of the platform`,
+        2000
+      );
+      this.updatePathPanel();
+      return;
+    }
+
+    this.pathEditor.selectWaypoint(path.waypoints.length - 1);
+    this.commitPath(block, path, "Add waypoint");
+  }
+
+  // Remove the selected waypoint, or the last one when none is selected. A
+  // moving platform keeps at least one.
+  private removeWaypoint() {
+    const block = this.pathEditor.getBlock();
+    if (!block?.path) return;
+
+    const waypoints = block.path.waypoints;
+    if (waypoints.length <= 1) {
+      this.ui.displayToast("A moving platform needs a waypoint", 1500);
+      return;
+    }
+
+    const index =
+      this.pathEditor.getSelectedWaypoint() ?? waypoints.length - 1;
+    this.pathEditor.selectWaypoint(null);
+    this.commitPath(
+      block,
+      { ...block.path, waypoints: waypoints.filter((_, i) => i !== index) },
+      "Remove waypoint"
+    );
+  }
+
+  // Speed, pause and mode from the path panel
+  private changePlatformPath(change: Partial<PlatformPath>) {
+    const block = this.pathEditor.getBlock();
+    if (!block?.path) return;
+
+    const path = { ...block.path, ...change };
+    let error: string | null = null;
+    if (
+      !(path.speed >= MIN_PLATFORM_SPEED && path.speed <= MAX_PLATFORM_SPEED)
+    ) {
+      error = `Speed must be from ${MIN_PLATFORM_SPEED} to ${MAX_PLATFORM_SPEED}`;
+    } else if (!(path.pause >= 0 && path.pause <= MAX_PLATFORM_PAUSE)) {
+      error = `Pause must be from 0 to ${MAX_PLATFORM_PAUSE} seconds`;
+    }
+    if (error) {
+      this.ui.displayToast(error, 1500);
+      this.updatePathPanel();
+      return;
+    }
+
+    if (
+      path.speed === block.path.speed &&
+      path.pause === block.path.pause &&
+      path.mode === block.path.mode
+    ) {
+      return;
+    }
+    this.commitPath(block, path, "Change platform path");
+  }
+
+  private startWaypointDrag() {
+    const index = this.pathEditor.getSelectedWaypoint();
+    this.waypointDragStart =
+      index === null ? null : this.pathEditor.getMarkerOffset(index);
+    // The click that ends a drag must not change the selection
+    this.gizmoClicked = true;
+  }
+
+  // Snap the dragged waypoint like a moved block and redraw the route
+  private previewWaypointDrag() {
+    const marker = this.pathEditor.getSelectedMarker();
+    const from = this.waypointDragStart;
+    if (!marker || !from || !this.currentCourse) return;
+
+    if (this.snapEnabled) {
+      const step = this.currentCourse.templateSettings.gridSize;
+      const position = marker.position;
+      position.x = Math.round(position.x / step) * step;
+      position.z = Math.round(position.z / step) * step;
+      position.y = from.y + Math.round((position.y - from.y) / step) * step;
+    }
+    this.pathEditor.updateLine();
+  }
+
+  // Commit a waypoint drag as one undoable change, or put the waypoint back
+  private finishWaypointDrag() {
+    const block = this.pathEditor.getBlock();
+    const index = this.pathEditor.getSelectedWaypoint();
+    const from = this.waypointDragStart;
+    this.waypointDragStart = null;
+    if (!block?.path || index === null || !from) return;
+
+    const dragged = this.pathEditor.getMarkerOffset(index);
+    const to = {
+      x: roundCoordinate(dragged.x),
+      y: roundCoordinate(dragged.y),
+      z: roundCoordinate(dragged.z),
+    };
+    const waypoints = [...block.path.waypoints];
+    waypoints[index] = to;
+    const path = { ...block.path, waypoints };
+
+    if (to.x === from.x && to.y === from.y && to.z === from.z) {
+      this.setPlatformPath(block, block.path);
+      return;
+    }
+    if (!this.isValidPath(block.position, path)) {
+      this.setPlatformPath(block, block.path);
+      this.ui.displayToast("The waypoint can't go there", 1500);
+      return;
+    }
+    this.commitPath(block, path, "Move waypoint");
+  }
+
+  // Waypoints stay within reach of their platform and inside the build area
+  private isValidPath(position: Vector3, path: PlatformPath): boolean {
+    const settings = this.currentCourse?.templateSettings;
+    return path.waypoints.every(
+      (waypoint) =>
+        [waypoint.x, waypoint.y, waypoint.z].every(
+          (value) => Math.abs(value) <= MAX_WAYPOINT_OFFSET
+        ) &&
+        (!settings ||
+          isInsideBuildVolume(settings, {
+            x: position.x + waypoint.x,
+            y: position.y + waypoint.y,
+            z: position.z + waypoint.z,
+          }))
+    );
+  }
 
-    // Rotate the selected block by 90 degrees
-    const currentRotation = this.selectedBlock.rotation;
-    const newYRotation = (currentRotation.y + 90) % 360;
+  private commitPath(block: Block, path: PlatformPath, label: string) {
+    const before = block.path;
+    this.history.execute({
+      label,
+      apply: () => this.setPlatformPath(block, path),
+      revert: () => this.setPlatformPath(block, before),
+    });
+  }
+
+  private setPlatformPath(block: Block, path: PlatformPath | undefined) {
+    block.path = path;
+    if (this.pathEditor.getBlock() === block) {
+      // Rebuilding the markers replaces the one the gizmo is on
+      this.pathEditor.refresh();
+      this.updateGizmo();
+      this.updatePathPanel();
+    }
+  }
 
+  private setBlockRotation(block: Block, rotation: Vector3) {
     // Update the rotation in the block data
-    this.selectedBlock.rotation.y = newYRotation;
+    block.rotation = { ...rotation };
 
     // Apply rotation to the mesh
-    this.selectedBlock.mesh.rotation.y = THREE.MathUtils.degToRad(newYRotation);
+    if (block.mesh) {
+      block.mesh.rotation.set(
+        THREE.MathUtils.degToRad(rotation.x),
+        THREE.MathUtils.degToRad(rotation.y),
+        THREE.MathUtils.degToRad(rotation.z)
+      );
+    }
+  }
+
+  // Q/E raise and lower where the next block goes. This only moves the
+  // placeholder, so it is not a course edit and stays out of the history.
+  private changePlaceholderHeight(offset: number) {
+    if (offset === this.placeholderHeightOffset) return;
+    this.placeholderHeightOffset = offset;
+    this.updatePlaceholderPosition();
+    this.ui.displayToast(`Placeholder height: ${offset}`, 1500);
   }
 
   // Update the tool selection method
@@ -1508,7 +3548,11 @@ class ParkourHoboCourseBuilder {
     }
 
     // Restore placeholder if switching to build mode
-    if (tool === "build" && this.selectedBlockType && !this.placeholderMesh) {
+    if (
+      tool === "build" &&
+      (this.selectedBlockType || this.selectedPrefab) &&
+      !this.placeholderMesh
+    ) {
       this.updatePlaceholder();
     }
 
@@ -1518,8 +3562,8 @@ class ParkourHoboCourseBuilder {
       this.highlightedBlock = null;
     }
 
-    // Clear selected block if switching away from select tool
-    if (previousTool === "select") {
+    // Clear selected block if switching away from select or move tool
+    if (previousTool === "select" || previousTool === "move") {
       this.clearSelection();
     }
 
@@ -1530,10 +3574,11 @@ class ParkourHoboCourseBuilder {
   }
 
   private clearSelection() {
-    if (this.selectedBlock) {
-      this.selectedBlock.unhighlight();
-      this.selectedBlock = null;
+    if (this.selectedBlocks.length > 0) {
+      this.selectedBlocks.forEach((block) => block.unhighlight());
+      this.selectedBlocks = [];
       this.ui.updateSelectedBlockTooltip(false);
+      this.updateSelectionControls();
     }
 
     // Also clear any highlighted blocks to ensure clean state
@@ -1544,7 +3589,7 @@ class ParkourHoboCourseBuilder {
   }
 
   private setupToolbar() {
-    const toolButtons = document.querySelectorAll(".tool-btn");
+    const toolButtons = document.querySelectorAll(".tool-btn[data-tool]");
 
     toolButtons.forEach((btn) => {
       btn.addEventListener("click", () => {
@@ -1597,153 +3642,38 @@ class ParkourHoboCourseBuilder {
 
   private toggleAtmosphere() {
     if (this.currentCourse) {
-      const newSettings = {
-        isDayMode: !this.currentCourse.atmosphere.isDayMode,
-      };
+      const oldSettings = this.currentCourse.atmosphere;
+      const newSettings = { isDayMode: !oldSettings.isDayMode };
 
+      this.history.execute({
+        label: newSettings.isDayMode ? "Day mode" : "Night mode",
+        apply: () => this.setAtmosphere(newSettings),
+        revert: () => this.setAtmosphere(oldSettings),
+      });
+    }
+  }
+
+  private setAtmosphere(newSettings: AtmosphereSettings) {
+    if (this.currentCourse) {
       this.currentCourse.atmosphere = newSettings;
-      this.setupAtmosphere(newSettings);
+      this.atmosphere.apply(newSettings);
 
       // Update the course in the manager
-      this.courseManager.updateAtmosphere(this.currentCourse.id, newSettings);
+      this.courseManager
+        .updateAtmosphere(this.currentCourse.id, newSettings)
+        .catch((e) => this.showStorageError(e));
 
       // Update UI to reflect current atmosphere state
       this.ui.updateAtmosphereToggle(newSettings.isDayMode);
     }
   }
 
-  private setupAtmosphere(settings: AtmosphereSettings) {
-    // Remove existing atmosphere elements
-    if (this.skyBox) this.scene.remove(this.skyBox);
-    if (this.clouds) this.scene.remove(this.clouds);
-    if (this.sunMoon) this.scene.remove(this.sunMoon);
-
-    // Set background color based on day/night mode
-    if (settings.isDayMode) {
-      this.scene.background = new THREE.Color(0x87ceeb); // Light blue sky
-      this.createDaytimeAtmosphere();
-    } else {
-      this.scene.background = new THREE.Color(0x6666ff); // Brighter blue night sky (was 0x0B1026)
-      this.createNighttimeAtmosphere();
-    }
-
-    // Update lights based on day/night mode
-    this.updateLighting(settings);
-  }
-
-  private createDaytimeAtmosphere() {
-    // Create sun
-    const sunGeometry = new THREE.SphereGeometry(5, 32, 32);
-    const sunMaterial = new THREE.MeshBasicMaterial({
-      color: 0xffff00,
-      transparent: true,
-      opacity: 0.8,
-    });
-    this.sunMoon = new THREE.Mesh(sunGeometry, sunMaterial);
-    this.sunMoon.position.set(50, 100, -100);
-    this.scene.add(this.sunMoon);
-
-    // Create clouds
-    this.clouds = new THREE.Group();
-
-    // Create several clouds at different positions
-    for (let i = 0; i < 15; i++) {
-      const cloud = this.createCloud(0xffffff, 0.3); // White, semi-transparent
-
-      // Position clouds randomly in the sky, but lower than before
-      cloud.position.set(
-        (Math.random() - 0.5) * 200,
-        25 + Math.random() * 20, // Lower position (was 50 + random * 30)
-        (Math.random() - 0.5) * 200
-      );
-
-      this.clouds.add(cloud);
-    }
-
-    this.scene.add(this.clouds);
-  }
-
-  private createNighttimeAtmosphere() {
-    // Create moon
-    const moonGeometry = new THREE.SphereGeometry(5, 32, 32);
-    const moonMaterial = new THREE.MeshBasicMaterial({
-      color: 0xdddddd,
-      transparent: true,
-      opacity: 0.8,
-    });
-    this.sunMoon = new THREE.Mesh(moonGeometry, moonMaterial);
-    this.sunMoon.position.set(50, 100, -100);
-    this.scene.add(this.sunMoon);
-
-    // Create darker clouds
-    this.clouds = new THREE.Group();
-
-    // Create several clouds at different positions
-    for (let i = 0; i < 10; i++) {
-      const cloud = this.createCloud(0x777777, 0.5); // Slightly lighter gray, more opaque
-
-      // Position clouds randomly in the sky, but lower than before
-      cloud.position.set(
-        (Math.random() - 0.5) * 200,
-        25 + Math.random() * 20, // Lower position (was 50 + random * 30)
-        (Math.random() - 0.5) * 200
-      );
-
-      this.clouds.add(cloud);
-    }
-
-    this.scene.add(this.clouds);
-  }
-
-  private createCloud(color: number, opacity: number): THREE.Group {
-    const cloudGroup = new THREE.Group();
-
-    // Create several overlapping spheres to form a cloud
-    const sphereCount = 5 + Math.floor(Math.random() * 5);
-    const baseSize = 3 + Math.random() * 3;
-
-    for (let i = 0; i < sphereCount; i++) {
-      const sphereGeometry = new THREE.SphereGeometry(
-        baseSize * (0.6 + Math.random() * 0.4),
-        8,
-        8
-      );
-      const sphereMaterial = new THREE.MeshLambertMaterial({
-        color: color,
-        transparent: true,
-        opacity: opacity,
-      });
-      const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-
-      // Arrange spheres in a roughly circular pattern
-      const angle = (i / sphereCount) * Math.PI * 2;
-      const radius = baseSize * 0.8;
-      sphere.position.set(
-        Math.cos(angle) * radius,
-        (Math.random() - 0.5) * baseSize * 0.5,
-        Math.sin(angle) * radius
-      );
-
-      cloudGroup.add(sphere);
-    }
-
-    return cloudGroup;
-  }
-
-  private updateLighting(settings: AtmosphereSettings) {
-    if (settings.isDayMode) {
-      // Bright daylight settings
-      this.ambientLight.intensity = 0.5;
-      this.directionalLight.intensity = 0.8;
-      this.directionalLight.color.set(0xffffff);
-      this.directionalLight.position.set(10, 20, 10);
-    } else {
-      // Brighter night lighting settings (increased from previous values)
-      this.ambientLight.intensity = 0.35; // Increased from 0.2
-      this.directionalLight.intensity = 0.45; // Increased from 0.3
-      this.directionalLight.color.set(0xccddff); // Slightly bluer tint for moonlight
-      this.directionalLight.position.set(-10, 20, -10);
-    }
+  // Course storage failures (e.g. a full IndexedDB quota) are shown to the user
+  private showStorageError(error: unknown) {
+    console.error("Course storage error", error);
+    this.ui.showErrorModal(
+      error instanceof Error ? error.message : String(error)
+    );
   }
 
   // Add a method to toggle snap mode
@@ -0,0 +1,181 @@
+import * as THREE from "three";
+import { getPlatformOffset } from "parkour-hobo-core/platformPath";
+import { Block, Vector3 } from "parkour-hobo-core/types";
+
+const MARKER_COLOR = 0xffeb3b;
+const SELECTED_MARKER_COLOR = 0xff9800;
+
+// Scene helpers for the route of the moving platform being edited: a marker
+// per waypoint, a line along the route and, while previewing, a see-through
+// copy of the platform riding it. They all sit in one group that follows the
+// platform, so each marker's position is its waypoint's offset.
+export class PathEditor {
+  private scene: THREE.Scene;
+  private group: THREE.Group = new THREE.Group();
+  private block: Block | null = null;
+  private markers: THREE.Mesh[] = [];
+  private line: THREE.Line;
+  private ghost: THREE.Object3D | null = null;
+  private selectedWaypoint: number | null = null;
+  // Clock time the preview started, or null when not previewing
+  private previewStartTime: number | null = null;
+
+  private markerGeometry = new THREE.SphereGeometry(0.35, 12, 8);
+  private markerMaterial = new THREE.MeshBasicMaterial({
+    color: MARKER_COLOR,
+  });
+  private selectedMarkerMaterial = new THREE.MeshBasicMaterial({
+    color: SELECTED_MARKER_COLOR,
+  });
+  private ghostMaterial = new THREE.MeshBasicMaterial({
+    color: 0x26a69a,
+    transparent: true,
+    opacity: 0.4,
+    depthWrite: false,
+  });
+
+  constructor(scene: THREE.Scene) {
+    this.scene = scene;
+    this.line = new THREE.Line(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: MARKER_COLOR })
+    );
+    this.group.add(this.line);
+  }
+
+  // Show the route of a moving platform, or hide it for null
+  edit(block: Block | null) {
+    if (block !== this.block) {
+      this.stopPreview();
+      this.selectedWaypoint = null;
+      this.block = block;
+    }
+
+    if (this.block?.path) {
+      this.refresh();
+      this.scene.add(this.group);
+    } else {
+      this.scene.remove(this.group);
+    }
+  }
+
+  getBlock(): Block | null {
+    return this.block;
+  }
+
+  // Rebuild the markers after the platform's path changed
+  refresh() {
+    const path = this.block?.path;
+    this.markers.forEach((marker) => this.group.remove(marker));
+    this.markers = [];
+    if (!path) return;
+
+    this.markers = path.waypoints.map((waypoint) => {
+      const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+      marker.position.set(waypoint.x, waypoint.y, waypoint.z);
+      this.group.add(marker);
+      return marker;
+    });
+    if (
+      this.selectedWaypoint !== null &&
+      this.selectedWaypoint >= this.markers.length
+    ) {
+      this.selectedWaypoint = null;
+    }
+    this.selectWaypoint(this.selectedWaypoint);
+
+    if (this.ghost) {
+      this.startPreview(this.previewStartTime ?? 0);
+    }
+  }
+
+  getMarkers(): THREE.Object3D[] {
+    return this.markers;
+  }
+
+  isMarker(object: THREE.Object3D | undefined): boolean {
+    return !!object && this.markers.includes(object as THREE.Mesh);
+  }
+
+  getWaypointIndex(object: THREE.Object3D): number {
+    return this.markers.indexOf(object as THREE.Mesh);
+  }
+
+  selectWaypoint(index: number | null) {
+    this.selectedWaypoint = index;
+    this.markers.forEach((marker, i) => {
+      marker.material =
+        i === index ? this.selectedMarkerMaterial : this.markerMaterial;
+    });
+    this.updateLine();
+  }
+
+  getSelectedWaypoint(): number | null {
+    return this.selectedWaypoint;
+  }
+
+  getSelectedMarker(): THREE.Object3D | null {
+    return this.selectedWaypoint === null
+      ? null
+      : this.markers[this.selectedWaypoint];
+  }
+
+  // Where a marker is now (e.g. while it is dragged), as a waypoint offset
+  getMarkerOffset(index: number): Vector3 {
+    const { x, y, z } = this.markers[index].position;
+    return { x, y, z };
+  }
+
+  // Draw the route through the markers where they are now
+  updateLine() {
+    const points = [
+      new THREE.Vector3(),
+      ...this.markers.map((marker) => marker.position.clone()),
+    ];
+    if (this.block?.path?.mode === "loop") {
+      points.push(new THREE.Vector3());
+    }
+    this.line.geometry.dispose();
+    this.line.geometry = new THREE.BufferGeometry().setFromPoints(points);
+  }
+
+  startPreview(time: number) {
+    this.stopPreview();
+    if (!this.block?.mesh) return;
+
+    this.ghost = this.block.mesh.clone();
+    this.ghost.position.set(0, 0, 0);
+    this.ghost.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        child.material = this.ghostMaterial;
+      }
+    });
+    this.group.add(this.ghost);
+    this.previewStartTime = time;
+  }
+
+  stopPreview() {
+    if (this.ghost) {
+      this.group.remove(this.ghost);
+      this.ghost = null;
+    }
+    this.previewStartTime = null;
+  }
+
+  isPreviewing(): boolean {
+    return this.ghost !== null;
+  }
+
+  // Follow the platform and move the preview along the route
+  update(time: number) {
+    const mesh = this.block?.mesh;
+    if (!mesh) return;
+
+    this.group.position.copy(mesh.position);
+    const path = this.block?.path;
+    if (this.ghost && path && this.previewStartTime !== null) {
+      const offset = getPlatformOffset(path, time - this.previewStartTime);
+      this.ghost.position.set(offset.x, offset.y, offset.z);
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import { SerializedBlock } from "parkour-hobo-core/courseSchema";
+
+// Bulk copies of a group of blocks for the pattern panel. Each generator takes
+// the source blocks in course coordinates and returns only the new copies; the
+// source itself stays where it is.
+
+export type PatternAxis = "x" | "z";
+
+export type PatternOptions =
+  | {
+      type: "array";
+      count: number; // Copies to add
+      spacing: { x: number; y: number; z: number };
+    }
+  | {
+      type: "stairs";
+      count: number;
+      rise: number; // Height gained per step
+      run: number; // Distance along the axis per step
+      axis: PatternAxis;
+    }
+  | {
+      type: "radial";
+      count: number; // Blocks in the whole ring, including the source
+      radius: number; // Ring center is this far from the source along -x
+    }
+  | {
+      type: "mirror";
+      axis: PatternAxis; // Mirrors across the plane x = pivot or z = pivot
+      pivot: number;
+    };
+
+// Patterns bigger than this are almost certainly a typo in the count
+export const MAX_PATTERN_COPIES = 100;
+
+// Keep rotations in 0-360 and drop floating point noise from positions
+const normalizeAngle = (degrees: number) =>
+  Math.round((((degrees % 360) + 360) % 360) * 1000) / 1000;
+const round = (value: number) => Math.round(value * 1000) / 1000;
+
+function copyBlock(
+  block: SerializedBlock,
+  position: { x: number; y: number; z: number },
+  rotationY = block.rotation.y
+): SerializedBlock {
+  // Scale, appearance and any other per-block settings carry over
+  return {
+    ...block,
+    position: {
+      x: round(position.x),
+      y: round(position.y),
+      z: round(position.z),
+    },
+    rotation: { ...block.rotation, y: normalizeAngle(rotationY) },
+  };
+}
+
+export function generatePattern(
+  source: SerializedBlock[],
+  options: PatternOptions
+): SerializedBlock[] {
+  if (source.length === 0) return [];
+
+  switch (options.type) {
+    case "array":
+      return repeat(options.count, (step) =>
+        source.map((block) =>
+          copyBlock(block, {
+            x: block.position.x + options.spacing.x * step,
+            y: block.position.y + options.spacing.y * step,
+            z: block.position.z + options.spacing.z * step,
+          })
+        )
+      );
+
+    case "stairs":
+      return repeat(options.count, (step) =>
+        source.map((block) =>
+          copyBlock(block, {
+            ...block.position,
+            y: block.position.y + options.rise * step,
+            [options.axis]: block.position[options.axis] + options.run * step,
+          })
+        )
+      );
+
+    case "radial": {
+      const center = getCenter(source);
+      const pivot = { x: center.x - options.radius, z: center.z };
+      return repeat(options.count - 1, (step) => {
+        // Turn the same way as the builder's R key (counterclockwise from above)
+        const angle = (360 / options.count) * step;
+        const radians = (angle * Math.PI) / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        return source.map((block) => {
+          const dx = block.position.x - pivot.x;
+          const dz = block.position.z - pivot.z;
+          return copyBlock(
+            block,
+            {
+              x: pivot.x + dx * cos + dz * sin,
+              y: block.position.y,
+              z: pivot.z - dx * sin + dz * cos,
+            },
+            block.rotation.y + angle
+          );
+        });
+      });
+    }
+
+    case "mirror":
+      return source.map((block) =>
+        options.axis === "x"
+          ? copyBlock(
+              block,
+              { ...block.position, x: 2 * options.pivot - block.position.x },
+              -block.rotation.y
+            )
+          : copyBlock(
+              block,
+              { ...block.position, z: 2 * options.pivot - block.position.z },
+              180 - block.rotation.y
+            )
+      );
+  }
+}
+
+// Checks the numbers typed into the pattern panel, returning a message for
+// the first problem or null
+export function validatePatternOptions(
+  options: PatternOptions,
+  sourceSize: number
+): string | null {
+  const numbers =
+    options.type === "array"
+      ? [options.count, options.spacing.x, options.spacing.y, options.spacing.z]
+      : options.type === "stairs"
+        ? [options.count, options.rise, options.run]
+        : options.type === "radial"
+          ? [options.count, options.radius]
+          : [options.pivot];
+  if (numbers.some((value) => !Number.isFinite(value))) {
+    return "Fill in every field with a number";
+  }
+  if (options.type === "mirror") return null;
+
+  const minCount = options.type === "radial" ? 2 : 1;
+  if (!Number.isInteger(options.count) || options.count < minCount) {
+    return `The count must be a whole number of at least ${minCount}`;
+  }
+  const copies = options.type === "radial" ? options.count - 1 : options.count;
+  if (copies * sourceSize > MAX_PATTERN_COPIES) {
+    return `A pattern can add at most ${MAX_PATTERN_COPIES} blocks at once`;
+  }
+  if (options.type === "radial" && options.radius <= 0) {
+    return "The radius must be greater than 0";
+  }
+  return null;
+}
+
+function repeat(
+  count: number,
+  makeCopies: (step: number) => SerializedBlock[]
+): SerializedBlock[] {
+  const copies: SerializedBlock[] = [];
+  for (let step = 1; step <= count; step++) {
+    copies.push(...makeCopies(step));
+  }
+  return copies;
+}
+
+function getCenter(blocks: SerializedBlock[]) {
+  return {
+    x: blocks.reduce((sum, block) => sum + block.position.x, 0) / blocks.length,
+    z: blocks.reduce((sum, block) => sum + block.position.z, 0) / blocks.length,
+  };
+}
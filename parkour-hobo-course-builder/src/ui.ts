@@ -1,5 +1,36 @@
-import { CourseManager } from "./courseManager";
-import { DEFAULT_CONTROLS, PlayerControls } from "./types";
+import { BlockFactory } from "parkour-hobo-core/blockFactory";
+import { CourseLintIssue } from "parkour-hobo-core/courseLint";
+import {
+  BlockAppearance,
+  BlockSurface,
+  CourseDifficulty,
+  CourseMetadata,
+  CrumbleSettings,
+  LaunchSettings,
+  MAX_CRUMBLE_DELAY,
+  MAX_CONVEYOR_SPEED,
+  MAX_CRUMBLE_RESPAWN,
+  MAX_LAUNCH_PUSH,
+  MAX_LAUNCH_STRENGTH,
+  MAX_SURFACE_SPEED,
+  MIN_BLOCK_OPACITY,
+  MIN_CRUMBLE_DELAY,
+  MIN_CRUMBLE_RESPAWN,
+  MIN_LAUNCH_STRENGTH,
+  MIN_SURFACE_FRICTION,
+  MIN_SURFACE_SPEED,
+  SurfacePreset,
+} from "parkour-hobo-core/courseSchema";
+import { MAX_WAYPOINTS, PlatformPath } from "parkour-hobo-core/platformPath";
+import {
+  DEFAULT_CONTROLS,
+  PlayerControls,
+  Vector3,
+} from "parkour-hobo-core/types";
+import { BackupConflictResolution, CourseManager } from "./courseManager";
+import { drawCoursePreview } from "./coursePreview";
+import { PatternAxis, PatternOptions } from "./patternTools";
+import { CourseSnapshot, CourseSummary, Prefab } from "./courseStorage";
 
 export class UI {
   private pixelatedMenu: HTMLElement;
@@ -7,12 +38,29 @@ export class UI {
   private newCourseMenu: HTMLElement;
   private loadCourseMenu: HTMLElement;
   private savedCoursesList: HTMLElement;
+  private prefabList: HTMLElement;
+  // Summaries from the last library fetch, filtered and sorted in place
+  private libraryCourses: CourseSummary[] = [];
+  private courseHistoryMenu: HTMLElement;
+  private snapshotList: HTMLElement;
+  private snapshotPreview: HTMLCanvasElement;
+  private blockFactory: BlockFactory;
   private header: HTMLElement;
   private sideMenu: HTMLElement;
   private courseNameInput: HTMLInputElement;
   private blockCounter: HTMLElement;
   private exportModal: HTMLElement;
+  private courseDetailsModal: HTMLElement;
+  private lintPanel: HTMLElement;
+  private patternPanel: HTMLElement;
+  private blockSizePanel: HTMLElement;
+  // The selected block's normal size, which Reset Size goes back to
+  private defaultBlockSize: Vector3 = { x: 1, y: 1, z: 1 };
+  private platformPathPanel: HTMLElement;
   private exportCode: HTMLTextAreaElement;
+  private exportCourseCode: string = "";
+  private exportJsonCode: string = "";
+  private isExportShowingJson: boolean = false;
   private toolbar: HTMLElement;
   private toast: HTMLElement | null = null;
   private selectedBlockTooltip: HTMLElement | null = null;
@@ -25,8 +73,55 @@ export class UI {
   private onNewCourse: ((templateName: string) => void) | undefined;
   private onLoadCourse: ((courseId: string) => void) | undefined;
   private onBlockSelected: ((blockType: string) => void) | undefined;
+  private onPrefabSelected: ((prefab: Prefab) => void) | undefined;
+  private onSavePrefab: (() => void) | undefined;
   private onExportCourse: (() => void) | undefined;
+  private onExportFile: (() => void) | undefined;
+  private onCheckRoute: (() => void) | undefined;
+  private onLintCourse: (() => void) | undefined;
+  private onRenameCourse: ((name: string) => void) | undefined;
+  private onUndo: (() => void) | undefined;
+  private onRedo: (() => void) | undefined;
+  private onSelectLintIssue: ((blockIndex: number) => void) | undefined;
+  private onOpenPattern: (() => void) | undefined;
+  private onPatternChange: ((options: PatternOptions) => void) | undefined;
+  private onApplyPattern: ((options: PatternOptions) => void) | undefined;
+  private onClosePattern: (() => void) | undefined;
+  private onBlockSizeChange: ((size: Vector3) => void) | undefined;
+  private onBlockAppearanceChange:
+    | ((change: BlockAppearance, done: boolean) => void)
+    | undefined;
+  private onCheckpointPlaceChange: ((place: number) => void) | undefined;
+  private onLaunchChange:
+    | ((change: Partial<LaunchSettings>) => void)
+    | undefined;
+  private onCrumbleToggle: ((crumbles: boolean) => void) | undefined;
+  private onCrumbleChange:
+    | ((change: Partial<CrumbleSettings>) => void)
+    | undefined;
+  private onSurfacePresetChange:
+    | ((preset: SurfacePreset | null) => void)
+    | undefined;
+  private onSurfaceChange:
+    | ((change: Partial<BlockSurface>) => void)
+    | undefined;
+  private onPlatformPathChange:
+    | ((change: Partial<PlatformPath>) => void)
+    | undefined;
+  private onAddWaypoint: (() => void) | undefined;
+  private onRemoveWaypoint: (() => void) | undefined;
+  private onPreviewPath: (() => void) | undefined;
   private onSaveCourse: (() => void) | undefined;
+  private onCreateCheckpoint: (() => void) | undefined;
+  private onOpenCourseDetails: (() => void) | undefined;
+  private onUpdateCourseDetails:
+    | ((
+        details: Pick<
+          CourseMetadata,
+          "author" | "description" | "tags" | "difficulty"
+        >
+      ) => void)
+    | undefined;
   private onReset: (() => void) | undefined;
   private onToolSelected: ((tool: string) => void) | undefined;
   private onUpdateControls:
@@ -39,6 +134,7 @@ export class UI {
 
   constructor(courseManager: CourseManager) {
     this.courseManager = courseManager;
+    this.blockFactory = new BlockFactory();
 
     // Get UI elements
     this.pixelatedMenu = document.getElementById(
@@ -54,16 +150,35 @@ export class UI {
     this.savedCoursesList = document.getElementById(
       "saved-courses-list"
     ) as HTMLElement;
+    this.courseHistoryMenu = document.getElementById(
+      "course-history-menu"
+    ) as HTMLElement;
+    this.snapshotList = document.getElementById("snapshot-list") as HTMLElement;
+    this.snapshotPreview = document.getElementById(
+      "snapshot-preview"
+    ) as HTMLCanvasElement;
     this.header = document.getElementById("header") as HTMLElement;
     this.sideMenu = document.getElementById("side-menu") as HTMLElement;
+    this.prefabList = document.getElementById("prefab-list") as HTMLElement;
     this.courseNameInput = document.getElementById(
       "course-name"
     ) as HTMLInputElement;
     this.blockCounter = document.getElementById("block-counter") as HTMLElement;
     this.exportModal = document.getElementById("export-modal") as HTMLElement;
+    this.courseDetailsModal = document.getElementById(
+      "course-details-modal"
+    ) as HTMLElement;
     this.exportCode = document.getElementById(
       "export-code"
     ) as HTMLTextAreaElement;
+    this.lintPanel = document.getElementById("lint-panel") as HTMLElement;
+    this.patternPanel = document.getElementById("pattern-panel") as HTMLElement;
+    this.blockSizePanel = document.getElementById(
+      "block-size-panel"
+    ) as HTMLElement;
+    this.platformPathPanel = document.getElementById(
+      "platform-path-panel"
+    ) as HTMLElement;
     this.toolbar = document.getElementById("toolbar") as HTMLElement;
     this.playerControls = document.getElementById(
       "player-controls"
@@ -71,9 +186,13 @@ export class UI {
 
     this.setupEventListeners();
     this.setupExportModalEvents();
+    this.setupCourseDetailsModalEvents();
+    this.setupLibraryControls();
+    this.setupFileImport();
     this.setupToolbar();
     this.setupAtmosphereToggle();
     this.setupSnapModeToggle();
+    this.setupRotationSnapSelect();
 
     // Add this to initialize the reset button click handler
     const resetPlayerBtn = document.getElementById("reset-player-btn");
@@ -91,6 +210,7 @@ export class UI {
     document.getElementById("new-course-btn")?.addEventListener("click", () => {
       this.mainMenu.classList.add("hidden");
       this.newCourseMenu.classList.remove("hidden");
+      this.updateTemplateList();
     });
 
     document
@@ -110,16 +230,31 @@ export class UI {
       });
     });
 
-    // Template buttons
-    document.querySelectorAll(".template-btn").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
-        const template =
-          (e.target as HTMLElement).getAttribute("data-template") || "";
-        if (this.onNewCourse) {
-          this.onNewCourse(template);
-        }
+    // History back button returns to the saved courses list
+    document
+      .getElementById("history-back-btn")
+      ?.addEventListener("click", () => {
+        this.courseHistoryMenu.classList.add("hidden");
+        this.loadCourseMenu.classList.remove("hidden");
+        this.updateSavedCoursesList();
+      });
+
+    // Custom template editor
+    document
+      .getElementById("create-template-btn")
+      ?.addEventListener("click", () => {
+        document.getElementById("template-modal")?.classList.remove("hidden");
+      });
+    document
+      .getElementById("close-template-modal")
+      ?.addEventListener("click", () => {
+        document.getElementById("template-modal")?.classList.add("hidden");
+      });
+    document
+      .getElementById("save-template-btn")
+      ?.addEventListener("click", () => {
+        this.saveTemplateFromModal();
       });
-    });
 
     // Block buttons
     document.querySelectorAll(".block-btn").forEach((btn) => {
@@ -140,6 +275,14 @@ export class UI {
       });
     });
 
+    document
+      .getElementById("save-prefab-btn")
+      ?.addEventListener("click", () => {
+        if (this.onSavePrefab) {
+          this.onSavePrefab();
+        }
+      });
+
     // Header buttons
     document
       .getElementById("save-course-btn")
@@ -149,6 +292,53 @@ export class UI {
         }
       });
 
+    document
+      .getElementById("checkpoint-btn")
+      ?.addEventListener("click", () => {
+        if (this.onCreateCheckpoint) {
+          this.onCreateCheckpoint();
+        }
+      });
+
+    document
+      .getElementById("course-details-btn")
+      ?.addEventListener("click", () => {
+        if (this.onOpenCourseDetails) {
+          this.onOpenCourseDetails();
+        }
+      });
+
+    document
+      .getElementById("check-route-btn")
+      ?.addEventListener("click", () => {
+        if (this.onCheckRoute) {
+          this.onCheckRoute();
+        }
+      });
+
+    // Renames are recorded once the name is committed, not on every keystroke
+    this.courseNameInput.addEventListener("change", () => {
+      if (this.onRenameCourse) {
+        this.onRenameCourse(this.getCourseName());
+      }
+    });
+
+    document.getElementById("lint-btn")?.addEventListener("click", () => {
+      if (this.onLintCourse) {
+        this.onLintCourse();
+      }
+    });
+
+    document
+      .getElementById("close-lint-panel")
+      ?.addEventListener("click", () => {
+        this.hideLintPanel();
+      });
+
+    this.setupPatternPanel();
+    this.setupBlockSizePanel();
+    this.setupPlatformPathPanel();
+
     document
       .getElementById("export-code-btn")
       ?.addEventListener("click", () => {
@@ -157,6 +347,14 @@ export class UI {
         }
       });
 
+    document
+      .getElementById("export-file-btn")
+      ?.addEventListener("click", () => {
+        if (this.onExportFile) {
+          this.onExportFile();
+        }
+      });
+
     document.getElementById("reset-btn")?.addEventListener("click", () => {
       if (this.onReset) {
         this.onReset();
@@ -185,6 +383,214 @@ export class UI {
             console.error("Could not copy text: ", err);
           });
       });
+
+    // Switch the textarea between the compact course code and plain JSON
+    document
+      .getElementById("toggle-export-format")
+      ?.addEventListener("click", () => {
+        this.isExportShowingJson = !this.isExportShowingJson;
+        this.renderExportCode();
+      });
+  }
+
+  private setupCourseDetailsModalEvents() {
+    document
+      .getElementById("apply-course-details")
+      ?.addEventListener("click", () => {
+        const value = (id: string) =>
+          (document.getElementById(id) as HTMLInputElement).value;
+
+        if (this.onUpdateCourseDetails) {
+          this.onUpdateCourseDetails({
+            author: value("course-author"),
+            description: value("course-description"),
+            tags: value("course-tags").split(","),
+            difficulty: value("course-difficulty") as CourseDifficulty,
+          });
+        }
+        this.hideCourseDetailsModal();
+      });
+
+    document
+      .getElementById("close-course-details")
+      ?.addEventListener("click", () => {
+        this.hideCourseDetailsModal();
+      });
+  }
+
+  // Search box, filters and sort order re-render the cached course list
+  private setupLibraryControls() {
+    ["course-search", "course-template-filter", "course-tag-filter"].forEach(
+      (id) => {
+        document.getElementById(id)?.addEventListener("input", () => {
+          this.renderSavedCoursesList();
+        });
+      }
+    );
+    document.getElementById("course-sort")?.addEventListener("change", () => {
+      this.renderSavedCoursesList();
+    });
+  }
+
+  // Course files can be picked from the main menu or dropped on the canvas;
+  // library backups are picked from the load menu (or dropped as well)
+  private setupFileImport() {
+    const importInput = document.getElementById(
+      "import-file-input"
+    ) as HTMLInputElement | null;
+    const restoreInput = document.getElementById(
+      "restore-backup-input"
+    ) as HTMLInputElement | null;
+
+    document
+      .getElementById("import-file-btn")
+      ?.addEventListener("click", () => {
+        importInput?.click();
+      });
+    document
+      .getElementById("import-prefab-btn")
+      ?.addEventListener("click", () => {
+        importInput?.click();
+      });
+    document
+      .getElementById("restore-backup-btn")
+      ?.addEventListener("click", () => {
+        restoreInput?.click();
+      });
+    document
+      .getElementById("backup-library-btn")
+      ?.addEventListener("click", () => {
+        this.backupLibrary();
+      });
+
+    // Reset the pickers so choosing the same file twice still fires "change"
+    importInput?.addEventListener("change", () => {
+      const file = importInput.files?.[0];
+      importInput.value = "";
+      if (file) this.importFile(file);
+    });
+    restoreInput?.addEventListener("change", () => {
+      const file = restoreInput.files?.[0];
+      restoreInput.value = "";
+      if (file) this.importFile(file);
+    });
+
+    const canvas = document.getElementById("threejs-canvas");
+    canvas?.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      document.body.classList.add("file-drag-over");
+    });
+    canvas?.addEventListener("dragleave", () => {
+      document.body.classList.remove("file-drag-over");
+    });
+    canvas?.addEventListener("drop", (e) => {
+      e.preventDefault();
+      document.body.classList.remove("file-drag-over");
+      const file = e.dataTransfer?.files[0];
+      if (file) this.importFile(file);
+    });
+  }
+
+  // Import a course file (JSON or course code) and open it, or restore the
+  // file as a library backup or add it as a prefab if that is what it is
+  private async importFile(file: File) {
+    let text: string;
+    try {
+      text = await file.text();
+    } catch {
+      this.showErrorModal(`Could not read ${file.name}`);
+      return;
+    }
+
+    if (this.courseManager.isLibraryBackup(text)) {
+      await this.restoreLibraryBackup(text);
+      return;
+    }
+
+    if (this.courseManager.isPrefabFile(text)) {
+      try {
+        const prefab = await this.courseManager.importPrefab(text);
+        this.updatePrefabList();
+        this.showToast(`Added prefab "${prefab.name}"`);
+      } catch (e) {
+        this.showErrorModal(e instanceof Error ? e.message : String(e));
+      }
+      return;
+    }
+
+    if (
+      document.body.classList.contains("builder-mode") &&
+      !confirm(
+        `Open "${file.name}"? Unsaved changes to the current course will be lost.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const course = await this.courseManager.importCourseFromJson(text);
+      if (this.onLoadCourse) {
+        this.onLoadCourse(course.id);
+      }
+      this.showToast(`Imported "${course.name}"`);
+    } catch (e) {
+      this.showErrorModal(e instanceof Error ? e.message : String(e));
+    }
+  }
+
+  private async backupLibrary() {
+    try {
+      const backup = await this.courseManager.exportLibraryBackup();
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadFile(`parkour-hobo-backup-${date}.json`, backup);
+    } catch (e) {
+      this.showErrorModal(e instanceof Error ? e.message : String(e));
+    }
+  }
+
+  private async restoreLibraryBackup(text: string) {
+    const resolveConflict = (
+      existing: CourseSummary
+    ): BackupConflictResolution => {
+      const answer = prompt(
+        `"${existing.name}" is already in your library with different changes.\n` +
+          'Type "replace" to overwrite it, "copy" to keep both, or "skip".',
+        "copy"
+      );
+      const choice = (answer || "skip").trim().toLowerCase();
+      return choice === "replace" || choice === "copy" ? choice : "skip";
+    };
+
+    try {
+      const result = await this.courseManager.restoreLibraryBackup(
+        text,
+        resolveConflict
+      );
+      const lines = [
+        `Added: ${result.added}`,
+        `Replaced: ${result.replaced}`,
+        `Skipped: ${result.skipped}`,
+      ];
+      if (result.invalid > 0) {
+        lines.push(`Invalid (skipped): ${result.invalid}`);
+      }
+      alert(`Backup restored.\n${lines.join("\n")}`);
+    } catch (e) {
+      this.showErrorModal(e instanceof Error ? e.message : String(e));
+    }
+    this.updateSavedCoursesList();
+  }
+
+  // Save text as a file through a temporary download link
+  public downloadFile(fileName: string, contents: string) {
+    const url = URL.createObjectURL(
+      new Blob([contents], { type: "application/json" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
   }
 
   private setupToolbar() {
@@ -199,6 +605,18 @@ export class UI {
       });
     });
 
+    document.getElementById("undo-btn")?.addEventListener("click", () => {
+      if (this.onUndo) {
+        this.onUndo();
+      }
+    });
+
+    document.getElementById("redo-btn")?.addEventListener("click", () => {
+      if (this.onRedo) {
+        this.onRedo();
+      }
+    });
+
     // Create toast element for showing controls
     this.toast = document.createElement("div");
     this.toast.classList.add("controls-toast");
@@ -233,9 +651,32 @@ export class UI {
     this.selectedBlockTooltip.style.zIndex = "1000";
     this.selectedBlockTooltip.style.border = "2px solid #4CAF50";
     this.selectedBlockTooltip.style.display = "none";
-    this.selectedBlockTooltip.innerHTML =
-      "R: Rotate Block<br>Delete: Remove Block<br>Esc: Cancel Selection";
+    this.selectedBlockTooltip.innerHTML = `
+      R/T/G: Turn/Tip/Roll Selection<br>Arrows/Q/E: Move<br>Ctrl+C/X/V: Copy/Cut/Paste<br>Delete: Remove Selection<br>Esc: Cancel Selection
+      <div class="block-appearance">
+        <label>Tint <input type="color" id="block-tint" /></label>
+        <label>Glow <input type="color" id="block-glow" value="#000000" /></label>
+        <label>Opacity <input type="range" id="block-opacity" min="${MIN_BLOCK_OPACITY}" max="1" step="0.05" value="1" /></label>
+        <button id="reset-block-appearance">Reset Colors</button>
+        <label id="checkpoint-place-field" class="hidden">Checkpoint <input type="number" id="checkpoint-place" min="1" step="1" /> <span id="checkpoint-total"></span></label>
+        <label id="launch-strength-field" class="hidden">Launch <input type="number" id="launch-strength" min="${MIN_LAUNCH_STRENGTH}" max="${MAX_LAUNCH_STRENGTH}" step="1" /></label>
+        <label id="launch-push-field" class="hidden">Push <input type="number" id="launch-push" min="0" max="${MAX_LAUNCH_PUSH}" step="1" /></label>
+        <label id="crumble-field" class="hidden">Crumbles <input type="checkbox" id="crumble-toggle" /></label>
+        <label id="crumble-delay-field" class="hidden">After <input type="number" id="crumble-delay" min="${MIN_CRUMBLE_DELAY}" max="${MAX_CRUMBLE_DELAY}" step="0.1" /> s</label>
+        <label id="crumble-respawn-field" class="hidden">Back in <input type="number" id="crumble-respawn" min="${MIN_CRUMBLE_RESPAWN}" max="${MAX_CRUMBLE_RESPAWN}" step="0.5" /> s</label>
+        <label id="surface-preset-field">Surface <select id="surface-preset">
+          <option value="">Normal</option>
+          <option value="ice">Ice</option>
+          <option value="tar">Tar</option>
+          <option value="conveyor">Conveyor</option>
+          <option value="custom" disabled>Custom</option>
+        </select></label>
+        <label id="surface-friction-field" class="hidden">Grip <input type="number" id="surface-friction" min="${MIN_SURFACE_FRICTION}" max="1" step="0.05" /></label>
+        <label id="surface-speed-field" class="hidden">Speed <input type="number" id="surface-speed" min="${MIN_SURFACE_SPEED}" max="${MAX_SURFACE_SPEED}" step="0.1" /></label>
+        <label id="surface-conveyor-field" class="hidden">Belt <input type="number" id="surface-conveyor-x" min="-${MAX_CONVEYOR_SPEED}" max="${MAX_CONVEYOR_SPEED}" step="0.5" title="Along the block's X axis" /> <input type="number" id="surface-conveyor-z" min="-${MAX_CONVEYOR_SPEED}" max="${MAX_CONVEYOR_SPEED}" step="0.5" title="Along the block's Z axis" /></label>
+      </div>`;
     document.body.appendChild(this.selectedBlockTooltip);
+    this.setupBlockAppearanceControls();
 
     // Select build tool by default
     this.selectTool("build");
@@ -259,14 +700,18 @@ export class UI {
     if (this.toast) {
       if (tool === "select") {
         this.showToast(
-          "Select Mode: Click to select a block<br>R: Rotate selected block<br>Delete: Remove selected block<br>Esc: Cancel selection"
+          "Select Mode: Click to select a block<br>Shift+Click/Drag: Add to selection<br>R/T/G: Turn, tip or roll selection (Shift: reverse)<br>Delete: Remove selection<br>Esc: Cancel selection"
         );
       } else if (tool === "build") {
         this.showToast(
-          "Build Mode: Click to place block<br>R: Rotate before placing<br>Q/E: Lower/Raise block placement height<br>Red Kill Zones will reset player position in player mode"
+          "Build Mode: Click to place block<br>R/T/G: Turn, tip or roll before placing (Shift: reverse)<br>Q/E: Lower/Raise block placement height<br>Red Kill Zones will reset player position in player mode"
         );
       } else if (tool === "delete") {
         this.showToast("Delete Mode: Click to delete block");
+      } else if (tool === "move") {
+        this.showToast(
+          "Move Mode: Click a block, then drag the arrows to move it"
+        );
       } else if (tool === "player") {
         // Use custom controls if available
         const toolbarPlayer = document.querySelector(
@@ -448,14 +893,145 @@ export class UI {
     document.body.classList.add("placement-mode");
   }
 
+  setOnPrefabSelected(callback: (prefab: Prefab) => void) {
+    this.onPrefabSelected = callback;
+  }
+
+  setOnSavePrefab(callback: () => void) {
+    this.onSavePrefab = callback;
+  }
+
+  setOnOpenPattern(callback: () => void) {
+    this.onOpenPattern = callback;
+  }
+
+  setOnPatternChange(callback: (options: PatternOptions) => void) {
+    this.onPatternChange = callback;
+  }
+
+  setOnApplyPattern(callback: (options: PatternOptions) => void) {
+    this.onApplyPattern = callback;
+  }
+
+  setOnClosePattern(callback: () => void) {
+    this.onClosePattern = callback;
+  }
+
+  setOnBlockSizeChange(callback: (size: Vector3) => void) {
+    this.onBlockSizeChange = callback;
+  }
+
+  setOnBlockAppearanceChange(
+    callback: (change: BlockAppearance, done: boolean) => void
+  ) {
+    this.onBlockAppearanceChange = callback;
+  }
+
+  setOnCheckpointPlaceChange(callback: (place: number) => void) {
+    this.onCheckpointPlaceChange = callback;
+  }
+
+  setOnLaunchChange(callback: (change: Partial<LaunchSettings>) => void) {
+    this.onLaunchChange = callback;
+  }
+
+  setOnCrumbleToggle(callback: (crumbles: boolean) => void) {
+    this.onCrumbleToggle = callback;
+  }
+
+  setOnCrumbleChange(callback: (change: Partial<CrumbleSettings>) => void) {
+    this.onCrumbleChange = callback;
+  }
+
+  // Called with null to go back to normal footing
+  setOnSurfacePresetChange(callback: (preset: SurfacePreset | null) => void) {
+    this.onSurfacePresetChange = callback;
+  }
+
+  setOnSurfaceChange(callback: (change: Partial<BlockSurface>) => void) {
+    this.onSurfaceChange = callback;
+  }
+
+  setOnPlatformPathChange(callback: (change: Partial<PlatformPath>) => void) {
+    this.onPlatformPathChange = callback;
+  }
+
+  setOnAddWaypoint(callback: () => void) {
+    this.onAddWaypoint = callback;
+  }
+
+  setOnRemoveWaypoint(callback: () => void) {
+    this.onRemoveWaypoint = callback;
+  }
+
+  setOnPreviewPath(callback: () => void) {
+    this.onPreviewPath = callback;
+  }
+
   setOnExportCourse(callback: () => void) {
     this.onExportCourse = callback;
   }
 
+  setOnExportFile(callback: () => void) {
+    this.onExportFile = callback;
+  }
+
+  setOnCheckRoute(callback: () => void) {
+    this.onCheckRoute = callback;
+  }
+
+  setOnRenameCourse(callback: (name: string) => void) {
+    this.onRenameCourse = callback;
+  }
+
+  setOnUndo(callback: () => void) {
+    this.onUndo = callback;
+  }
+
+  setOnRedo(callback: () => void) {
+    this.onRedo = callback;
+  }
+
+  updateHistoryButtons(canUndo: boolean, canRedo: boolean) {
+    document
+      .getElementById("undo-btn")
+      ?.classList.toggle("disabled", !canUndo);
+    document
+      .getElementById("redo-btn")
+      ?.classList.toggle("disabled", !canRedo);
+  }
+
+  setOnLintCourse(callback: () => void) {
+    this.onLintCourse = callback;
+  }
+
+  setOnSelectLintIssue(callback: (blockIndex: number) => void) {
+    this.onSelectLintIssue = callback;
+  }
+
   setOnSaveCourse(callback: () => void) {
     this.onSaveCourse = callback;
   }
 
+  setOnCreateCheckpoint(callback: () => void) {
+    this.onCreateCheckpoint = callback;
+  }
+
+  setOnOpenCourseDetails(callback: () => void) {
+    this.onOpenCourseDetails = callback;
+  }
+
+  setOnUpdateCourseDetails(
+    callback: (
+      details: Pick<
+        CourseMetadata,
+        "author" | "description" | "tags" | "difficulty"
+      >
+    ) => void
+  ) {
+    this.onUpdateCourseDetails = callback;
+  }
+
   setOnReset(callback: () => void) {
     this.onReset = callback;
   }
@@ -465,6 +1041,12 @@ export class UI {
   }
 
   showStartMenu() {
+    // Come back to the course list rather than a stale history view
+    if (!this.courseHistoryMenu.classList.contains("hidden")) {
+      this.courseHistoryMenu.classList.add("hidden");
+      this.loadCourseMenu.classList.remove("hidden");
+      this.updateSavedCoursesList();
+    }
     this.pixelatedMenu.classList.remove("hidden");
     this.header.classList.add("hidden");
     this.sideMenu.classList.add("hidden");
@@ -482,6 +1064,72 @@ export class UI {
     this.toolbar.classList.remove("hidden");
     this.playerControls.classList.add("hidden");
     document.body.classList.add("builder-mode");
+    this.updatePrefabList();
+  }
+
+  // Prefab buttons below the blocks, each with export and delete actions
+  public async updatePrefabList() {
+    let prefabs: Prefab[];
+    try {
+      prefabs = await this.courseManager.getPrefabs();
+    } catch (e) {
+      this.showErrorModal(e instanceof Error ? e.message : String(e));
+      return;
+    }
+
+    this.prefabList.innerHTML = "";
+    if (prefabs.length === 0) {
+      this.prefabList.innerHTML =
+        '<p class="prefab-empty">Select blocks and save them as a prefab.</p>';
+      return;
+    }
+
+    prefabs.forEach((prefab) => {
+      const item = document.createElement("div");
+      item.className = "prefab-item";
+
+      const placeButton = document.createElement("button");
+      placeButton.className = "block-btn prefab-btn";
+      placeButton.textContent = prefab.name;
+      placeButton.title = `${prefab.blocks.length} blocks`;
+      placeButton.addEventListener("click", () => {
+        document
+          .querySelectorAll(".block-btn")
+          .forEach((b) => b.classList.remove("active"));
+        placeButton.classList.add("active");
+        if (this.onPrefabSelected) {
+          this.onPrefabSelected(prefab);
+        }
+      });
+
+      const exportButton = document.createElement("button");
+      exportButton.className = "prefab-action";
+      exportButton.textContent = "Export";
+      exportButton.addEventListener("click", () => {
+        const fileName = prefab.name.replace(/[^a-z0-9]/gi, "_").toLowerCase();
+        this.downloadFile(
+          `${fileName}.prefab.json`,
+          this.courseManager.exportPrefab(prefab)
+        );
+      });
+
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "prefab-action";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", async () => {
+        if (!confirm(`Delete the prefab "${prefab.name}"?`)) return;
+        try {
+          await this.courseManager.deletePrefab(prefab.id);
+        } catch (e) {
+          this.showErrorModal(e instanceof Error ? e.message : String(e));
+          return;
+        }
+        this.updatePrefabList();
+      });
+
+      item.append(placeButton, exportButton, deleteButton);
+      this.prefabList.appendChild(item);
+    });
   }
 
   showPlayerMode() {
@@ -503,15 +1151,608 @@ export class UI {
     return this.courseNameInput.value.trim();
   }
 
-  public showExportModal(jsonCode: string) {
-    this.exportCode.value = jsonCode;
+  public showExportModal(courseCode: string, jsonCode: string) {
+    this.exportCourseCode = courseCode;
+    this.exportJsonCode = jsonCode;
+    this.isExportShowingJson = false;
+    this.renderExportCode();
     this.exportModal.classList.remove("hidden");
   }
 
+  private renderExportCode() {
+    this.exportCode.value = this.isExportShowingJson
+      ? this.exportJsonCode
+      : this.exportCourseCode;
+
+    const toggleButton = document.getElementById("toggle-export-format");
+    if (toggleButton) {
+      toggleButton.textContent = this.isExportShowingJson
+        ? "Show Code"
+        : "Show JSON";
+    }
+  }
+
   public hideExportModal() {
     this.exportModal.classList.add("hidden");
   }
 
+  public showCourseDetailsModal(
+    metadata: CourseMetadata,
+    blockCounts: Record<string, number>
+  ) {
+    const setValue = (id: string, value: string) => {
+      (document.getElementById(id) as HTMLInputElement).value = value;
+    };
+    setValue("course-author", metadata.author);
+    setValue("course-description", metadata.description);
+    setValue("course-tags", metadata.tags.join(", "));
+    setValue("course-difficulty", metadata.difficulty);
+
+    const dates = document.getElementById("course-details-dates");
+    if (dates) {
+      const counts = Object.entries(blockCounts)
+        .map(([type, count]) => `${count} ${type}`)
+        .join(", ");
+      dates.textContent =
+        `Created: ${formatDate(metadata.createdAt)}\n` +
+        `Modified: ${formatDate(metadata.modifiedAt)}\n` +
+        `Blocks: ${counts || "none"}`;
+      dates.style.whiteSpace = "pre-line";
+    }
+
+    this.courseDetailsModal.classList.remove("hidden");
+  }
+
+  public hideCourseDetailsModal() {
+    this.courseDetailsModal.classList.add("hidden");
+  }
+
+  // Every edit in the pattern panel refreshes the preview
+  private setupPatternPanel() {
+    document.getElementById("pattern-btn")?.addEventListener("click", () => {
+      if (this.onOpenPattern) {
+        this.onOpenPattern();
+      }
+    });
+    document
+      .getElementById("close-pattern-panel")
+      ?.addEventListener("click", () => {
+        this.hidePatternPanel();
+      });
+
+    const typeSelect = document.getElementById(
+      "pattern-type"
+    ) as HTMLSelectElement;
+    typeSelect.addEventListener("change", () => {
+      this.patternPanel
+        .querySelectorAll<HTMLElement>(".pattern-fields")
+        .forEach((fields) =>
+          fields.classList.toggle(
+            "hidden",
+            fields.dataset.pattern !== typeSelect.value
+          )
+        );
+    });
+
+    this.patternPanel.addEventListener("input", () => {
+      if (this.onPatternChange) {
+        this.onPatternChange(this.getPatternOptions());
+      }
+    });
+    document
+      .getElementById("apply-pattern-btn")
+      ?.addEventListener("click", () => {
+        if (this.onApplyPattern) {
+          this.onApplyPattern(this.getPatternOptions());
+        }
+      });
+  }
+
+  public getPatternOptions(): PatternOptions {
+    const value = (id: string) =>
+      (document.getElementById(id) as HTMLInputElement).value;
+    const number = (id: string) => parseFloat(value(id));
+
+    switch (value("pattern-type")) {
+      case "stairs":
+        return {
+          type: "stairs",
+          count: number("pattern-stairs-count"),
+          rise: number("pattern-stairs-rise"),
+          run: number("pattern-stairs-run"),
+          axis: value("pattern-stairs-axis") as PatternAxis,
+        };
+      case "radial":
+        return {
+          type: "radial",
+          count: number("pattern-radial-count"),
+          radius: number("pattern-radial-radius"),
+        };
+      case "mirror":
+        return {
+          type: "mirror",
+          axis: value("pattern-mirror-axis") as PatternAxis,
+          pivot: number("pattern-mirror-pivot"),
+        };
+      default:
+        return {
+          type: "array",
+          count: number("pattern-array-count"),
+          spacing: {
+            x: number("pattern-array-x"),
+            y: number("pattern-array-y"),
+            z: number("pattern-array-z"),
+          },
+        };
+    }
+  }
+
+  // Open the pattern panel for a source. The mirror pivot starts at the
+  // source's far edge so the mirrored copy lands right next to it.
+  public showPatternPanel(
+    sourceLabel: string,
+    mirrorPivot: { x: number; z: number }
+  ) {
+    (document.getElementById("pattern-source") as HTMLElement).textContent =
+      sourceLabel;
+    const axis = (
+      document.getElementById("pattern-mirror-axis") as HTMLSelectElement
+    ).value as PatternAxis;
+    (
+      document.getElementById("pattern-mirror-pivot") as HTMLInputElement
+    ).value = String(mirrorPivot[axis]);
+    this.patternPanel.classList.remove("hidden");
+  }
+
+  public hidePatternPanel() {
+    if (this.patternPanel.classList.contains("hidden")) return;
+    this.patternPanel.classList.add("hidden");
+    if (this.onClosePattern) {
+      this.onClosePattern();
+    }
+  }
+
+  public isPatternPanelOpen(): boolean {
+    return !this.patternPanel.classList.contains("hidden");
+  }
+
+  public setPatternStatus(message: string, canApply: boolean) {
+    const status = document.getElementById("pattern-status") as HTMLElement;
+    status.textContent = message;
+    status.classList.toggle("invalid", !canApply);
+    (
+      document.getElementById("apply-pattern-btn") as HTMLButtonElement
+    ).disabled = !canApply;
+  }
+
+  // A size is applied once a field is committed (Enter or leaving it), so
+  // typing "1.5" doesn't resize the block to 1 on the way
+  private setupBlockSizePanel() {
+    const inputs = ["x", "y", "z"].map(
+      (axis) =>
+        document.getElementById(`block-size-${axis}`) as HTMLInputElement
+    );
+    const applySize = (size: Vector3) => {
+      if (this.onBlockSizeChange) {
+        this.onBlockSizeChange(size);
+      }
+    };
+    inputs.forEach((input) =>
+      input.addEventListener("change", () => {
+        const [x, y, z] = inputs.map((field) => parseFloat(field.value));
+        applySize({ x, y, z });
+      })
+    );
+    document
+      .getElementById("reset-block-size-btn")
+      ?.addEventListener("click", () => {
+        applySize({ ...this.defaultBlockSize });
+      });
+  }
+
+  public showBlockSizePanel(
+    blockType: string,
+    size: Vector3,
+    defaultSize: Vector3,
+    limits: string
+  ) {
+    this.defaultBlockSize = { ...defaultSize };
+    (document.getElementById("block-size-type") as HTMLElement).textContent =
+      blockType;
+    (document.getElementById("block-size-limits") as HTMLElement).textContent =
+      `Allowed: ${limits}`;
+    (["x", "y", "z"] as const).forEach((axis) => {
+      const input = document.getElementById(
+        `block-size-${axis}`
+      ) as HTMLInputElement;
+      input.value = String(size[axis]);
+    });
+    this.blockSizePanel.classList.remove("hidden");
+  }
+
+  public hideBlockSizePanel() {
+    this.blockSizePanel.classList.add("hidden");
+  }
+
+  // Like the size fields, speed and pause apply once committed
+  private setupPlatformPathPanel() {
+    const report = (change: Partial<PlatformPath>) => {
+      if (this.onPlatformPathChange) {
+        this.onPlatformPathChange(change);
+      }
+    };
+    const speed = document.getElementById("path-speed") as HTMLInputElement;
+    const pause = document.getElementById("path-pause") as HTMLInputElement;
+    const mode = document.getElementById("path-mode") as HTMLSelectElement;
+    speed.addEventListener("change", () =>
+      report({ speed: parseFloat(speed.value) })
+    );
+    pause.addEventListener("change", () =>
+      report({ pause: parseFloat(pause.value) })
+    );
+    mode.addEventListener("change", () =>
+      report({ mode: mode.value as PlatformPath["mode"] })
+    );
+
+    document
+      .getElementById("add-waypoint-btn")
+      ?.addEventListener("click", () => {
+        if (this.onAddWaypoint) {
+          this.onAddWaypoint();
+        }
+      });
+    document
+      .getElementById("remove-waypoint-btn")
+      ?.addEventListener("click", () => {
+        if (this.onRemoveWaypoint) {
+          this.onRemoveWaypoint();
+        }
+      });
+    document
+      .getElementById("preview-path-btn")
+      ?.addEventListener("click", () => {
+        if (this.onPreviewPath) {
+          this.onPreviewPath();
+        }
+      });
+  }
+
+  // selectedWaypoint counts from 0; placing is true while the next click
+  // adds a waypoint
+  public showPlatformPathPanel(
+    path: PlatformPath,
+    selectedWaypoint: number | null,
+    placing: boolean,
+    previewing: boolean
+  ) {
+    (document.getElementById("path-speed") as HTMLInputElement).value =
+      String(path.speed);
+    (document.getElementById("path-pause") as HTMLInputElement).value =
+      String(path.pause);
+    (document.getElementById("path-mode") as HTMLSelectElement).value =
+      path.mode;
+
+    const count = path.waypoints.length;
+    let status = `${count} of ${MAX_WAYPOINTS} waypoints. Click one to move it.`;
+    if (placing) {
+      status = "Click where the platform should go next.";
+    } else if (selectedWaypoint !== null) {
+      status = `Waypoint ${selectedWaypoint + 1} of ${count}. Drag it to move it.`;
+    }
+    (document.getElementById("path-status") as HTMLElement).textContent =
+      status;
+
+    const add = document.getElementById(
+      "add-waypoint-btn"
+    ) as HTMLButtonElement;
+    add.textContent = placing ? "Cancel" : "Add Waypoint";
+    add.classList.toggle("active", placing);
+    add.disabled = !placing && count >= MAX_WAYPOINTS;
+    (
+      document.getElementById("remove-waypoint-btn") as HTMLButtonElement
+    ).disabled = count <= 1;
+    const preview = document.getElementById(
+      "preview-path-btn"
+    ) as HTMLButtonElement;
+    preview.textContent = previewing ? "Stop Preview" : "Preview";
+    preview.classList.toggle("active", previewing);
+
+    this.platformPathPanel.classList.remove("hidden");
+  }
+
+  public hidePlatformPathPanel() {
+    this.platformPathPanel.classList.add("hidden");
+  }
+
+  // The pickers preview while they are dragged ("input") and report the
+  // final value once ("change"), so one pick is one undo step
+  private setupBlockAppearanceControls() {
+    const tint = document.getElementById("block-tint") as HTMLInputElement;
+    const glow = document.getElementById("block-glow") as HTMLInputElement;
+    const opacity = document.getElementById(
+      "block-opacity"
+    ) as HTMLInputElement;
+    const report = (change: BlockAppearance, done: boolean) => {
+      if (this.onBlockAppearanceChange) {
+        this.onBlockAppearanceChange(change, done);
+      }
+    };
+
+    // Black glow is no glow
+    const glowChange = () => ({
+      emissive: glow.value === "#000000" ? undefined : glow.value,
+    });
+    tint.addEventListener("input", () => report({ tint: tint.value }, false));
+    tint.addEventListener("change", () => report({ tint: tint.value }, true));
+    glow.addEventListener("input", () => report(glowChange(), false));
+    glow.addEventListener("change", () => report(glowChange(), true));
+    opacity.addEventListener("input", () =>
+      report({ opacity: parseFloat(opacity.value) }, false)
+    );
+    opacity.addEventListener("change", () =>
+      report({ opacity: parseFloat(opacity.value) }, true)
+    );
+    document
+      .getElementById("reset-block-appearance")
+      ?.addEventListener("click", () =>
+        report(
+          { tint: undefined, emissive: undefined, opacity: undefined },
+          true
+        )
+      );
+
+    const place = document.getElementById(
+      "checkpoint-place"
+    ) as HTMLInputElement;
+    place.addEventListener("change", () => {
+      if (this.onCheckpointPlaceChange) {
+        this.onCheckpointPlaceChange(parseFloat(place.value));
+      }
+    });
+
+    const reportLaunch = (change: Partial<LaunchSettings>) => {
+      if (this.onLaunchChange) {
+        this.onLaunchChange(change);
+      }
+    };
+    const strength = document.getElementById(
+      "launch-strength"
+    ) as HTMLInputElement;
+    const push = document.getElementById("launch-push") as HTMLInputElement;
+    strength.addEventListener("change", () =>
+      reportLaunch({ strength: parseFloat(strength.value) })
+    );
+    push.addEventListener("change", () =>
+      reportLaunch({ push: parseFloat(push.value) })
+    );
+
+    const crumbles = document.getElementById(
+      "crumble-toggle"
+    ) as HTMLInputElement;
+    crumbles.addEventListener("change", () => {
+      if (this.onCrumbleToggle) {
+        this.onCrumbleToggle(crumbles.checked);
+      }
+    });
+    const reportCrumble = (change: Partial<CrumbleSettings>) => {
+      if (this.onCrumbleChange) {
+        this.onCrumbleChange(change);
+      }
+    };
+    const delay = document.getElementById("crumble-delay") as HTMLInputElement;
+    const respawn = document.getElementById(
+      "crumble-respawn"
+    ) as HTMLInputElement;
+    delay.addEventListener("change", () =>
+      reportCrumble({ delay: parseFloat(delay.value) })
+    );
+    respawn.addEventListener("change", () =>
+      reportCrumble({ respawn: parseFloat(respawn.value) })
+    );
+
+    const preset = document.getElementById(
+      "surface-preset"
+    ) as HTMLSelectElement;
+    preset.addEventListener("change", () => {
+      if (this.onSurfacePresetChange) {
+        this.onSurfacePresetChange(
+          preset.value ? (preset.value as SurfacePreset) : null
+        );
+      }
+    });
+    const reportSurface = (change: Partial<BlockSurface>) => {
+      if (this.onSurfaceChange) {
+        this.onSurfaceChange(change);
+      }
+    };
+    const friction = document.getElementById(
+      "surface-friction"
+    ) as HTMLInputElement;
+    const speed = document.getElementById("surface-speed") as HTMLInputElement;
+    const conveyorX = document.getElementById(
+      "surface-conveyor-x"
+    ) as HTMLInputElement;
+    const conveyorZ = document.getElementById(
+      "surface-conveyor-z"
+    ) as HTMLInputElement;
+    const conveyorChange = () =>
+      reportSurface({
+        conveyor: {
+          x: parseFloat(conveyorX.value),
+          z: parseFloat(conveyorZ.value),
+        },
+      });
+    friction.addEventListener("change", () =>
+      reportSurface({ friction: parseFloat(friction.value) })
+    );
+    speed.addEventListener("change", () =>
+      reportSurface({ speed: parseFloat(speed.value) })
+    );
+    conveyorX.addEventListener("change", conveyorChange);
+    conveyorZ.addEventListener("change", conveyorChange);
+  }
+
+  // Where the selected checkpoint comes in the route, or null to hide the
+  // field for other blocks
+  public showCheckpointPlace(place: number | null, total: number) {
+    const field = document.getElementById(
+      "checkpoint-place-field"
+    ) as HTMLElement;
+    field.classList.toggle("hidden", place === null);
+    if (place === null) return;
+
+    const input = document.getElementById(
+      "checkpoint-place"
+    ) as HTMLInputElement;
+    input.value = String(place);
+    input.max = String(total);
+    (document.getElementById("checkpoint-total") as HTMLElement).textContent =
+      `of ${total}`;
+  }
+
+  // How hard the selected pad throws the player; undefined hides the fields
+  // for other blocks. Push is only shown for launch pads.
+  public showLaunchSettings(
+    launch: LaunchSettings | undefined,
+    canPush: boolean
+  ) {
+    const strengthField = document.getElementById(
+      "launch-strength-field"
+    ) as HTMLElement;
+    const pushField = document.getElementById(
+      "launch-push-field"
+    ) as HTMLElement;
+    strengthField.classList.toggle("hidden", !launch);
+    pushField.classList.toggle("hidden", !launch || !canPush);
+    if (!launch) return;
+
+    (document.getElementById("launch-strength") as HTMLInputElement).value =
+      String(launch.strength);
+    (document.getElementById("launch-push") as HTMLInputElement).value =
+      String(launch.push ?? 0);
+  }
+
+  // Whether the selected garbage bag crumbles and how quickly; canCrumble is
+  // false to hide the fields for other blocks
+  public showCrumbleSettings(
+    crumble: CrumbleSettings | undefined,
+    canCrumble: boolean
+  ) {
+    (document.getElementById("crumble-field") as HTMLElement).classList.toggle(
+      "hidden",
+      !canCrumble
+    );
+    (
+      document.getElementById("crumble-delay-field") as HTMLElement
+    ).classList.toggle("hidden", !crumble);
+    (
+      document.getElementById("crumble-respawn-field") as HTMLElement
+    ).classList.toggle("hidden", !crumble);
+    (document.getElementById("crumble-toggle") as HTMLInputElement).checked =
+      !!crumble;
+    if (!crumble) return;
+
+    (document.getElementById("crumble-delay") as HTMLInputElement).value =
+      String(crumble.delay);
+    (document.getElementById("crumble-respawn") as HTMLInputElement).value =
+      String(crumble.respawn);
+  }
+
+  // The selected block's surface; the fine-tuning fields only show for
+  // blocks that aren't normal footing
+  public showSurfaceSettings(surface: BlockSurface | undefined) {
+    (document.getElementById("surface-preset") as HTMLSelectElement).value =
+      getSurfacePreset(surface);
+    ["friction", "speed", "conveyor"].forEach((field) =>
+      (
+        document.getElementById(`surface-${field}-field`) as HTMLElement
+      ).classList.toggle("hidden", !surface)
+    );
+    if (!surface) return;
+
+    const setValue = (id: string, value: number) => {
+      (document.getElementById(id) as HTMLInputElement).value = String(value);
+    };
+    setValue("surface-friction", surface.friction ?? 1);
+    setValue("surface-speed", surface.speed ?? 1);
+    setValue("surface-conveyor-x", surface.conveyor?.x ?? 0);
+    setValue("surface-conveyor-z", surface.conveyor?.z ?? 0);
+  }
+
+  // Show a block's colors in the tooltip pickers; blocks without a tint show
+  // their type's own color
+  public showBlockAppearance(
+    appearance: BlockAppearance | undefined,
+    typeColor: string
+  ) {
+    (document.getElementById("block-tint") as HTMLInputElement).value =
+      appearance?.tint ?? typeColor.toLowerCase();
+    (document.getElementById("block-glow") as HTMLInputElement).value =
+      appearance?.emissive ?? "#000000";
+    (document.getElementById("block-opacity") as HTMLInputElement).value =
+      String(appearance?.opacity ?? 1);
+  }
+
+  // List lint findings; clicking one selects the block it is about
+  public showLintReport(issues: CourseLintIssue[]) {
+    const summary = document.getElementById("lint-summary") as HTMLElement;
+    const list = document.getElementById("lint-list") as HTMLElement;
+    summary.textContent =
+      issues.length === 0
+        ? "No problems found"
+        : `${issues.length} problem${issues.length === 1 ? "" : "s"} found`;
+    list.innerHTML = "";
+
+    issues.forEach((issue) => {
+      const item = document.createElement("li");
+      item.className = `lint-item lint-${issue.rule}`;
+      item.title = "Select this block";
+
+      const blockLabel = document.createElement("div");
+      blockLabel.className = "lint-block";
+      blockLabel.textContent = `Block #${issue.blockIndex}`;
+
+      const message = document.createElement("div");
+      message.textContent = issue.message;
+
+      item.appendChild(blockLabel);
+      item.appendChild(message);
+      item.addEventListener("click", () => {
+        if (this.onSelectLintIssue) {
+          this.onSelectLintIssue(issue.blockIndex);
+        }
+      });
+      list.appendChild(item);
+    });
+
+    this.lintPanel.classList.remove("hidden");
+  }
+
+  // Screen-space rectangle shown while shift-dragging with the select tool
+  public showSelectionBox(
+    from: { x: number; y: number },
+    to: { x: number; y: number }
+  ) {
+    const box = document.getElementById("selection-box") as HTMLElement;
+    box.style.left = `${Math.min(from.x, to.x)}px`;
+    box.style.top = `${Math.min(from.y, to.y)}px`;
+    box.style.width = `${Math.abs(to.x - from.x)}px`;
+    box.style.height = `${Math.abs(to.y - from.y)}px`;
+    box.classList.remove("hidden");
+  }
+
+  public hideSelectionBox() {
+    document.getElementById("selection-box")?.classList.add("hidden");
+  }
+
+  public hideLintPanel() {
+    this.lintPanel.classList.add("hidden");
+  }
+
+  public isLintPanelOpen(): boolean {
+    return !this.lintPanel.classList.contains("hidden");
+  }
+
   // Add method to show an error modal
   public showErrorModal(message: string) {
     if (!this.errorModal) {
@@ -544,6 +1785,7 @@ export class UI {
     errorMessage.classList.add("error-message");
     errorMessage.style.color = "white";
     errorMessage.style.marginBottom = "20px";
+    errorMessage.style.whiteSpace = "pre-line"; // One validation error per line
 
     const closeButton = document.createElement("button");
     closeButton.textContent = "OK";
@@ -559,23 +1801,217 @@ export class UI {
     document.body.appendChild(this.errorModal);
   }
 
-  private updateSavedCoursesList() {
+  // Template buttons for the new course menu; custom templates can be deleted
+  private updateTemplateList() {
+    const templateList = document.getElementById("template-list");
+    if (!templateList) return;
+    templateList.innerHTML = "";
+
+    this.courseManager.getAllTemplates().forEach((template) => {
+      const row = document.createElement("div");
+      row.classList.add("template-row");
+
+      const templateButton = document.createElement("button");
+      templateButton.classList.add("template-btn");
+      templateButton.textContent = `${template.label} (${
+        template.maxBlocks
+      } blocks)`;
+      templateButton.addEventListener("click", () => {
+        if (this.onNewCourse) {
+          this.onNewCourse(template.name);
+        }
+      });
+      row.appendChild(templateButton);
+
+      if (template.isCustom) {
+        const deleteButton = document.createElement("button");
+        deleteButton.classList.add("delete-template-btn");
+        deleteButton.textContent = "X";
+        deleteButton.title = "Delete template";
+        deleteButton.addEventListener("click", () => {
+          if (confirm(`Delete the template "${template.label}"?`)) {
+            this.courseManager.deleteCustomTemplate(template.name);
+            this.updateTemplateList();
+          }
+        });
+        row.appendChild(deleteButton);
+      }
+
+      templateList.appendChild(row);
+    });
+  }
+
+  // The editor asks for a footprint and heights; the build volume is centered
+  // on the origin and runs from the kill plane up to the max build height
+  private saveTemplateFromModal() {
+    const value = (id: string) =>
+      (document.getElementById(id) as HTMLInputElement).value;
+    const number = (id: string) => parseFloat(value(id));
+
+    const halfWidth = number("template-width") / 2;
+    const halfDepth = number("template-depth") / 2;
+    const killPlaneY = number("template-kill-plane");
+
+    try {
+      this.courseManager.saveCustomTemplate(value("template-label"), {
+        maxBlocks: number("template-max-blocks"),
+        buildVolume: {
+          min: { x: -halfWidth, y: killPlaneY, z: -halfDepth },
+          max: { x: halfWidth, y: number("template-height"), z: halfDepth },
+        },
+        gridSize: number("template-grid-size"),
+        killPlaneY,
+        defaultAtmosphere: {
+          isDayMode: value("template-atmosphere") === "day",
+        },
+      });
+    } catch (e) {
+      this.showErrorModal(e instanceof Error ? e.message : String(e));
+      return;
+    }
+
+    document.getElementById("template-modal")?.classList.add("hidden");
+    this.updateTemplateList();
+  }
+
+  private async updateSavedCoursesList() {
+    this.savedCoursesList.innerHTML =
+      '<p style="color: white;">Loading courses...</p>';
+
+    let courses: CourseSummary[];
+    try {
+      courses = await this.courseManager.getAllCourses();
+    } catch (e) {
+      this.savedCoursesList.innerHTML = "";
+      this.showErrorModal(e instanceof Error ? e.message : String(e));
+      return;
+    }
+
+    this.libraryCourses = courses;
+    this.updateLibraryFilterOptions();
+    this.renderSavedCoursesList();
+  }
+
+  // Rebuild the template and tag filters from the stored courses, keeping the
+  // current selection when it still exists
+  private updateLibraryFilterOptions() {
+    const fillSelect = (
+      id: string,
+      allLabel: string,
+      values: string[],
+      getLabel: (value: string) => string = (value) => value
+    ) => {
+      const select = document.getElementById(id) as HTMLSelectElement | null;
+      if (!select) return;
+      const selected = select.value;
+      select.innerHTML = "";
+      select.appendChild(new Option(allLabel, ""));
+      values.forEach((value) =>
+        select.appendChild(new Option(getLabel(value), value))
+      );
+      select.value = values.includes(selected) ? selected : "";
+    };
+
+    const templates = new Set(
+      this.libraryCourses.map((course) => course.template)
+    );
+    const tags = new Set(
+      this.libraryCourses.flatMap((course) => course.metadata.tags)
+    );
+    fillSelect(
+      "course-template-filter",
+      "All templates",
+      [...templates],
+      (name) => this.courseManager.getTemplateLabel(name)
+    );
+    fillSelect("course-tag-filter", "All tags", [...tags].sort());
+  }
+
+  private renderSavedCoursesList() {
     this.savedCoursesList.innerHTML = "";
-    const courses = this.courseManager.getAllCourses();
 
-    if (courses.length === 0) {
+    if (this.libraryCourses.length === 0) {
       this.savedCoursesList.innerHTML =
         '<p style="color: white;">No saved courses found.</p>';
       return;
     }
 
+    const value = (id: string) =>
+      (document.getElementById(id) as HTMLInputElement | null)?.value || "";
+    const search = value("course-search").trim().toLowerCase();
+    const template = value("course-template-filter");
+    const tag = value("course-tag-filter");
+    const sort = value("course-sort");
+
+    const courses = this.libraryCourses
+      .filter((course) => {
+        if (template && course.template !== template) return false;
+        if (tag && !course.metadata.tags.includes(tag)) return false;
+        if (!search) return true;
+        return [
+          course.name,
+          course.metadata.author,
+          course.metadata.description,
+          ...course.metadata.tags,
+        ].some((text) => text.toLowerCase().includes(search));
+      })
+      .sort((a, b) => {
+        if (sort === "name") return a.name.localeCompare(b.name);
+        if (sort === "created") {
+          return b.metadata.createdAt - a.metadata.createdAt;
+        }
+        return b.metadata.modifiedAt - a.metadata.modifiedAt;
+      });
+
+    if (courses.length === 0) {
+      this.savedCoursesList.innerHTML =
+        '<p style="color: white;">No courses match the current filters.</p>';
+      return;
+    }
+
     courses.forEach((course) => {
       const courseElement = document.createElement("div");
       courseElement.classList.add("course-item");
 
+      if (course.thumbnail) {
+        const thumbnailElement = document.createElement("img");
+        thumbnailElement.classList.add("course-thumbnail");
+        thumbnailElement.src = course.thumbnail;
+        thumbnailElement.alt = `${course.name} preview`;
+        courseElement.appendChild(thumbnailElement);
+      }
+
       const nameElement = document.createElement("div");
       nameElement.classList.add("course-name");
-      nameElement.textContent = `${course.name} (${course.template})`;
+      const templateLabel = this.courseManager.getTemplateLabel(
+        course.template
+      );
+      nameElement.textContent = `${course.name} (${templateLabel})`;
+
+      const metaElement = document.createElement("div");
+      metaElement.classList.add("course-meta");
+      const difficultyElement = document.createElement("span");
+      difficultyElement.classList.add(
+        "course-difficulty",
+        course.metadata.difficulty
+      );
+      difficultyElement.textContent = course.metadata.difficulty;
+      metaElement.appendChild(difficultyElement);
+      metaElement.appendChild(
+        document.createTextNode(
+          [
+            `${course.blockCount} blocks`,
+            course.metadata.author && `by ${course.metadata.author}`,
+            `modified ${formatDate(course.metadata.modifiedAt)}`,
+          ]
+            .filter(Boolean)
+            .join(" · ")
+        )
+      );
+      // Per-type breakdown on hover
+      metaElement.title = Object.entries(course.blockCounts)
+        .map(([type, count]) => `${type}: ${count}`)
+        .join("\n");
 
       const actionsElement = document.createElement("div");
       actionsElement.classList.add("course-actions");
@@ -589,24 +2025,191 @@ export class UI {
         }
       });
 
+      const historyButton = document.createElement("button");
+      historyButton.classList.add("history-course-btn");
+      historyButton.textContent = "History";
+      historyButton.addEventListener("click", () => {
+        this.showCourseHistory(course);
+      });
+
       const deleteButton = document.createElement("button");
       deleteButton.classList.add("delete-course-btn");
       deleteButton.textContent = "Delete";
-      deleteButton.addEventListener("click", () => {
-        this.courseManager.deleteCourse(course.id);
+      deleteButton.addEventListener("click", async () => {
+        try {
+          await this.courseManager.deleteCourse(course.id);
+        } catch (e) {
+          this.showErrorModal(e instanceof Error ? e.message : String(e));
+        }
         this.updateSavedCoursesList();
       });
 
       actionsElement.appendChild(loadButton);
+      actionsElement.appendChild(historyButton);
       actionsElement.appendChild(deleteButton);
 
       courseElement.appendChild(nameElement);
+      courseElement.appendChild(metaElement);
+      if (course.metadata.description) {
+        const descriptionElement = document.createElement("div");
+        descriptionElement.classList.add("course-description");
+        descriptionElement.textContent =
+          course.metadata.description.length > 120
+            ? `${course.metadata.description.slice(0, 120)}...`
+            : course.metadata.description;
+        courseElement.appendChild(descriptionElement);
+      }
+      course.metadata.tags.forEach((tagName) => {
+        const tagElement = document.createElement("span");
+        tagElement.classList.add("course-tag");
+        tagElement.textContent = tagName;
+        courseElement.appendChild(tagElement);
+      });
       courseElement.appendChild(actionsElement);
 
       this.savedCoursesList.appendChild(courseElement);
     });
   }
 
+  // History browser: every saved snapshot of a course, with a top-down
+  // preview and restore/fork actions
+  private async showCourseHistory(course: CourseSummary) {
+    this.loadCourseMenu.classList.add("hidden");
+    this.courseHistoryMenu.classList.remove("hidden");
+
+    const title = document.getElementById("course-history-title");
+    if (title) {
+      title.textContent = `History: ${course.name}`;
+    }
+
+    this.snapshotList.innerHTML =
+      '<p style="color: white;">Loading history...</p>';
+    this.clearSnapshotPreview();
+
+    let snapshots: CourseSnapshot[];
+    try {
+      snapshots = await this.courseManager.getCourseHistory(course.id);
+    } catch (e) {
+      this.snapshotList.innerHTML = "";
+      this.showErrorModal(e instanceof Error ? e.message : String(e));
+      return;
+    }
+
+    this.snapshotList.innerHTML = "";
+    if (snapshots.length === 0) {
+      this.snapshotList.innerHTML =
+        '<p style="color: white;">No snapshots yet. Save the course to create one.</p>';
+      return;
+    }
+
+    snapshots.forEach((snapshot, index) => {
+      const snapshotElement = document.createElement("div");
+      snapshotElement.classList.add("snapshot-item");
+
+      const labelElement = document.createElement("div");
+      labelElement.classList.add("snapshot-label");
+      if (snapshot.label) {
+        labelElement.classList.add("checkpoint");
+        labelElement.textContent = `★ ${snapshot.label}`;
+      } else {
+        labelElement.textContent = "Auto-save";
+      }
+
+      const metaElement = document.createElement("div");
+      metaElement.classList.add("snapshot-meta");
+      metaElement.textContent = `${new Date(
+        snapshot.createdAt
+      ).toLocaleString()} · ${snapshot.course.blocks.length} blocks`;
+
+      const actionsElement = document.createElement("div");
+      actionsElement.classList.add("course-actions");
+
+      const restoreButton = document.createElement("button");
+      restoreButton.classList.add("load-course-btn");
+      restoreButton.textContent = "Restore";
+      restoreButton.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        if (
+          !confirm(
+            "Restore this snapshot? The current version stays in the history."
+          )
+        ) {
+          return;
+        }
+        try {
+          await this.courseManager.restoreSnapshot(snapshot.id);
+        } catch (err) {
+          this.showErrorModal(
+            err instanceof Error ? err.message : String(err)
+          );
+          return;
+        }
+        if (this.onLoadCourse) {
+          this.onLoadCourse(course.id);
+        }
+      });
+
+      const forkButton = document.createElement("button");
+      forkButton.classList.add("history-course-btn");
+      forkButton.textContent = "Fork";
+      forkButton.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        try {
+          const forkedCourse = await this.courseManager.forkSnapshot(
+            snapshot.id
+          );
+          if (this.onLoadCourse) {
+            this.onLoadCourse(forkedCourse.id);
+          }
+        } catch (err) {
+          this.showErrorModal(
+            err instanceof Error ? err.message : String(err)
+          );
+        }
+      });
+
+      actionsElement.appendChild(restoreButton);
+      actionsElement.appendChild(forkButton);
+
+      snapshotElement.appendChild(labelElement);
+      snapshotElement.appendChild(metaElement);
+      snapshotElement.appendChild(actionsElement);
+
+      // Clicking a snapshot previews it
+      snapshotElement.addEventListener("click", () => {
+        this.snapshotList
+          .querySelectorAll(".snapshot-item")
+          .forEach((item) => item.classList.remove("active"));
+        snapshotElement.classList.add("active");
+        drawCoursePreview(
+          this.snapshotPreview,
+          snapshot.course,
+          this.blockFactory
+        );
+      });
+
+      this.snapshotList.appendChild(snapshotElement);
+
+      // Preview the newest snapshot straight away
+      if (index === 0) {
+        snapshotElement.click();
+      }
+    });
+  }
+
+  private clearSnapshotPreview() {
+    const ctx = this.snapshotPreview.getContext("2d");
+    if (ctx) {
+      ctx.fillStyle = "#222";
+      ctx.fillRect(
+        0,
+        0,
+        this.snapshotPreview.width,
+        this.snapshotPreview.height
+      );
+    }
+  }
+
   // Add a method to reset selected block
   resetBlockSelection() {
     document
@@ -989,4 +2592,40 @@ export class UI {
   public setOnToggleSnapMode(callback: () => void) {
     this.onToggleSnapMode = callback;
   }
+
+  // Angle step for the rotate keys; 0 means free rotation
+  private setupRotationSnapSelect() {
+    const select = document.getElementById(
+      "rotation-snap"
+    ) as HTMLSelectElement | null;
+    select?.addEventListener("change", () => {
+      if (this.onRotationSnapChange) {
+        this.onRotationSnapChange(parseInt(select.value, 10));
+      }
+      // Let the rotate keys go back to the canvas
+      select.blur();
+    });
+  }
+
+  private onRotationSnapChange: ((degrees: number) => void) | null = null;
+
+  public setOnRotationSnapChange(callback: (degrees: number) => void) {
+    this.onRotationSnapChange = callback;
+  }
+}
+
+// Courses migrated from before timestamps were tracked have a 0 date
+function formatDate(timestamp: number): string {
+  return timestamp ? new Date(timestamp).toLocaleString() : "unknown";
+}
+
+// The surface picker entry for a block. Surfaces that have been fine-tuned
+// away from a single preset show as "custom".
+function getSurfacePreset(surface: BlockSurface | undefined): string {
+  if (!surface) return "";
+  const { friction, speed, conveyor } = surface;
+  if (conveyor) return "conveyor";
+  if (friction !== undefined && speed === undefined) return "ice";
+  if (speed !== undefined && speed < 1 && friction === undefined) return "tar";
+  return "custom";
 }